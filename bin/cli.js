@@ -1,11 +1,29 @@
 #!/usr/bin/env node
 
 import path from 'path';
+import os from 'os';
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { finished } from 'stream/promises';
 import minimist from 'minimist';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { createRepoCombiner } from '../src/repo-combiner.js';
+import { createRepoCombiner, resolveLocalDirectory } from '../src/repo-combiner.js';
+import { TOKENIZERS } from '../src/tokenizer.js';
+import { MODEL_PROFILES, describeFittingModels, getModelBudget, getModelProfile } from '../src/models.js';
+import { SECRET_SCAN_MODES } from '../src/secrets.js';
+import { STRIP_MODES } from '../src/strip.js';
+import { OUTPUT_MODES } from '../src/outline.js';
+import { parseDiffSpec } from '../src/diff.js';
+import { PROVIDER_NAMES } from '../src/providers.js';
+import { unpackOutput } from '../src/unpack.js';
+import {
+  DEFAULT_CACHE_MAX_SIZE_MB,
+  clearCache,
+  getDefaultCacheDir,
+  listCache,
+  pruneCache,
+} from '../src/cache.js';
 import { createLogger } from '../src/logger.js';
 import readline from 'readline';
 
@@ -16,12 +34,21 @@ const __dirname = path.dirname(__filename);
 // Determine project root directory (one level up from bin directory)
 const projectRoot = path.resolve(__dirname, '..');
 
+// Ctrl+C, SIGTERM and SIGHUP abort a run, which stops git and removes the temporary clone
+const ABORT_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+// With "-o -" the combined output goes to stdout, so console logging has to stay off it
+const cliArgs = process.argv.slice(2);
+const outputToStdout = cliArgs.some(
+  (arg, i) => arg === '--output=-' || (arg === '-' && ['-o', '--output'].includes(cliArgs[i - 1]))
+);
+
 // Create logger
 const logger = createLogger({
   name: 'cli',
   logDir: path.join(projectRoot, 'logs'),
   logLevel: process.env.LOG_LEVEL || 'INFO',
-  enableConsole: true, 
+  enableConsole: !outputToStdout, 
   enableFileLogging: true
 });
 
@@ -59,16 +86,64 @@ if (!process.env.GITHUB_TOKEN && !(process.env.GITHUB_USERNAME && process.env.GI
 function showHelp() {
   const helpText = `
 Usage: repo-combiner [options] <repository-url>
+       repo-combiner unpack <file...> -o <dir> [--force]
+       repo-combiner cache list|prune|clear [--cache-dir <dir>] [--cache-max-size <MB>]
+
+  <repository-url> may also be a path to a local directory, which is read
+  in place without cloning.
+
+  unpack recreates the files of a combined output (text, markdown, json or xml)
+  in <dir>. Pass every part file of a chunked output to rejoin split files.
+  Existing files are only replaced with --force.
+
+  cache lists the cached clones, prunes the least recently used ones down to
+  --cache-max-size, or clears them all. Clones in use by a run are kept.
 
 Options:
   -h, --help                  Show this help
   -v, --version               Show version
-  -f, --format <type>         Output format: text, json, or markdown (default: text)
+  -f, --format <type>         Output format: text, json, markdown, or xml (default: text)
   -o, --output <file>         Write output to file (default: output/output.txt)
+                              Use "-o -" to stream the output to stdout
+  --stream                    Write files to the output as they are processed (bounded memory)
   -k, --keep-temp             Keep temporary files
-  -t, --token <token>         GitHub personal access token (for private repositories)
-  -u, --username <username>   GitHub username (for private repositories)
-  -p, --password <password>   GitHub password (for private repositories)
+  --cache                     Keep the clone in a cache and only fetch changes on later runs
+  --cache-dir <dir>           Clone cache directory (default: ~/.cache/repo-combiner)
+  --cache-max-size <MB>       Evict the least recently used clones beyond this size (default: ${DEFAULT_CACHE_MAX_SIZE_MB})
+  --ref <ref>                 Branch, tag or full commit SHA to combine (default: default branch)
+  --no-gitignore              Include files matched by .gitignore and .git/info/exclude
+  --git-history               Show each file's last commit date, author and SHA (fetches the
+                              commit history; one API request per file in the browser)
+  --diff <base>..<head>       Only combine files changed between two refs, with their diffs
+                              Use ... to compare with the merge base; pull request URLs
+                              (/pull/123) are combined as diffs automatically
+  --include <glob>            Only combine files matching the glob (repeatable)
+  --exclude <glob>            Skip files and directories matching the glob (repeatable)
+                              Skip lists and --exclude always win over --include
+  --chunk-tokens <n>          Split output into parts of at most n tokens each
+  --no-tree                   Leave the directory tree out of the output
+  --tree-annotations          Show size, lines and tokens for each entry in the tree
+  --no-tree-skipped           Leave skipped directories and files out of the tree
+  --mode <mode>               full or outline (default: full); outline keeps imports, signatures
+                              and docs of JS/TS, Python, Go, Java and Rust files, eliding bodies
+  --strip <modes>             Strip to save tokens (comma-separated, repeatable): comments,
+                              blank-lines, license-headers, trailing-whitespace
+  --tokenizer <name>          Token counting: estimate, cl100k or o200k (default: estimate)
+  --model <name>              Check the output against this model's context window
+  --max-tokens <n>            Token budget for file content (overrides the --model budget)
+  --budget-action <action>    When over budget: warn, fail or trim (default: warn)
+                              trim drops tests, examples and docs first, then other files
+  --list-models               List the known models and their token budgets
+  --secrets <mode>            Secret detection: warn, redact, fail or off (default: warn)
+                              redact replaces each secret with [REDACTED:<rule>]
+  --secrets-allowlist <file>  Ignore listed values, rule:<id> rules and path:<glob> files
+  -t, --token <token>         Personal access token (for private repositories)
+  -u, --username <username>   Username (for private repositories)
+  -p, --password <password>   Password or app password (for private repositories)
+  --provider <name>           Git host: github, gitlab, bitbucket or gitea
+                              (default: detected from the repository URL)
+  --api-url <url>             API base URL, e.g. https://github.example.com/api/v3
+                              (default: api.github.com, or derived from the host)
   --log-level <level>         Set log level (ERROR, WARN, INFO, DEBUG, TRACE) (default: INFO)
   --log-file <file>           Custom log file path
 
@@ -80,10 +155,31 @@ Authentication:
 
 Examples:
   repo-combiner https://github.com/user/repo
+  repo-combiner ./my-service
   repo-combiner -f markdown -o output/repo.md https://github.com/user/repo
   repo-combiner --format json --output output/repo.json https://github.com/user/repo
+  repo-combiner --format xml --output output/prompt.xml https://github.com/user/repo
   repo-combiner --token ghp_xxxxxxxxxxxx https://github.com/user/private-repo
+  repo-combiner --api-url https://github.example.com/api/v3 https://github.example.com/team/repo
+  repo-combiner https://gitlab.com/group/subgroup/project
+  repo-combiner --provider gitlab https://git.example.com/team/repo
+  repo-combiner --ref v2.1.0 https://github.com/user/repo
+  repo-combiner --cache --ref release https://github.com/user/monorepo
+  repo-combiner --git-history -f markdown https://github.com/user/repo
+  repo-combiner --diff main...feature https://github.com/user/repo
+  repo-combiner -f markdown https://github.com/user/repo/pull/123
+  repo-combiner --include 'src/**/*.ts' --exclude '**/*.test.ts' ./my-service
+  repo-combiner -f markdown -o output/repo.md --chunk-tokens 100000 https://github.com/user/repo
+  repo-combiner --tokenizer o200k --chunk-tokens 100000 https://github.com/user/repo
+  repo-combiner --model gpt-4o --budget-action trim https://github.com/user/repo
+  repo-combiner --mode outline --model gpt-4o https://github.com/user/monorepo
+  repo-combiner --strip comments,blank-lines --tokenizer o200k https://github.com/user/repo
+  repo-combiner --secrets redact --secrets-allowlist .secrets-allowlist ./my-service
+  repo-combiner --stream -f json -o output/monorepo.json https://github.com/user/monorepo
+  repo-combiner -f markdown -o - ./my-service > service.md
   repo-combiner --log-level DEBUG https://github.com/user/repo
+  repo-combiner unpack output/repo_2025-01-01_12-00-00.md -o restored
+  repo-combiner cache prune --cache-max-size 500
   `;
   
   console.log(helpText);
@@ -130,11 +226,11 @@ async function promptForRepository(defaultRepoUrl) {
  */
 async function promptForFormat(defaultFormat) {
   const rl = createPrompt();
-  const validFormats = ['text', 'markdown', 'json'];
+  const validFormats = ['text', 'markdown', 'json', 'xml'];
 
   return new Promise(resolve => {
     rl.question(
-      `Select output format [text/markdown/json] (default: ${defaultFormat}): `,
+      `Select output format [text/markdown/json/xml] (default: ${defaultFormat}): `,
       answer => {
         rl.close();
         const format = answer.trim().toLowerCase();
@@ -176,6 +272,153 @@ function addDateTimeToFilename(filename) {
   return path.join(dir, `${base}_${dateTime}${ext}`);
 }
 
+/**
+ * Add a part number to a filename (name.part-01-of-05.md)
+ * @param {string} filename - Base filename
+ * @param {number} index - Part number (1-based)
+ * @param {number} total - Total number of parts
+ * @returns {string} Filename with part number
+ */
+function addPartToFilename(filename, index, total) {
+  const width = Math.max(2, String(total).length);
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+  const part = `part-${String(index).padStart(width, '0')}-of-${String(total).padStart(width, '0')}`;
+  return `${base}.${part}${ext}`;
+}
+
+/**
+ * Resolve the output file path: relative to the project root, with an extension
+ * for the format and the datetime added, and make sure its directory exists
+ * @param {string} output - Output path from the command line
+ * @param {string} format - Output format
+ * @returns {Promise<string>} Resolved output path
+ */
+async function resolveOutputPath(output, format) {
+  // Check if the output path is absolute, if not make it relative to project root
+  let outputPath = output;
+  logger.debug(`Original output path: ${outputPath}`);
+
+  if (!path.isAbsolute(outputPath)) {
+    outputPath = path.join(projectRoot, outputPath);
+    logger.debug(`Resolved relative path to: ${outputPath}`);
+  }
+
+  // Normalize path separators for cross-platform compatibility
+  outputPath = path.normalize(outputPath);
+  logger.debug(`Normalized output path: ${outputPath}`);
+
+  // Suggest appropriate file extension if missing
+  const hasExtension = path.extname(outputPath) !== '';
+  logger.debug(`Output path has extension: ${hasExtension}`);
+
+  if (!hasExtension) {
+    const extensions = { text: '.txt', markdown: '.md', json: '.json', xml: '.xml' };
+    outputPath = `${outputPath}${extensions[format] || ''}`;
+    logger.info(`Added file extension to output path: ${path.extname(outputPath)}`);
+    console.log(`No extension specified, using ${outputPath}`);
+  }
+
+  // Add datetime to the filename
+  const originalPath = outputPath;
+  outputPath = addDateTimeToFilename(outputPath);
+  logger.debug(`Added datetime to filename: ${originalPath} -> ${outputPath}`);
+  console.log(`Adding datetime to filename: ${outputPath}`);
+
+  // Ensure output directory exists
+  const outputDir = path.dirname(outputPath);
+  logger.debug(`Ensuring output directory exists: ${outputDir}`);
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+    logger.debug(`Output directory verified: ${outputDir}`);
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      logger.error(`Failed to create output directory: ${outputDir}`, {
+        error: err.message,
+        code: err.code
+      });
+      throw err;
+    }
+  }
+
+  return outputPath;
+}
+
+/**
+ * Recreate the files of combined outputs in a directory (the unpack command)
+ * @param {Array<string>} inputFiles Combined output files
+ * @param {string} outputDir Directory to recreate the files in
+ * @param {boolean} force Replace files that already exist
+ * @returns {Promise<boolean>} True if every file was recreated
+ */
+async function runUnpack(inputFiles, outputDir, force) {
+  const sources = [];
+  for (const inputFile of inputFiles) {
+    logger.debug(`Reading combined output: ${inputFile}`);
+    sources.push(await fs.readFile(path.resolve(inputFile), 'utf8'));
+  }
+
+  logger.info('Unpacking combined output', { inputFiles, outputDir, force });
+  const result = await unpackOutput(sources, outputDir, { overwrite: force });
+
+  console.log(`Unpacked ${result.written.length} files (${result.format}) into ${result.outputDir}`);
+
+  result.warnings.forEach(warning => {
+    logger.warn(`Content mismatch: ${warning.path}`, { reason: warning.reason });
+    console.warn(`Warning: ${warning.path} may not match the original (${warning.reason})`);
+  });
+
+  if (result.failed.length > 0) {
+    console.error(`Could not recreate ${result.failed.length} files:`);
+    result.failed.forEach(failure => {
+      logger.error(`Failed to unpack ${failure.path}`, { reason: failure.reason });
+      console.error(`  ${failure.path}: ${failure.reason}`);
+    });
+  }
+
+  return result.failed.length === 0;
+}
+
+/**
+ * List, prune or clear the clone cache (the cache command)
+ * @param {string} action list, prune or clear
+ * @param {string} cacheDir Cache directory
+ * @param {number} maxSizeMB Size in MB that prune shrinks the cache to
+ * @returns {Promise<void>}
+ */
+async function runCache(action, cacheDir, maxSizeMB) {
+  const formatSize = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+  if (action === 'list') {
+    const entries = await listCache(cacheDir);
+    if (entries.length === 0) {
+      console.log(`No cached clones in ${cacheDir}`);
+      return;
+    }
+
+    console.log(`Cached clones in ${cacheDir} (most recently used first):`);
+    entries.forEach(entry => {
+      const inUse = entry.locked ? '  (in use)' : '';
+      console.log(`  ${entry.key.padEnd(40)} ${formatSize(entry.size).padStart(10)}  ${entry.lastUsed.toISOString()}${inUse}`);
+    });
+    const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+    console.log(`Total: ${formatSize(totalSize)} (limit ${formatSize(maxSizeMB * 1024 * 1024)})`);
+    return;
+  }
+
+  logger.info(`Running cache ${action}`, { cacheDir, maxSizeMB });
+  const result = action === 'prune'
+    ? await pruneCache(cacheDir, { maxSize: maxSizeMB * 1024 * 1024 })
+    : await clearCache(cacheDir);
+
+  const freedSize = result.removed.reduce((total, entry) => total + entry.size, 0);
+  console.log(`Removed ${result.removed.length} cached clones (${formatSize(freedSize)})`);
+  result.inUse.forEach(entry => {
+    logger.warn(`Cached clone in use: ${entry.key}`);
+    console.warn(`Warning: ${entry.key} is in use by another run and was kept`);
+  });
+}
+
 /**
  * Ensure required directories exist
  */
@@ -205,8 +448,8 @@ async function cli() {
   
   logger.debug('Parsing command line arguments');
   const argv = minimist(process.argv.slice(2), {
-    string: ['format', 'output', 'token', 'username', 'password', 'log-level', 'log-file'],
-    boolean: ['help', 'version', 'keep-temp'],
+    string: ['format', 'output', 'ref', 'diff', 'provider', 'api-url', 'cache-dir', 'cache-max-size', 'include', 'exclude', 'chunk-tokens', 'mode', 'strip', 'tokenizer', 'model', 'max-tokens', 'budget-action', 'secrets', 'secrets-allowlist', 'token', 'username', 'password', 'log-level', 'log-file'],
+    boolean: ['help', 'version', 'force', 'keep-temp', 'cache', 'gitignore', 'git-history', 'stream', 'list-models', 'tree', 'tree-annotations', 'tree-skipped'],
     alias: {
       h: 'help',
       v: 'version',
@@ -221,6 +464,13 @@ async function cli() {
       format: 'text',
       output: path.join(projectRoot, 'output', 'output'), // Using just base name without extension
       'keep-temp': false,
+      gitignore: true,
+      tree: true,
+      'tree-skipped': true,
+      mode: 'full',
+      tokenizer: 'estimate',
+      'budget-action': 'warn',
+      secrets: 'warn',
       token: process.env.GITHUB_TOKEN || '',
       username: process.env.GITHUB_USERNAME || '',
       password: process.env.GITHUB_PASSWORD || '',
@@ -270,6 +520,74 @@ async function cli() {
     return;
   }
 
+  // List model profiles
+  if (argv['list-models']) {
+    console.log('Known models (budget = context window minus recommended headroom):');
+    MODEL_PROFILES.forEach(profile => {
+      const contextWindow = profile.contextWindow.toLocaleString();
+      const budget = getModelBudget(profile).toLocaleString();
+      console.log(`  ${profile.name.padEnd(20)} context ${contextWindow.padStart(9)}  budget ${budget.padStart(9)}`);
+    });
+    return;
+  }
+
+  // Clone cache options, shared by the cache command and repository runs
+  const cacheDir = path.resolve(argv['cache-dir'] || getDefaultCacheDir());
+  const cacheMaxSizeMB = argv['cache-max-size'] === undefined
+    ? DEFAULT_CACHE_MAX_SIZE_MB
+    : Number(argv['cache-max-size']);
+  if (argv['cache-max-size'] === '' || !Number.isFinite(cacheMaxSizeMB) || cacheMaxSizeMB < 0) {
+    const errorMsg = `Invalid --cache-max-size value '${argv['cache-max-size']}'. Expected a size in MB`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    process.exit(1);
+  }
+
+  // Cache command: inspect and clean the clone cache
+  if (argv._[0] === 'cache') {
+    const action = argv._[1];
+    if (!['list', 'prune', 'clear'].includes(action)) {
+      const errorMsg = 'Usage: repo-combiner cache list|prune|clear';
+      logger.error(errorMsg);
+      console.error(`Error: ${errorMsg}`);
+      process.exit(1);
+    }
+
+    try {
+      await runCache(action, cacheDir, cacheMaxSizeMB);
+    } catch (error) {
+      logger.error(`Cache ${action} failed: ${error.message}`, { error: error.message });
+      console.error(`Cache ${action} failed: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Unpack command: recreate files from combined outputs
+  if (argv._[0] === 'unpack') {
+    const inputFiles = argv._.slice(1).map(String);
+    const outputGiven = cliArgs.some(
+      arg => arg === '-o' || arg === '--output' || arg.startsWith('--output=')
+    );
+
+    if (inputFiles.length === 0 || !outputGiven || outputToStdout) {
+      const errorMsg = 'Usage: repo-combiner unpack <file...> -o <dir>';
+      logger.error(errorMsg);
+      console.error(`Error: ${errorMsg}`);
+      process.exit(1);
+    }
+
+    try {
+      const complete = await runUnpack(inputFiles, path.resolve(argv.output), argv.force);
+      if (!complete) process.exit(1);
+    } catch (error) {
+      logger.error(`Error unpacking output: ${error.message}`, { error: error.message });
+      console.error(`Error unpacking output: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   // Default repository URL for this project
   const defaultRepoUrl = 'https://github.com/cschweda/repo-combiner-2025';
   logger.debug(`Using default repository URL: ${defaultRepoUrl}`);
@@ -294,7 +612,7 @@ async function cli() {
   }
 
   // Validate format
-  const validFormats = ['text', 'markdown', 'json'];
+  const validFormats = ['text', 'markdown', 'json', 'xml'];
   if (!validFormats.includes(format)) {
     const errorMsg = `Invalid format '${format}'. Valid formats are: ${validFormats.join(', ')}`;
     logger.error(errorMsg);
@@ -302,17 +620,143 @@ async function cli() {
     return;
   }
 
-  // Validate repository URL
-  if (!repoUrl.match(/^(https?:\/\/|git@)([a-zA-Z0-9-]+\.)+[a-zA-Z0-9]{2,}(\/|:)[^\s]+\/[^\s]+$/)) {
+  // Validate repository URL (local directories are passed through as-is); path-like inputs
+  // (./, ../, /, ~) must be existing directories, as they must for the library
+  let isLocal;
+  try {
+    isLocal = Boolean(await resolveLocalDirectory(repoUrl));
+  } catch (error) {
+    logger.error(error.message);
+    console.error(`Error: ${error.message}`);
+    return;
+  }
+  logger.debug(`Input is a local directory: ${isLocal}`);
+
+  if (!isLocal && !repoUrl.match(/^(https?:\/\/|git@)([a-zA-Z0-9-]+\.)+[a-zA-Z0-9]{2,}(\/|:)[^\s]+\/[^\s]+$/)) {
     const errorMsg = 'Invalid repository URL format';
     logger.error(errorMsg, { url: repoUrl });
     console.error('Error: Invalid repository URL format');
     console.error(
-      'Expected format: https://github.com/username/repository or git@github.com:username/repository'
+      'Expected format: https://github.com/username/repository, git@github.com:username/repository or a local directory'
     );
     return;
   }
   
+  // Validate chunk size
+  let maxTokensPerChunk = 0;
+  if (argv['chunk-tokens'] !== undefined) {
+    maxTokensPerChunk = parseInt(argv['chunk-tokens'], 10);
+    if (!Number.isInteger(maxTokensPerChunk) || maxTokensPerChunk <= 0) {
+      const errorMsg = `Invalid --chunk-tokens value '${argv['chunk-tokens']}'. Expected a positive integer`;
+      logger.error(errorMsg);
+      console.error(`Error: ${errorMsg}`);
+      return;
+    }
+  }
+
+  // Validate token budget options
+  if (argv.model && !getModelProfile(argv.model)) {
+    const errorMsg = `Unknown model '${argv.model}'. Run with --list-models to see the known models`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  let maxTokens = 0;
+  if (argv['max-tokens'] !== undefined) {
+    maxTokens = parseInt(argv['max-tokens'], 10);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      const errorMsg = `Invalid --max-tokens value '${argv['max-tokens']}'. Expected a positive integer`;
+      logger.error(errorMsg);
+      console.error(`Error: ${errorMsg}`);
+      return;
+    }
+  }
+
+  const validBudgetActions = ['warn', 'fail', 'trim'];
+  if (!validBudgetActions.includes(argv['budget-action'])) {
+    const errorMsg = `Invalid --budget-action '${argv['budget-action']}'. Valid actions are: ${validBudgetActions.join(', ')}`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  if (!SECRET_SCAN_MODES.includes(argv.secrets)) {
+    const errorMsg = `Invalid --secrets mode '${argv.secrets}'. Valid modes are: ${SECRET_SCAN_MODES.join(', ')}`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  if (!OUTPUT_MODES.includes(argv.mode)) {
+    const errorMsg = `Invalid --mode '${argv.mode}'. Valid modes are: ${OUTPUT_MODES.join(', ')}`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  if (argv.diff !== undefined) {
+    try {
+      parseDiffSpec(argv.diff);
+    } catch (error) {
+      logger.error(error.message);
+      console.error(`Error: ${error.message}`);
+      return;
+    }
+  }
+
+  if (argv.provider !== undefined && !PROVIDER_NAMES.includes(argv.provider)) {
+    const errorMsg = `Invalid --provider '${argv.provider}'. Valid providers are: ${PROVIDER_NAMES.join(', ')}`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  if (argv['api-url'] !== undefined && !/^https?:\/\/[^/\s]+/.test(argv['api-url'])) {
+    const errorMsg = `Invalid --api-url '${argv['api-url']}'. Expected a URL such as https://github.example.com/api/v3`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  const stripModes = [].concat(argv.strip || []).flatMap(value => value.split(',')).map(mode => mode.trim()).filter(Boolean);
+  const invalidStripModes = stripModes.filter(mode => !STRIP_MODES.includes(mode));
+  if (invalidStripModes.length > 0) {
+    const errorMsg = `Invalid --strip mode '${invalidStripModes.join(', ')}'. Valid modes are: ${STRIP_MODES.join(', ')}`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  // Validate tokenizer
+  if (!TOKENIZERS.includes(argv.tokenizer)) {
+    const errorMsg = `Invalid tokenizer '${argv.tokenizer}'. Valid tokenizers are: ${TOKENIZERS.join(', ')}`;
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  // Streaming writes files as they are processed, so the output can't be split into parts
+  const streaming = argv.stream || outputToStdout;
+  if (streaming && maxTokensPerChunk > 0) {
+    const errorMsg = '--chunk-tokens cannot be combined with --stream or "-o -"';
+    logger.error(errorMsg);
+    console.error(`Error: ${errorMsg}`);
+    return;
+  }
+
+  // Status messages go to stderr when the output itself is written to stdout
+  const print = outputToStdout ? console.error : console.log;
+
+  let outputStream = null;
+  let streamPath = null;
+  if (outputToStdout) {
+    outputStream = process.stdout;
+  } else if (streaming) {
+    streamPath = await resolveOutputPath(argv.output, format);
+    outputStream = createWriteStream(streamPath);
+  }
+
   logger.info('Validated inputs', { repoUrl, format, outputPath: argv.output });
 
   // Process repository
@@ -325,6 +769,30 @@ async function cli() {
   const repoCombiner = createRepoCombiner({
     format: format,
     keepTemp: argv['keep-temp'],
+    cache: argv.cache,
+    cacheDir,
+    cacheMaxSizeMB,
+    ref: argv.ref || null,
+    respectGitignore: argv.gitignore,
+    gitHistory: argv['git-history'],
+    diff: argv.diff || null,
+    include: [].concat(argv.include || []),
+    exclude: [].concat(argv.exclude || []),
+    maxTokensPerChunk,
+    mode: argv.mode,
+    strip: stripModes,
+    tree: argv.tree,
+    treeAnnotations: argv['tree-annotations'],
+    treeShowSkipped: argv['tree-skipped'],
+    tokenizer: argv.tokenizer,
+    model: argv.model || null,
+    maxTokens,
+    budgetAction: argv['budget-action'],
+    secretScan: argv.secrets,
+    secretAllowlist: argv['secrets-allowlist'] ? path.resolve(argv['secrets-allowlist']) : null,
+    outputStream,
+    provider: argv.provider || null,
+    apiBaseUrl: argv['api-url'] || null,
     auth: {
       token: argv.token,
       username: argv.username,
@@ -332,7 +800,7 @@ async function cli() {
     },
     onProgress: status => {
       if (status.message) {
-        console.log(status.message);
+        print(status.message);
         
         // Log progress messages with appropriate level
         if (status.phase === 'error') {
@@ -357,44 +825,106 @@ async function cli() {
     },
   });
 
+  // Signal that aborted the run, for the exit code
+  let receivedSignal = null;
+
   try {
-    console.log(`Processing repository: ${repoUrl}`);
-    console.log(`Output format: ${format}`);
-    console.log('This may take a while for large repositories...');
+    print(`Processing repository: ${repoUrl}`);
+    print(`Output format: ${format}`);
+    print('This may take a while for large repositories...');
     
     logger.info('Starting repository processing', { repoUrl, format });
 
-    const output = await repoCombiner.processRepo(repoUrl);
+    // The handlers are removed on the first signal, so a second one exits immediately
+    const abortController = new AbortController();
+    const onSignal = signal => {
+      ABORT_SIGNALS.forEach(name => process.removeListener(name, onSignal));
+      receivedSignal = signal;
+      print('\nAborting...');
+      abortController.abort();
+    };
+    ABORT_SIGNALS.forEach(signal => process.on(signal, onSignal));
+
+    let output;
+    try {
+      output = await repoCombiner.processRepo(repoUrl, { signal: abortController.signal });
+    } catch (error) {
+      // Close the streamed file and remove it so a failed run doesn't leave partial output
+      if (streamPath) {
+        outputStream.destroy();
+        await finished(outputStream).catch(() => {});
+        await fs.rm(streamPath, { force: true });
+      }
+      throw error;
+    } finally {
+      ABORT_SIGNALS.forEach(signal => process.removeListener(signal, onSignal));
+    }
 
     // Show summary information including line count
-    console.log('\n=== Summary ===');
-    console.log(`- Total files processed: ${repoCombiner.stats.totalFiles}`);
-    console.log(`- Total size: ${(repoCombiner.stats.totalSize / 1024 / 1024).toFixed(2)} MB`);
+    print('\n=== Summary ===');
+    if (repoCombiner.revision && repoCombiner.revision.commit) {
+      const refLabel = repoCombiner.revision.ref ? ` (${repoCombiner.revision.ref})` : '';
+      print(`- Commit: ${repoCombiner.revision.commit}${refLabel}`);
+    }
+    if (repoCombiner.diff) {
+      const { base, head, mergeBase, pullRequest, changes } = repoCombiner.diff;
+      const deleted = changes.filter(change => change.status === 'deleted').length;
+      const range = pullRequest ? `pull request #${pullRequest}` : `${base}${mergeBase ? '...' : '..'}${head}`;
+      print(`- Changes: ${changes.length - deleted} changed, ${deleted} deleted (${range})`);
+    }
+    print(`- Total files processed: ${repoCombiner.stats.totalFiles}`);
+    print(`- Total size: ${(repoCombiner.stats.totalSize / 1024 / 1024).toFixed(2)} MB`);
 
     // Calculate total lines
     const totalLines = repoCombiner.files.reduce((sum, file) => sum + (file.lines || 0), 0);
-    console.log(`- Total lines: ${totalLines.toLocaleString()}`);
+    print(`- Total lines: ${totalLines.toLocaleString()}`);
 
-    // Display token count and add an assessment
+    // Display token count and which models it fits
     const tokenCount = repoCombiner.stats.totalTokens;
-    console.log(`- Total tokens: ${tokenCount.toLocaleString()}`);
-    
-    // Add token assessment
-    let tokenAssessment = '';
-    if (tokenCount < 1000) {
-      tokenAssessment = 'Very small document, will fit easily in any chat window.';
-    } else if (tokenCount < 4000) {
-      tokenAssessment = 'Small document, should fit in most chat windows without issues.';
-    } else if (tokenCount < 8000) {
-      tokenAssessment = 'Medium size document, may approach limits of some basic chat interfaces.';
-    } else if (tokenCount < 16000) {
-      tokenAssessment = 'Large document, likely exceeds capacity of basic chat interfaces.';
-    } else {
-      tokenAssessment = 'Very large document, exceeds capacity of most chat interfaces.';
+    print(`- Total tokens: ${tokenCount.toLocaleString()} (tokenizer: ${argv.tokenizer})`);
+
+    const budget = repoCombiner.budget;
+    const outputTokens = budget ? budget.tokens : tokenCount;
+    const fittingModels = describeFittingModels(outputTokens);
+    print(`- Fits models: ${fittingModels}`);
+    if (budget && !budget.models.some(model => model.fits)) {
+      print('  Consider --chunk-tokens or --budget-action trim');
+    }
+
+    if (budget && budget.target) {
+      const targetName = budget.target.name ? ` (${budget.target.name})` : '';
+      const status = budget.target.fits ? 'fits' : 'over budget';
+      print(`- Token budget: ${budget.tokens.toLocaleString()} of ${budget.target.budget.toLocaleString()}${targetName}, ${status}`);
+      if (budget.trimmedFiles.length > 0) {
+        print(`- Trimmed to fit: ${budget.trimmedFiles.length} files`);
+        budget.trimmedFiles.forEach(file => print(`    ${file.path} (${file.tokens.toLocaleString()} tokens)`));
+      }
+    }
+
+    if (repoCombiner.outputMode === 'outline') {
+      const outlined = repoCombiner.files.filter(file => file.mode === 'outline').length;
+      print(`- Outlined: ${outlined} files (${repoCombiner.files.length - outlined} unsupported files kept in full)`);
+    }
+
+    if (repoCombiner.stripModes.length > 0) {
+      print(`- Tokens saved by stripping: ${repoCombiner.stats.tokensSaved.toLocaleString()} (${repoCombiner.stripModes.join(', ')})`);
+      const topSavings = repoCombiner.files
+        .filter(file => file.tokensSaved > 0)
+        .sort((a, b) => b.tokensSaved - a.tokensSaved);
+      topSavings.slice(0, 10).forEach(file => print(`    ${file.path} (${file.tokensSaved.toLocaleString()} tokens)`));
+      if (topSavings.length > 10) {
+        print(`    ...and ${topSavings.length - 10} more files`);
+      }
+    }
+
+    if (repoCombiner.secrets.length > 0) {
+      const action = argv.secrets === 'redact' ? 'redacted' : 'review before sharing';
+      print(`- Potential secrets: ${repoCombiner.secrets.length} (${action})`);
+      repoCombiner.secrets.forEach(finding => print(`    ${finding.path}:${finding.line} ${finding.rule} (${finding.preview})`));
+      logger.warn('Potential secrets found', { secrets: repoCombiner.secrets, mode: argv.secrets });
     }
-    console.log(`- Token assessment: ${tokenAssessment}`);
     
-    console.log(`- Processing time: ${(repoCombiner.stats.elapsedTime / 1000).toFixed(2)} seconds`);
+    print(`- Processing time: ${(repoCombiner.stats.elapsedTime / 1000).toFixed(2)} seconds`);
     
     // Log summary to logger
     logger.info('Repository processing completed successfully', {
@@ -405,84 +935,69 @@ async function cli() {
         totalSize: repoCombiner.stats.totalSize,
         totalLines,
         totalTokens: tokenCount,
-        tokenAssessment,
+        fittingModels,
         processingTime: `${(repoCombiner.stats.elapsedTime / 1000).toFixed(2)} seconds`
       }
     });
 
-    // Always write output to file
-    if (argv.output) {
-      // Check if the output path is absolute, if not make it relative to project root
-      let outputPath = argv.output;
-      logger.debug(`Original output path: ${outputPath}`);
-      
-      if (!path.isAbsolute(outputPath)) {
-        outputPath = path.join(projectRoot, outputPath);
-        logger.debug(`Resolved relative path to: ${outputPath}`);
+    if (streaming) {
+      // The output was already written while processing; close the file stream
+      if (streamPath) {
+        outputStream.end();
+        await finished(outputStream);
+        logger.info(`Successfully streamed output to: ${streamPath}`);
+        console.log(`Output written to ${streamPath}`);
       }
+    } else if (argv.output) {
+      // Always write output to file
+      const outputPath = await resolveOutputPath(argv.output, format);
 
-      // Normalize path separators for cross-platform compatibility
-      outputPath = path.normalize(outputPath);
-      logger.debug(`Normalized output path: ${outputPath}`);
-
-      // Suggest appropriate file extension if missing
-      const hasExtension = path.extname(outputPath) !== '';
-      logger.debug(`Output path has extension: ${hasExtension}`);
-
-      if (!hasExtension) {
-        const extensions = { text: '.txt', markdown: '.md', json: '.json' };
-        outputPath = `${outputPath}${extensions[format] || ''}`;
-        logger.info(`Added file extension to output path: ${path.extname(outputPath)}`);
-        console.log(`No extension specified, using ${outputPath}`);
-      }
+      // Chunked output is written as one file per part
+      const parts = Array.isArray(output) ? output : [output];
+      const partPaths = Array.isArray(output)
+        ? parts.map((part, index) => addPartToFilename(outputPath, index + 1, parts.length))
+        : [outputPath];
 
-      // Add datetime to the filename
-      const originalPath = outputPath;
-      outputPath = addDateTimeToFilename(outputPath);
-      logger.debug(`Added datetime to filename: ${originalPath} -> ${outputPath}`);
-      console.log(`Adding datetime to filename: ${outputPath}`);
-
-      // Ensure output directory exists
-      const outputDir = path.dirname(outputPath);
-      logger.debug(`Ensuring output directory exists: ${outputDir}`);
-      try {
-        await fs.mkdir(outputDir, { recursive: true });
-        logger.debug(`Output directory verified: ${outputDir}`);
-      } catch (err) {
-        if (err.code !== 'EEXIST') {
-          logger.error(`Failed to create output directory: ${outputDir}`, {
+      // Write the output to file
+      for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        const partPath = partPaths[i];
+        logger.info(`Writing output to file: ${partPath}`);
+        try {
+          await fs.writeFile(
+            partPath,
+            typeof part === 'string' ? part : JSON.stringify(part, null, 2)
+          );
+          logger.info(`Successfully wrote output to: ${partPath}`, {
+            size: typeof part === 'string' ? part.length : JSON.stringify(part).length
+          });
+          console.log(`Output written to ${partPath}`);
+        } catch (err) {
+          logger.error(`Failed to write output file: ${err.message}`, {
+            path: partPath,
             error: err.message,
             code: err.code
           });
           throw err;
         }
       }
-
-      // Write the output to file
-      logger.info(`Writing output to file: ${outputPath}`);
-      try {
-        await fs.writeFile(
-          outputPath,
-          typeof output === 'string' ? output : JSON.stringify(output, null, 2)
-        );
-        logger.info(`Successfully wrote output to: ${outputPath}`, {
-          size: typeof output === 'string' ? output.length : JSON.stringify(output).length
-        });
-        console.log(`Output written to ${outputPath}`);
-      } catch (err) {
-        logger.error(`Failed to write output file: ${err.message}`, {
-          path: outputPath,
-          error: err.message,
-          code: err.code
-        });
-        throw err;
-      }
     } else {
       // Print output to console
       logger.info('No output file specified, printing to console');
-      console.log(typeof output === 'string' ? output : JSON.stringify(output, null, 2));
+      const parts = Array.isArray(output) ? output : [output];
+      parts.forEach(part => {
+        console.log(typeof part === 'string' ? part : JSON.stringify(part, null, 2));
+      });
     }
   } catch (error) {
+    if (error.name === 'AbortError') {
+      const filesDone = error.stats ? error.stats.totalFiles : 0;
+      logger.warn('Repository processing aborted', { repoUrl, stats: error.stats });
+      console.error(`Aborted after processing ${filesDone} files`);
+      // Exit the way the signal would have, e.g. 130 for SIGINT and 143 for SIGTERM
+      process.exit(128 + os.constants.signals[receivedSignal || 'SIGINT']);
+    }
+
     // Log the error with details
     logger.error(`Error processing repository: ${error.message}`, {
       error: error.message,
@@ -509,6 +1024,14 @@ async function cli() {
       console.error(
         '  repo-combiner --token YOUR_GITHUB_TOKEN https://github.com/username/repository'
       );
+    } else if (error.message.includes('Secrets detected')) {
+      const tip = 'Potential secrets found; remove them or allowlist false positives.';
+      logger.warn(tip);
+      const findings = (error.originalError && error.originalError.secrets) || [];
+      findings.forEach(finding => console.error(`  ${finding.path}:${finding.line} ${finding.rule} (${finding.preview})`));
+      console.error('\nTip: Remove the secrets, redact them, or allowlist false positives:');
+      console.error('  repo-combiner --secrets redact https://github.com/username/repository');
+      console.error('  repo-combiner --secrets-allowlist .secrets-allowlist https://github.com/username/repository');
     } else if (error.message.includes('404')) {
       const tip = 'Repository not found. Check URL and existence.';
       logger.warn(tip);
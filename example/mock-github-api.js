@@ -36,8 +36,11 @@ export function initMockGitHubApi(options = {}) {
 
   // Override fetch
   window.fetch = async function (url, options) {
-    // Only intercept GitHub API requests
-    if (typeof url === 'string' && url.includes('api.github.com')) {
+    // Only intercept GitHub API and raw content requests
+    if (
+      typeof url === 'string' &&
+      (url.includes('api.github.com') || url.includes('raw.githubusercontent.com'))
+    ) {
       console.log(`Mock GitHub API intercepted request to: ${url}`);
 
       // Extract repo info from URL
@@ -114,8 +117,28 @@ export function initMockGitHubApi(options = {}) {
 
       // Return successful response with mock data
       if (settings.mockSuccessfulRepo) {
-        // Check if this is a repo info request or contents request
-        if (url.includes('/contents/')) {
+        // Check if this is a repo info, tree or contents request
+        if (url.includes('/git/trees/')) {
+          // Mock recursive tree listing
+          return new Response(
+            JSON.stringify({
+              sha: 'mock-tree-sha',
+              truncated: false,
+              tree: [
+                { path: 'README.md', mode: '100644', type: 'blob', sha: 'mock-sha-1', size: 1024 },
+                { path: 'src', mode: '040000', type: 'tree', sha: 'mock-sha-2' },
+                {
+                  path: 'src/index.js',
+                  mode: '100644',
+                  type: 'blob',
+                  sha: 'mock-sha-3',
+                  size: 512,
+                },
+              ],
+            }),
+            { status: 200, headers }
+          );
+        } else if (url.includes('/contents/')) {
           // Mock directory contents
           return new Response(
             JSON.stringify([
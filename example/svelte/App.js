@@ -1,4 +1,5 @@
 import { createRepoCombiner } from '../../src/repo-combiner.js';
+import { describeFittingModels } from '../../src/models.js';
 
 export default function App(options) {
   const { target } = options;
@@ -160,20 +161,6 @@ export default function App(options) {
     }
   }
 
-  function getTokenAssessment(tokenCount) {
-    if (tokenCount < 1000) {
-      return 'Very small document, will fit easily in any chat window.';
-    } else if (tokenCount < 4000) {
-      return 'Small document, should fit in most chat windows without issues.';
-    } else if (tokenCount < 8000) {
-      return 'Medium size document, may approach limits of some basic chat interfaces.';
-    } else if (tokenCount < 16000) {
-      return 'Large document, likely exceeds capacity of basic chat interfaces.';
-    } else {
-      return 'Very large document, exceeds capacity of most chat interfaces.';
-    }
-  }
-
   function getFormattedResult() {
     if (!result) return '';
     
@@ -181,7 +168,7 @@ export default function App(options) {
     let tokenInfo = '';
     if (format === 'json' && typeof result === 'object' && result.stats && result.stats.totalTokens) {
       const tokenCount = result.stats.totalTokens;
-      const assessment = getTokenAssessment(tokenCount);
+      const assessment = `Fits models: ${describeFittingModels(tokenCount)}`;
       tokenInfo = `
         <div class="token-assessment">
           <h3>Token Assessment</h3>
@@ -1,5 +1,6 @@
 // Import the repo-combiner module
 import { createRepoCombiner } from '../../src/repo-combiner.js';
+import { describeFittingModels } from '../../src/models.js';
 
 // DOM elements
 const repoUrlInput = document.getElementById('repoUrl');
@@ -110,21 +111,6 @@ function updateProgress(status) {
   }
 }
 
-// Get token assessment
-function getTokenAssessment(tokenCount) {
-  if (tokenCount < 1000) {
-    return 'Very small document, will fit easily in any chat window.';
-  } else if (tokenCount < 4000) {
-    return 'Small document, should fit in most chat windows without issues.';
-  } else if (tokenCount < 8000) {
-    return 'Medium size document, may approach limits of some basic chat interfaces.';
-  } else if (tokenCount < 16000) {
-    return 'Large document, likely exceeds capacity of basic chat interfaces.';
-  } else {
-    return 'Very large document, exceeds capacity of most chat interfaces.';
-  }
-}
-
 // Display result based on format
 function displayResult(data, format) {
   // Show output container
@@ -134,7 +120,7 @@ function displayResult(data, format) {
   let tokenInfo = '';
   if (format === 'json' && typeof data === 'object' && data.stats && data.stats.totalTokens) {
     const tokenCount = data.stats.totalTokens;
-    const assessment = getTokenAssessment(tokenCount);
+    const assessment = `Fits models: ${describeFittingModels(tokenCount)}`;
     tokenInfo = `
       <div class="token-assessment">
         <h3>Token Assessment</h3>
@@ -3,6 +3,8 @@
  * This module creates a version that works in the browser by using fetch for GitHub API calls
  */
 
+import { assessTokenBudget, describeFittingModels } from '../../src/models.js';
+
 // Default configuration
 const DEFAULT_CONFIG = {
   format: 'text',
@@ -207,9 +209,9 @@ class BrowserRepoCombiner {
   _parseGitHubUrl(repoUrl) {
     let url = repoUrl;
     
-    // Handle SSH format
-    if (url.startsWith('git@github.com:')) {
-      url = url.replace('git@github.com:', 'https://github.com/');
+    // Handle SSH format, on github.com or a GitHub Enterprise host
+    if (url.startsWith('git@')) {
+      url = url.replace(/^git@([^:]+):/, 'https://$1/');
     }
     
     // Remove trailing .git if present
@@ -651,23 +653,20 @@ class BrowserRepoCombiner {
   }
 
   /**
-   * Get token assessment based on token count
+   * Get token assessment based on token count, against the model budgets of src/models.js
    * @param {number} tokenCount - Number of tokens
-   * @returns {string} Assessment message
+   * @returns {string} Assessment message: the models the output fits, and the budget if set
    * @private
    */
   _getTokenAssessment(tokenCount) {
-    if (tokenCount < 1000) {
-      return 'Very small document, will fit easily in any chat window.';
-    } else if (tokenCount < 4000) {
-      return 'Small document, should fit in most chat windows without issues.';
-    } else if (tokenCount < 8000) {
-      return 'Medium size document, may approach limits of some basic chat interfaces.';
-    } else if (tokenCount < 16000) {
-      return 'Large document, likely exceeds capacity of basic chat interfaces.';
-    } else {
-      return 'Very large document, exceeds capacity of most chat interfaces.';
+    const assessment = assessTokenBudget(tokenCount, this.config);
+    let message = `Fits models: ${describeFittingModels(tokenCount)}`;
+
+    if (assessment.target) {
+      const { budget, name } = assessment.target;
+      message += `\nToken budget: ${this._formatTokenCount(assessment.tokens)} of ${this._formatTokenCount(budget)}${name ? ` (${name})` : ''}`;
     }
+    return message;
   }
 
   /**
@@ -1,6 +1,7 @@
 import './style.css';
 import { marked } from 'marked';
 import { createRepoCombiner } from './browser-repo-combiner';
+import { describeFittingModels } from '../../src/models.js';
 import { createBrowserLogger } from './browser-logger';
 import { createLogViewer } from './log-viewer';
 
@@ -77,10 +78,10 @@ processButton.addEventListener('click', async () => {
 
   logger.info('Process button clicked', { repoUrl, format });
 
-  // Validate repository URL
-  if (!repoUrl || !repoUrl.includes('github.com')) {
+  // Validate repository URL (GitHub Enterprise hosts go through a proxy started with GITHUB_API_URL)
+  if (!repoUrl || !/^(https?:\/\/|git@)\S+$/.test(repoUrl)) {
     logger.warn('Invalid repository URL', { repoUrl });
-    showError('Please enter a valid GitHub repository URL');
+    showError('Please enter a valid GitHub or GitHub Enterprise repository URL');
     return;
   }
 
@@ -255,21 +256,6 @@ processButton.addEventListener('click', async () => {
   }
 });
 
-// Get token assessment
-function getTokenAssessment(tokenCount) {
-  if (tokenCount < 1000) {
-    return 'Very small document, will fit easily in any chat window.';
-  } else if (tokenCount < 4000) {
-    return 'Small document, should fit in most chat windows without issues.';
-  } else if (tokenCount < 8000) {
-    return 'Medium size document, may approach limits of some basic chat interfaces.';
-  } else if (tokenCount < 16000) {
-    return 'Large document, likely exceeds capacity of basic chat interfaces.';
-  } else {
-    return 'Very large document, exceeds capacity of most chat interfaces.';
-  }
-}
-
 // Update progress
 function updateProgress(status) {
   // Always show progress bar
@@ -358,7 +344,7 @@ function displayResult(data, format) {
   
   // Format for display
   const sizeFormatted = formatFileSize(totalSize);
-  const assessment = getTokenAssessment(tokenCount);
+  const assessment = `Fits models: ${describeFittingModels(tokenCount)}`;
   
   // Check if we had CORS errors
   const corsWarning = corsErrors > 0 ? 
@@ -38,6 +38,17 @@ const packageJson = require('../../package.json');
 const app = express();
 const PORT = process.env.PORT || 3010;
 
+// GitHub API to proxy, like the apiBaseUrl option (--api-url), e.g. for GitHub Enterprise Server:
+// GITHUB_API_URL=https://github.example.com/api/v3 npm run proxy
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+const IS_GITHUB_COM = GITHUB_API_URL === 'https://api.github.com';
+
+// Raw files come from raw.githubusercontent.com on github.com, and from the contents API
+// (with the raw media type) on GitHub Enterprise, whose raw host depends on its configuration
+const getRawFileUrl = (owner, repo, branch, path) => IS_GITHUB_COM
+  ? `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${path}`
+  : `${GITHUB_API_URL}/repos/${owner}/${repo}/contents/${path}?ref=${branch}`;
+
 // Configure CORS to allow requests from Vite dev server
 logger.debug('Configuring CORS settings');
 app.use(cors({
@@ -164,6 +175,7 @@ app.get('/', (req, res) => {
     status: 'ok',
     message: 'GitHub API proxy server for repo-combiner',
     version: packageJson.version,
+    apiUrl: GITHUB_API_URL,
     serverInfo: {
       startTime: startTime.toISOString(),
       currentTime: currentTime.toISOString(),
@@ -177,6 +189,7 @@ app.get('/', (req, res) => {
       '/repo/:owner/:repo': 'Repository information',
       '/contents/:owner/:repo/:branch/*': 'File or directory contents',
       '/raw/:owner/:repo/:branch/*': 'Raw file content',
+      '/zipball/:owner/:repo/*': 'Repository zipball at a branch, tag or commit',
       '/logs': 'Server logs (if enabled)'
     }
   };
@@ -228,7 +241,7 @@ app.get('/github-test', async (req, res) => {
     // Try to reach GitHub API
     logger.debug('Testing GitHub API connection via /zen endpoint');
     const start = Date.now();
-    const response = await fetch('https://api.github.com/zen', {
+    const response = await fetch(`${GITHUB_API_URL}/zen`, {
       headers: {
         'User-Agent': `repo-combiner/${packageJson.version}`
       }
@@ -289,7 +302,7 @@ app.get('/repo/:owner/:repo', async (req, res) => {
   const authHeader = req.headers.authorization;
   
   try {
-    const url = `https://api.github.com/repos/${owner}/${repo}`;
+    const url = `${GITHUB_API_URL}/repos/${owner}/${repo}`;
     const options = {
       headers: {
         'Accept': 'application/vnd.github.v3+json',
@@ -329,7 +342,7 @@ app.get('/contents/:owner/:repo/:branch/*', async (req, res) => {
   const authHeader = req.headers.authorization;
   
   try {
-    const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}?ref=${branch}`;
+    const url = `${GITHUB_API_URL}/repos/${owner}/${repo}/contents/${path}?ref=${branch}`;
     const options = {
       headers: {
         'Accept': 'application/vnd.github.v3+json',
@@ -364,7 +377,7 @@ app.get('/raw/:owner/:repo/:branch/*', async (req, res) => {
   const authHeader = req.headers.authorization;
   
   try {
-    const url = `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${path}`;
+    const url = getRawFileUrl(owner, repo, branch, path);
     
     // Log the request details
     console.log(`[${new Date().toISOString()}] Fetching raw file: ${url}`);
@@ -375,6 +388,10 @@ app.get('/raw/:owner/:repo/:branch/*', async (req, res) => {
       }
     };
     
+    if (!IS_GITHUB_COM) {
+      options.headers['Accept'] = 'application/vnd.github.raw';
+    }
+    
     if (authHeader) {
       options.headers['Authorization'] = authHeader;
       console.log(`[${new Date().toISOString()}] Using authorization header`);
@@ -461,7 +478,45 @@ app.get('/raw/:owner/:repo/:branch/*', async (req, res) => {
       error: true,
       message: error.message,
       status: error.status || 500,
-      url: `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${path}`,
+      url: getRawFileUrl(owner, repo, branch, path),
+      details: error.data
+    });
+  }
+});
+
+// Repository zipball endpoint, for the zipball option of the browser combiner
+// (zipballUrl: 'http://localhost:3010/zipball/{owner}/{repo}/{ref}')
+app.get('/zipball/:owner/:repo/*', async (req, res) => {
+  const { owner, repo } = req.params;
+  const ref = req.params[0] || '';
+  const authHeader = req.headers.authorization;
+  
+  try {
+    // GitHub redirects to codeload.github.com, which browsers can't read because of CORS
+    const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+    const url = `${GITHUB_API_URL}/repos/${owner}/${repo}/zipball/${encodedRef}`;
+    const options = {
+      headers: {
+        'User-Agent': `repo-combiner/${packageJson.version}`,
+      }
+    };
+    
+    if (authHeader) {
+      options.headers['Authorization'] = authHeader;
+    }
+    
+    logger.info(`Fetching zipball: ${owner}/${repo}@${ref}`);
+    const response = await fetchWithErrorHandling(url, options);
+    
+    res.setHeader('Content-Type', 'application/zip');
+    response.body.pipe(res);
+  } catch (error) {
+    console.error(`Error fetching zipball for ${owner}/${repo}@${ref}:`, error.message);
+    
+    res.status(error.status || 500).json({
+      error: true,
+      message: error.message,
+      status: error.status || 500,
       details: error.data
     });
   }
@@ -479,9 +534,11 @@ app.listen(PORT, () => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] GitHub API proxy server running at http://localhost:${PORT}`);
   console.log(`[${timestamp}] Serving repo-combiner version ${packageJson.version}`);
+  console.log(`[${timestamp}] Proxying the GitHub API at ${GITHUB_API_URL}`);
   
   logger.info('Server started successfully', {
     port: PORT,
+    apiUrl: GITHUB_API_URL,
     version: packageJson.version,
     startTime: timestamp,
     endpoints: [
@@ -491,6 +548,7 @@ app.listen(PORT, () => {
       'http://localhost:' + PORT + '/repo/:owner/:repo',
       'http://localhost:' + PORT + '/contents/:owner/:repo/:branch/*',
       'http://localhost:' + PORT + '/raw/:owner/:repo/:branch/*',
+      'http://localhost:' + PORT + '/zipball/:owner/:repo/*',
       'http://localhost:' + PORT + '/logs'
     ]
   });
@@ -7,7 +7,11 @@ export default defineConfig({
   // Server options
   server: {
     port: 3000,
-    open: true
+    open: true,
+    // The browser build shares src/models.js with the library
+    fs: {
+      allow: ['../..']
+    }
   },
   
   // Build options
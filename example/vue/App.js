@@ -1,4 +1,5 @@
 import { createRepoCombiner } from '../../src/repo-combiner.js';
+import { describeFittingModels } from '../../src/models.js';
 
 export const App = {
   template: `
@@ -111,7 +112,7 @@ export const App = {
       let tokenInfo = '';
       if (this.format === 'json' && typeof this.result === 'object' && this.result.stats && this.result.stats.totalTokens) {
         const tokenCount = this.result.stats.totalTokens;
-        const assessment = this.getTokenAssessment(tokenCount);
+        const assessment = `Fits models: ${describeFittingModels(tokenCount)}`;
         tokenInfo = `
           <div class="token-assessment">
             <h3>Token Assessment</h3>
@@ -131,20 +132,6 @@ export const App = {
     },
   },
   methods: {
-    getTokenAssessment(tokenCount) {
-      if (tokenCount < 1000) {
-        return 'Very small document, will fit easily in any chat window.';
-      } else if (tokenCount < 4000) {
-        return 'Small document, should fit in most chat windows without issues.';
-      } else if (tokenCount < 8000) {
-        return 'Medium size document, may approach limits of some basic chat interfaces.';
-      } else if (tokenCount < 16000) {
-        return 'Large document, likely exceeds capacity of basic chat interfaces.';
-      } else {
-        return 'Very large document, exceeds capacity of most chat interfaces.';
-      }
-    },
-    
     async processRepository() {
       if (!this.repoUrl || !this.repoUrl.includes('github.com')) {
         this.errorMsg = 'Please enter a valid GitHub repository URL';
@@ -0,0 +1,297 @@
+/**
+ * Clone cache for repo-combiner
+ * Keeps clones in a cache directory keyed by host/owner/repo, so that later runs only fetch what
+ * changed. Entries are locked while a run uses them and evicted least recently used first.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { detectProvider, parseRepoUrl } from './providers.js';
+
+export const DEFAULT_CACHE_MAX_SIZE_MB = 2048;
+
+const LOCK_SUFFIX = '.lock';
+
+// Locks of other hosts (e.g. on a shared drive) can't be checked for a live process, so they are
+// only taken over once they are this old
+const STALE_LOCK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the default cache directory
+ * @returns {string} $XDG_CACHE_HOME/repo-combiner, or the platform's equivalent
+ */
+export function getDefaultCacheDir() {
+  const base =
+    process.env.XDG_CACHE_HOME ||
+    (process.platform === 'win32' ? process.env.LOCALAPPDATA : null) ||
+    path.join(os.homedir(), '.cache');
+  return path.join(base, 'repo-combiner');
+}
+
+/**
+ * Get the cache key of a repository
+ * @param {string} repoUrl Repository URL (HTTPS or SSH)
+ * @param {Object} provider Provider from providers.js (default: detected from the host)
+ * @returns {string} Key of the form host/owner/repo, where the owner is the full namespace path
+ *   (e.g. group/subgroup for GitLab projects in nested groups)
+ * @throws {Error} If the URL doesn't name a host, owner and repository
+ */
+export function getCacheKey(repoUrl, provider = detectProvider(repoUrl)) {
+  const repository = parseRepoUrl(repoUrl, provider);
+  const parts = repository
+    ? [repository.host.replace(/:\d+$/, ''), ...repository.owner.split('/'), repository.repo]
+    : [];
+
+  // Keys become paths, so every part must be a plain name
+  if (parts.length === 0 || !parts.every(part => /^(?!\.+$)[\w.-]+$/.test(part))) {
+    throw new Error(
+      `Cannot cache ${repoUrl}: expected a URL such as https://github.com/owner/repo`
+    );
+  }
+  return parts.join('/');
+}
+
+/**
+ * Check whether a lock was left behind by a run that no longer exists
+ * @param {string} lockPath Lock file path
+ * @returns {Promise<boolean>} True if the lock can be taken over
+ */
+async function isStaleLock(lockPath) {
+  let lock;
+  let stats;
+  try {
+    stats = await fs.stat(lockPath);
+    lock = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    // A missing lock is gone already; an unreadable one is still being written, or corrupt
+    if (error.code === 'ENOENT') return false;
+    return stats ? Date.now() - stats.mtimeMs > STALE_LOCK_MS : false;
+  }
+
+  if (lock.hostname === os.hostname()) {
+    try {
+      process.kill(lock.pid, 0);
+      return false;
+    } catch (error) {
+      // EPERM means the process exists, but belongs to another user
+      return error.code === 'ESRCH';
+    }
+  }
+  return Date.now() - stats.mtimeMs > STALE_LOCK_MS;
+}
+
+/**
+ * Check whether a cache entry is locked by a run
+ * @param {string} entryPath Cache entry directory
+ * @returns {Promise<boolean>} True if the entry is in use
+ */
+async function isLocked(entryPath) {
+  try {
+    await fs.access(entryPath + LOCK_SUFFIX);
+  } catch (error) {
+    return false;
+  }
+  return !(await isStaleLock(entryPath + LOCK_SUFFIX));
+}
+
+/**
+ * Lock a cache entry, waiting for other runs to release it
+ * Locks left behind by crashed runs are taken over.
+ * @param {string} entryPath Cache entry directory
+ * @param {Object} options Lock options
+ * @param {number} options.timeout Milliseconds to wait for another run (0 = don't wait)
+ * @param {AbortSignal} options.signal Signal that stops waiting
+ * @param {number} options.pollInterval Milliseconds between attempts
+ * @returns {Promise<Function>} Async function that releases the lock
+ * @throws {Error} If the entry is still locked after the timeout, or AbortError if aborted
+ */
+export async function lockCacheEntry(
+  entryPath,
+  { timeout = 0, signal = null, pollInterval = 200 } = {}
+) {
+  const lockPath = entryPath + LOCK_SUFFIX;
+  const deadline = Date.now() + timeout;
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  for (;;) {
+    if (signal) signal.throwIfAborted();
+
+    try {
+      // Creating the file exclusively is atomic, so only one run gets the lock
+      const handle = await fs.open(lockPath, 'wx');
+      try {
+        const lock = { pid: process.pid, hostname: os.hostname(), createdAt: new Date() };
+        await handle.writeFile(JSON.stringify(lock));
+      } finally {
+        await handle.close();
+      }
+
+      let released = false;
+      return async () => {
+        if (released) return;
+        released = true;
+        await fs.rm(lockPath, { force: true });
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (await isStaleLock(lockPath)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Cache entry is in use by another run: ${entryPath}`);
+    }
+    await sleep(pollInterval, undefined, signal ? { signal } : {});
+  }
+}
+
+/**
+ * Record that a cache entry was used, for eviction
+ * @param {string} entryPath Cache entry directory
+ * @returns {Promise<void>}
+ */
+export async function touchCacheEntry(entryPath) {
+  const now = new Date();
+  await fs.utimes(entryPath, now, now);
+}
+
+/**
+ * Get the total size of the files in a directory
+ * @param {string} dirPath Directory path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getDirectorySize(dirPath) {
+  let size = 0;
+  const pending = [dirPath];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else {
+        size += (await fs.lstat(entryPath)).size;
+      }
+    }
+  }
+
+  return size;
+}
+
+/**
+ * Check whether a directory below host/owner is a cache entry rather than a nested namespace
+ * Namespace directories only hold directories and lock files; entries are clones, or downloaded
+ * tarballs, which hold files of their own.
+ * @param {Array<fs.Dirent>} dirents Directory contents
+ * @returns {boolean} True if the directory is a cache entry
+ */
+function isCacheEntry(dirents) {
+  return dirents.some(
+    dirent =>
+      dirent.name === '.git' || (!dirent.isDirectory() && !dirent.name.endsWith(LOCK_SUFFIX))
+  );
+}
+
+/**
+ * List the entries of a cache directory
+ * @param {string} cacheDir Cache directory
+ * @returns {Promise<Array<Object>>} Entries ({ key, path, size, lastUsed, locked }), most
+ *   recently used first
+ */
+export async function listCache(cacheDir) {
+  const entries = [];
+  const readDir = async dirPath => {
+    try {
+      return await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  // Entries sit at host/owner/repo, or deeper when the owner is a nested namespace
+  const pending = [[]];
+  while (pending.length > 0) {
+    const parts = pending.pop();
+    const dirPath = path.join(cacheDir, ...parts);
+    const dirents = await readDir(dirPath);
+
+    if (parts.length >= 3 && isCacheEntry(dirents)) {
+      entries.push({
+        key: parts.join('/'),
+        path: dirPath,
+        size: await getDirectorySize(dirPath),
+        lastUsed: (await fs.stat(dirPath)).mtime,
+        locked: await isLocked(dirPath),
+      });
+      continue;
+    }
+    for (const dirent of dirents) {
+      if (dirent.isDirectory()) pending.push([...parts, dirent.name]);
+    }
+  }
+
+  return entries.sort((a, b) => b.lastUsed - a.lastUsed);
+}
+
+/**
+ * Evict the least recently used cache entries until the cache fits a size
+ * Entries in use by a run are never removed.
+ * @param {string} cacheDir Cache directory
+ * @param {Object} options Prune options
+ * @param {number} options.maxSize Size in bytes to shrink the cache to
+ * @param {Array<string>} options.keep Entry paths to keep regardless of their age
+ * @returns {Promise<Object>} Result ({ removed, inUse }), both lists of entries
+ */
+export async function pruneCache(cacheDir, { maxSize = 0, keep = [] } = {}) {
+  const entries = await listCache(cacheDir);
+  let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  const removed = [];
+  const inUse = [];
+
+  // Oldest first
+  for (const entry of [...entries].reverse()) {
+    if (totalSize <= maxSize) break;
+    if (keep.includes(entry.path)) continue;
+
+    let release;
+    try {
+      release = await lockCacheEntry(entry.path);
+    } catch (error) {
+      inUse.push(entry);
+      continue;
+    }
+    try {
+      await fs.rm(entry.path, { recursive: true, force: true });
+    } finally {
+      await release();
+    }
+
+    // Owner and host directories go with their last entry
+    const depth = entry.key.split('/').length - 1;
+    let dirPath = entry.path;
+    for (let level = 0; level < depth; level++) {
+      dirPath = path.dirname(dirPath);
+      await fs.rmdir(dirPath).catch(() => {});
+    }
+
+    totalSize -= entry.size;
+    removed.push(entry);
+  }
+
+  return { removed, inUse };
+}
+
+/**
+ * Remove every cache entry that isn't in use
+ * @param {string} cacheDir Cache directory
+ * @returns {Promise<Object>} Result ({ removed, inUse }), both lists of entries
+ */
+export function clearCache(cacheDir) {
+  return pruneCache(cacheDir, { maxSize: -1 });
+}
@@ -0,0 +1,124 @@
+/**
+ * Diff support for repo-combiner
+ * Parses diff ranges, pull request URLs and git change lists, so that only the files changed
+ * between two refs are combined.
+ */
+
+// Change statuses by git --name-status letter
+const GIT_STATUSES = {
+  A: 'added',
+  C: 'copied',
+  D: 'deleted',
+  M: 'modified',
+  R: 'renamed',
+  T: 'modified', // Type changes (e.g. file to symlink) are reported as modifications
+};
+
+// Change statuses by GitHub compare API status
+const GITHUB_STATUSES = {
+  added: 'added',
+  copied: 'copied',
+  removed: 'deleted',
+  modified: 'modified',
+  changed: 'modified',
+  renamed: 'renamed',
+};
+
+/**
+ * Parse a diff range
+ * `base..head` compares the two refs directly; `base...head` compares head with the merge base
+ * of both, which is what a pull request shows. Without a head, the head is the checkout.
+ * @param {string} spec Diff range, e.g. 'main..feature', 'v1.0.0...HEAD' or 'main'
+ * @returns {Object} Range ({ base, head, mergeBase }), where head may be null
+ * @throws {Error} If the range has no base
+ */
+export function parseDiffSpec(spec) {
+  // Ref names can't contain '..', so the range splits cleanly
+  const value = String(spec || '').trim();
+  const mergeBase = value.includes('...');
+  const [base, head, ...rest] = value.split(mergeBase ? '...' : '..');
+  if (!base || rest.length > 0 || /\s/.test(value)) {
+    throw new Error(`Invalid diff range: ${spec}. Expected <base>..<head> or <base>...<head>`);
+  }
+  return { base, head: head || null, mergeBase };
+}
+
+/**
+ * Parse a GitHub pull request URL
+ * @param {string} url URL such as https://github.com/owner/repo/pull/123 (or its /files tab)
+ * @returns {Object|null} Pull request ({ owner, repo, number, repoUrl }), or null for other URLs
+ */
+export function parsePullRequestUrl(url) {
+  const match = /^https?:\/\/([^/\s]+)\/([^/\s]+)\/([^/\s]+)\/pull\/(\d+)(?:[/?#]\S*)?$/.exec(
+    String(url || '').trim()
+  );
+  if (!match) return null;
+
+  const [, host, owner, repo, number] = match;
+  return {
+    owner,
+    repo: repo.replace(/\.git$/, ''),
+    number: Number(number),
+    repoUrl: `https://${host}/${owner}/${repo}`,
+  };
+}
+
+/**
+ * Parse the output of `git diff --name-status -z`
+ * @param {string} output Command output
+ * @returns {Array<Object>} Changes ({ status, path, previousPath })
+ */
+export function parseNameStatus(output) {
+  const fields = output.split('\0').filter(Boolean);
+  const changes = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    const letter = fields[i][0];
+    const status = GIT_STATUSES[letter] || 'modified';
+
+    // Renames and copies list the old path, then the new one
+    if (letter === 'R' || letter === 'C') {
+      changes.push({ status, path: fields[i + 2], previousPath: fields[i + 1] });
+      i += 2;
+    } else {
+      changes.push({ status, path: fields[i + 1], previousPath: null });
+      i += 1;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Convert a file from the GitHub compare API to a change with a git-style patch
+ * The API only returns the hunks, so the diff headers are added here.
+ * @param {Object} file Entry of the compare API's files list
+ * @returns {Object} Change ({ status, path, previousPath, patch })
+ */
+export function fromGitHubFile(file) {
+  const status = GITHUB_STATUSES[file.status] || 'modified';
+  const previousPath = file.previous_filename || null;
+  const oldPath = status === 'added' ? '/dev/null' : `a/${previousPath || file.filename}`;
+  const newPath = status === 'deleted' ? '/dev/null' : `b/${file.filename}`;
+
+  let patch = `diff --git a/${previousPath || file.filename} b/${file.filename}\n`;
+  if (file.patch) {
+    patch += `--- ${oldPath}\n+++ ${newPath}\n${file.patch}\n`;
+  } else if (previousPath && file.changes === 0) {
+    patch += `rename from ${previousPath}\nrename to ${file.filename}\n`;
+  } else {
+    patch += 'Binary files differ (or the diff is too large to show)\n';
+  }
+
+  return { status, path: file.filename, previousPath, patch };
+}
+
+/**
+ * Describe a change for change lists and file metadata
+ * @param {string} status Change status
+ * @param {string|null} previousPath Path before a rename or copy
+ * @returns {string} Description such as 'modified' or 'renamed from src/old.js'
+ */
+export function describeChange(status, previousPath) {
+  return previousPath ? `${status} from ${previousPath}` : status;
+}
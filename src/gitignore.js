@@ -0,0 +1,104 @@
+/**
+ * .gitignore support for repo-combiner
+ * Implements gitignore pattern semantics (negation, directory-only, anchored and ** patterns)
+ * for use while walking a directory tree
+ */
+
+import { globToRegexSource } from './glob.js';
+
+/**
+ * Parse the contents of a .gitignore (or .git/info/exclude) file into rules
+ * @param {string} content File contents
+ * @param {string} base Directory containing the file, relative to the walk root ('' for root)
+ * @returns {Array<Object>} Parsed rules
+ */
+export function parseGitignore(content, base = '') {
+  const rules = [];
+  const normalizedBase = base
+    .split('\\')
+    .join('/')
+    .replace(/^\/+|\/+$/g, '');
+
+  for (const rawLine of String(content).split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/') && !line.endsWith('\\/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+
+    // A slash at the beginning or middle anchors the pattern to the .gitignore directory
+    const anchored = line.includes('/');
+    line = line.replace(/^\/+/, '');
+
+    if (!line) continue;
+
+    const body = globToRegexSource(line);
+    const regex = new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`);
+
+    rules.push({ pattern: rawLine.trim(), negate, dirOnly, base: normalizedBase, regex });
+  }
+
+  return rules;
+}
+
+/**
+ * Matcher that evaluates a stack of gitignore rules, later rules taking precedence
+ */
+export class GitignoreMatcher {
+  /**
+   * Create a new GitignoreMatcher
+   * @param {Array<Object>} rules Rules from parseGitignore, ordered from lowest to highest precedence
+   */
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Create a matcher for a subdirectory with additional rules from its .gitignore
+   * @param {Array<Object>} rules Rules that override the current ones
+   * @returns {GitignoreMatcher} New matcher
+   */
+  extend(rules) {
+    return rules.length > 0 ? new GitignoreMatcher([...this.rules, ...rules]) : this;
+  }
+
+  /**
+   * Check if a path is ignored
+   * @param {string} relativePath Path relative to the walk root (any separator)
+   * @param {boolean} isDirectory Whether the path is a directory
+   * @returns {boolean} True if the path is ignored
+   */
+  isIgnored(relativePath, isDirectory = false) {
+    const normalizedPath = relativePath.split('\\').join('/');
+    let ignored = false;
+
+    for (const rule of this.rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+
+      let candidate = normalizedPath;
+      if (rule.base) {
+        if (!normalizedPath.startsWith(`${rule.base}/`)) continue;
+        candidate = normalizedPath.slice(rule.base.length + 1);
+      }
+
+      if (rule.regex.test(candidate)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Glob matching for repo-combiner
+ * Converts glob patterns (*, ?, **, [...] and {a,b}) to regular expressions that are
+ * evaluated against forward-slash relative paths
+ */
+
+/**
+ * Convert a glob body to a regular expression source using gitignore wildcard rules
+ * @param {string} glob Pattern without negation, anchoring slash or trailing slash
+ * @returns {string} Regular expression source
+ */
+export function globToRegexSource(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0;
+        const followedBySlash = glob[i + 2] === '/';
+        const atEnd = i + 2 === glob.length;
+        const precededBySlash = i > 0 && glob[i - 1] === '/';
+
+        if (atStart && followedBySlash) {
+          // "**/foo" matches foo in all directories
+          source += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        if (precededBySlash && followedBySlash) {
+          // "a/**/b" matches zero or more directories between a and b
+          source += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        if (precededBySlash && atEnd) {
+          // "foo/**" matches everything inside foo
+          source += '.*';
+          i += 2;
+          continue;
+        }
+        // Any other consecutive asterisks behave like a single one
+        source += '[^/]*';
+        i += 2;
+        continue;
+      }
+      source += '[^/]*';
+      i++;
+    } else if (char === '?') {
+      source += '[^/]';
+      i++;
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        i++;
+        continue;
+      }
+      let body = glob.slice(i + 1, end);
+      if (body.startsWith('!') || body.startsWith('^')) {
+        body = '^' + body.slice(1);
+      }
+      source += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = end + 1;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i += 2;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i++;
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Expand brace groups such as "*.{ts,tsx}" into separate patterns
+ * @param {string} pattern Glob pattern
+ * @returns {Array<string>} Expanded patterns
+ */
+export function expandBraces(pattern) {
+  // Escaped braces and commas are literal, so skip the character after each backslash
+  let open = -1;
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i++;
+    else if (pattern[i] === '{') {
+      open = i;
+      break;
+    }
+  }
+  if (open === -1) return [pattern];
+
+  // Find the matching closing brace and the top-level commas inside it
+  let depth = 0;
+  const commas = [];
+  let close = -1;
+  for (let i = open; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i++;
+    else if (pattern[i] === '{') depth++;
+    else if (pattern[i] === '}' && --depth === 0) {
+      close = i;
+      break;
+    } else if (pattern[i] === ',' && depth === 1) commas.push(i);
+  }
+
+  if (close === -1 || commas.length === 0) return [pattern];
+
+  const prefix = pattern.slice(0, open);
+  const suffix = pattern.slice(close + 1);
+  const bounds = [open, ...commas, close];
+  const expanded = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const option = pattern.slice(bounds[i] + 1, bounds[i + 1]);
+    expanded.push(...expandBraces(`${prefix}${option}${suffix}`));
+  }
+  return expanded;
+}
+
+/**
+ * Compile a glob pattern to a regular expression
+ * Patterns without a slash match the file or directory name at any depth; patterns with a
+ * slash are matched against the whole relative path. A trailing slash matches everything
+ * inside that directory. A backslash escapes the next character (e.g. "\*" matches a
+ * literal asterisk), so directory separators in patterns must be forward slashes.
+ * @param {string} pattern Glob pattern
+ * @returns {RegExp} Compiled pattern
+ */
+export function globToRegExp(pattern) {
+  const sources = expandBraces(String(pattern)).map(expanded => {
+    let glob = expanded.replace(/^\.\//, '');
+    if (glob.endsWith('/')) {
+      glob += '**';
+    }
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\/+/, '');
+    const body = globToRegexSource(glob);
+    return anchored ? `^${body}$` : `(?:^|/)${body}$`;
+  });
+  return new RegExp(sources.map(source => `(?:${source})`).join('|'));
+}
@@ -0,0 +1,95 @@
+/**
+ * Model context window profiles for repo-combiner
+ * Used to report which models a combined output fits and to enforce token budgets
+ */
+
+// Context windows in tokens; headroom is the fraction kept free for instructions and the response
+export const MODEL_PROFILES = [
+  { name: 'gpt-4.1', contextWindow: 1047576, headroom: 0.2 },
+  { name: 'gpt-4o', contextWindow: 128000, headroom: 0.2 },
+  { name: 'gpt-4o-mini', contextWindow: 128000, headroom: 0.2 },
+  { name: 'o3', contextWindow: 200000, headroom: 0.3 },
+  { name: 'gpt-4-turbo', contextWindow: 128000, headroom: 0.2 },
+  { name: 'gpt-3.5-turbo', contextWindow: 16385, headroom: 0.25 },
+  { name: 'claude-opus-4', contextWindow: 200000, headroom: 0.2 },
+  { name: 'claude-sonnet-4', contextWindow: 200000, headroom: 0.2 },
+  { name: 'claude-3.5-haiku', contextWindow: 200000, headroom: 0.2 },
+  { name: 'gemini-2.5-pro', contextWindow: 1048576, headroom: 0.2 },
+  { name: 'gemini-2.0-flash', contextWindow: 1048576, headroom: 0.2 },
+  { name: 'llama-3.1-405b', contextWindow: 128000, headroom: 0.2 },
+  { name: 'mistral-large', contextWindow: 128000, headroom: 0.2 },
+];
+
+/**
+ * Find a model profile by name (case-insensitive)
+ * @param {string} name Model name
+ * @returns {Object|null} Model profile, or null if unknown
+ */
+export function getModelProfile(name) {
+  if (!name) return null;
+  const normalizedName = String(name).toLowerCase();
+  return MODEL_PROFILES.find(profile => profile.name === normalizedName) || null;
+}
+
+/**
+ * Get the number of tokens a model can take for repository content
+ * @param {Object} profile Model profile
+ * @returns {number} Context window minus the recommended headroom
+ */
+export function getModelBudget(profile) {
+  return Math.floor(profile.contextWindow * (1 - profile.headroom));
+}
+
+/**
+ * Assess a token count against all known models and an optional target budget
+ * @param {number} tokenCount Number of tokens in the output
+ * @param {Object} options Assessment options
+ * @param {string} options.model Model whose budget is the target
+ * @param {number} options.maxTokens Explicit token budget (overrides the model budget)
+ * @returns {Object} Assessment with a fit per model and the target budget, if any
+ * @throws {Error} If the model is unknown
+ */
+export function assessTokenBudget(tokenCount, { model = null, maxTokens = 0 } = {}) {
+  const tokens = Number(tokenCount || 0);
+  let target = null;
+
+  if (model) {
+    const profile = getModelProfile(model);
+    if (!profile) {
+      throw new Error(
+        `Unknown model: ${model}. Known models: ${MODEL_PROFILES.map(p => p.name).join(', ')}`
+      );
+    }
+    target = { name: profile.name, budget: getModelBudget(profile) };
+  }
+
+  if (maxTokens > 0) {
+    target = { name: target ? target.name : null, budget: maxTokens };
+  }
+
+  return {
+    tokens,
+    target: target ? { ...target, fits: tokens <= target.budget } : null,
+    models: MODEL_PROFILES.map(profile => {
+      const budget = getModelBudget(profile);
+      return {
+        name: profile.name,
+        contextWindow: profile.contextWindow,
+        budget,
+        fits: tokens <= budget,
+      };
+    }),
+  };
+}
+
+/**
+ * Describe which known models a token count fits, for run summaries and UIs
+ * @param {number} tokenCount Number of tokens in the output
+ * @returns {string} Comma-separated names of the models it fits, or 'none of the known models'
+ */
+export function describeFittingModels(tokenCount) {
+  const fitting = assessTokenBudget(tokenCount)
+    .models.filter(model => model.fits)
+    .map(model => model.name);
+  return fitting.length > 0 ? fitting.join(', ') : 'none of the known models';
+}
@@ -0,0 +1,405 @@
+/**
+ * Outline extraction for repo-combiner
+ * Reduces source files to their API surface: imports, declarations, class and method
+ * signatures and doc comments, with function bodies elided as `{ ... }` (or `...` in Python).
+ */
+
+import { createStringLookup, getLanguageSyntax, scanSource } from './strip.js';
+
+// Output modes accepted by the mode option
+export const OUTPUT_MODES = ['full', 'outline'];
+
+// Last words of a block header that introduce a statement body rather than a declaration
+const BODY_KEYWORDS = /(?:^|[\s;})])(?:else|try|finally|do|static)$/;
+
+/**
+ * Classify a JavaScript or TypeScript block by the code before its opening brace
+ * @param {string} header Code between the previous statement boundary and the brace
+ * @returns {string} 'container' to keep and descend into, 'body' to elide, 'literal' to keep
+ */
+function classifyJavaScriptBlock(header) {
+  // A header ending in an operator or open list is a default value inside a signature
+  if (/=>$/.test(header) || (/\bfunction\b/.test(header) && !/[=(,:?]$/.test(header))) {
+    return 'body';
+  }
+  if (/\b(?:class|interface|enum|namespace|module)\b/.test(header)) return 'container';
+  // Methods and control statements end with their parameter list, optionally typed
+  if (/\)(?:\s*:\s*[^;=]+)?$/.test(header) || BODY_KEYWORDS.test(header)) return 'body';
+  return 'literal';
+}
+
+/**
+ * Classify a Java block by the code before its opening brace
+ * @param {string} header Code between the previous statement boundary and the brace
+ * @returns {string} 'container', 'body' or 'literal'
+ */
+function classifyJavaBlock(header) {
+  if (/->$/.test(header)) return 'body';
+  if (/\b(?:class|interface|enum|record)\b/.test(header) && !/\bnew\b/.test(header)) {
+    return 'container';
+  }
+  if (/\)(?:\s*throws\s+[\w.,\s<>]+)?$/.test(header) || BODY_KEYWORDS.test(header)) return 'body';
+  return 'literal';
+}
+
+/**
+ * Classify a Go block by the code before its opening brace
+ * @param {string} header Code between the previous statement boundary and the brace
+ * @returns {string} 'container', 'body' or 'literal'
+ */
+function classifyGoBlock(header) {
+  return /\bfunc\b/.test(header) ? 'body' : 'container';
+}
+
+/**
+ * Classify a Rust block by the code before its opening brace
+ * @param {string} header Code between the previous statement boundary and the brace
+ * @returns {string} 'container', 'body' or 'literal'
+ */
+function classifyRustBlock(header) {
+  if (/\bfn\b/.test(header)) return 'body';
+  return 'container';
+}
+
+// Block classifiers for the brace-delimited languages
+const BLOCK_CLASSIFIERS = {
+  javascript: classifyJavaScriptBlock,
+  jsx: classifyJavaScriptBlock,
+  typescript: classifyJavaScriptBlock,
+  tsx: classifyJavaScriptBlock,
+  java: classifyJavaBlock,
+  go: classifyGoBlock,
+  rust: classifyRustBlock,
+};
+
+// Top-level statements kept in JavaScript and TypeScript: declarations, imports, exports and
+// assignments such as module.exports; control flow and other statements are left out
+const JAVASCRIPT_DECLARATION =
+  /^(?:#!|@|(?:import|export|const|let|var|function|async\s+function|class|abstract|interface|type|enum|namespace|module|declare)\b|[A-Za-z_$][\w$.]*\s*=(?!=))/;
+
+// Languages whose top level may hold code other than declarations
+const TOP_LEVEL_DECLARATIONS = {
+  javascript: JAVASCRIPT_DECLARATION,
+  jsx: JAVASCRIPT_DECLARATION,
+  typescript: JAVASCRIPT_DECLARATION,
+  tsx: JAVASCRIPT_DECLARATION,
+};
+
+/**
+ * Replace comments and strings with spaces so code structure can be matched safely
+ * Line breaks are kept, so positions and line numbers stay the same.
+ * @param {string} text Source code
+ * @param {Object} scan Comment and string ranges from scanSource
+ * @returns {string} Masked source
+ */
+function maskSource(text, { comments, strings }) {
+  const chars = text.split('');
+  for (const range of [...comments, ...strings]) {
+    for (let i = range.start; i < range.end; i++) {
+      if (chars[i] !== '\n') chars[i] = ' ';
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * Blank out top-level statements that aren't declarations, as the Python outline leaves them out
+ * A statement starts on a line at bracket depth 0 that doesn't continue the previous line or a
+ * multiline string, and runs to its last line of code; comments after it are kept with the next
+ * statement.
+ * @param {string} text Source code
+ * @param {string} masked Masked source
+ * @param {Array<Object>} strings String ranges
+ * @param {RegExp} declaration Matches the start of a statement to keep
+ * @returns {Object} Source and masked source ({ text, masked }) with the statements blanked
+ */
+function dropTopLevelStatements(text, masked, strings, declaration) {
+  const lines = text.split('\n');
+  const maskedLines = masked.split('\n');
+  const insideString = createStringLookup(strings);
+  const statements = []; // { keep, start, end } as line indexes
+  let depth = 0;
+  let previousCode = '';
+  let offset = -1;
+
+  maskedLines.forEach((maskedLine, index) => {
+    const lineStart = offset + 1;
+    offset = lineStart + maskedLine.length;
+    // Directives such as 'use strict' are masked down to their semicolon
+    const code = maskedLine.trim();
+    if (!code || code === ';') return;
+
+    const continues =
+      insideString(lineStart) ||
+      /^(?:[.)\]}?:+\-*/%&|^<>=,]|(?:else|catch|finally)\b)/.test(code) ||
+      /(?:[=*/%&|^<>,.?:!~]|(?<!\+)\+|(?<!-)-)$/.test(previousCode);
+    if (depth === 0 && !continues) {
+      statements.push({ keep: declaration.test(code), start: index, end: index });
+    } else if (statements.length > 0) {
+      statements[statements.length - 1].end = index;
+    }
+
+    for (const char of maskedLine) {
+      if ('([{'.includes(char)) depth++;
+      if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+    }
+    previousCode = code;
+  });
+
+  for (const statement of statements.filter(candidate => !candidate.keep)) {
+    for (let index = statement.start; index <= statement.end; index++) {
+      lines[index] = '';
+      maskedLines[index] = '';
+    }
+  }
+  return { text: lines.join('\n'), masked: maskedLines.join('\n') };
+}
+
+/**
+ * Find the brace closing the block opened at a position
+ * @param {string} masked Masked source
+ * @param {number} open Position of the opening brace
+ * @returns {number} Position of the closing brace, or -1 if the block is unterminated
+ */
+function findClosingBrace(masked, open) {
+  let depth = 0;
+  for (let i = open; i < masked.length; i++) {
+    if (masked[i] === '{') depth++;
+    if (masked[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Outline a brace-delimited language by eliding function and statement bodies
+ * @param {string} text Source code
+ * @param {string} masked Masked source
+ * @param {Function} classify Block classifier
+ * @returns {string} Outline
+ */
+function outlineBraces(text, masked, classify) {
+  let result = '';
+  let copied = 0;
+  let statementStart = 0;
+  let parenDepth = 0;
+  const blockParenDepths = []; // Paren depth at each open block, to find list commas
+
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+
+    if (char === '{') {
+      const header = masked.slice(statementStart, i).trim();
+      const close = classify(header) === 'body' ? findClosingBrace(masked, i) : -1;
+
+      if (close !== -1) {
+        result += text.slice(copied, i) + '{ ... }';
+        copied = close + 1;
+        i = close;
+      } else {
+        blockParenDepths.push(parenDepth);
+      }
+      statementStart = i + 1;
+    } else if (char === '}') {
+      parenDepth = blockParenDepths.length > 0 ? blockParenDepths.pop() : 0;
+      statementStart = i + 1;
+    } else if (char === '(' || char === '[') {
+      parenDepth++;
+    } else if (char === ')' || char === ']') {
+      parenDepth = Math.max(0, parenDepth - 1);
+    } else if (
+      char === ';' ||
+      // Commas separate members of object literals, but not parameters
+      (char === ',' && parenDepth === (blockParenDepths[blockParenDepths.length - 1] || 0))
+    ) {
+      statementStart = i + 1;
+    }
+  }
+
+  return result + text.slice(copied);
+}
+
+/**
+ * Split Python source into logical lines, joining bracketed, continued and multiline strings
+ * @param {string} text Source code
+ * @param {string} masked Masked source
+ * @param {Array<Object>} strings String ranges
+ * @returns {Array<Object>} Logical lines ({ text, masked, code, indent })
+ */
+function getPythonLogicalLines(text, masked, strings) {
+  const lines = text.split('\n');
+  const maskedLines = masked.split('\n');
+  const logicalLines = [];
+  const insideString = createStringLookup(strings);
+  let current = null;
+  let depth = 0;
+  let offset = 0;
+
+  lines.forEach((line, index) => {
+    const maskedLine = maskedLines[index];
+    const lineEnd = offset + line.length;
+
+    if (!current) {
+      current = { lines: [], masked: [], indent: line.length - line.trimStart().length };
+    }
+    current.lines.push(line);
+    current.masked.push(maskedLine);
+
+    for (const char of maskedLine) {
+      if ('([{'.includes(char)) depth++;
+      if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+    }
+
+    if (depth === 0 && !insideString(lineEnd) && !/\\\s*$/.test(maskedLine)) {
+      logicalLines.push(toLogicalLine(current));
+      current = null;
+    }
+    offset = lineEnd + 1;
+  });
+
+  if (current) {
+    logicalLines.push(toLogicalLine(current));
+  }
+  return logicalLines;
+}
+
+/**
+ * Finish a logical line
+ * @param {Object} current Collected physical lines and their masked versions
+ * @returns {Object} Logical line ({ text, masked, code, indent })
+ */
+function toLogicalLine(current) {
+  const masked = current.masked.join('\n');
+  return {
+    text: current.lines.join('\n'),
+    masked,
+    code: masked.trim(),
+    indent: current.indent,
+  };
+}
+
+/**
+ * Find where a Python def or class header ends (its colon at bracket depth 0)
+ * @param {string} code Masked logical line
+ * @returns {number} Position of the colon, or -1
+ */
+function findHeaderColon(code) {
+  let depth = 0;
+  for (let i = 0; i < code.length; i++) {
+    if ('([{'.includes(code[i])) depth++;
+    if (')]}'.includes(code[i])) depth--;
+    if (code[i] === ':' && depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Outline Python source: imports, assignments, decorators, signatures and docstrings
+ * @param {string} text Source code
+ * @param {string} masked Masked source
+ * @param {Array<Object>} strings String ranges
+ * @returns {string} Outline
+ */
+function outlinePython(text, masked, strings) {
+  const output = [];
+  const scopes = []; // Open class, function and skipped blocks ({ kind, indent, started })
+  let blankLine = false;
+
+  // Blank lines are only known to belong to a kept scope once the next kept line is seen
+  const emit = kept => {
+    if (blankLine && output.length > 0) output.push('');
+    output.push(kept);
+    blankLine = false;
+  };
+
+  for (const line of getPythonLogicalLines(text, masked, strings)) {
+    const trimmed = line.text.trim();
+    const isDocstring = trimmed !== '' && line.code === '' && !trimmed.startsWith('#');
+
+    if (trimmed === '') {
+      blankLine = true;
+      continue;
+    }
+    if (line.code === '' && !isDocstring) {
+      // Comments are kept outside of function bodies
+      const scope = scopes[scopes.length - 1];
+      if (!scope || scope.kind === 'class') emit(line.text);
+      continue;
+    }
+
+    while (scopes.length > 0 && scopes[scopes.length - 1].indent >= line.indent) {
+      scopes.pop();
+    }
+    const scope = scopes[scopes.length - 1];
+
+    if (scope && scope.kind !== 'class') {
+      // Keep a function's docstring, then stand in for the rest of the body
+      if (scope.kind === 'function' && !scope.started) {
+        scope.started = true;
+        if (isDocstring) output.push(line.text);
+        output.push(`${' '.repeat(line.indent)}...`);
+      }
+      blankLine = false;
+      continue;
+    }
+
+    const code = line.code;
+    if (/^(?:async\s+def|def|class)\b/.test(code)) {
+      const colon = findHeaderColon(line.masked);
+      const inlineBody = colon === -1 ? '' : line.masked.slice(colon + 1).trim();
+      if (inlineBody) {
+        // One-line definition: keep the signature only
+        emit(`${line.text.slice(0, colon + 1)} ...`);
+      } else {
+        emit(line.text);
+        scopes.push({ kind: code.startsWith('class') ? 'class' : 'function', indent: line.indent });
+      }
+    } else if (
+      isDocstring ||
+      /^(?:import|from)\s/.test(code) ||
+      code.startsWith('@') ||
+      /^[A-Za-z_][\w.]*\s*(?::[^=]+)?=(?!=)/.test(code) ||
+      /^[A-Za-z_]\w*\s*:\s*[^=]+$/.test(code)
+    ) {
+      emit(line.text);
+    } else if (/:\s*$/.test(code)) {
+      // Other compound statements (if __name__ == ..., try, for) are left out with their bodies
+      scopes.push({ kind: 'skip', indent: line.indent });
+    }
+  }
+
+  return output.join('\n') + (text.endsWith('\n') ? '\n' : '');
+}
+
+/**
+ * Check whether a language can be outlined
+ * @param {string} language Language name from getLanguageFromExtension
+ * @returns {boolean} True if outlineContent supports the language
+ */
+export function canOutline(language) {
+  return language === 'python' || Boolean(BLOCK_CLASSIFIERS[language]);
+}
+
+/**
+ * Reduce source code to an outline of its API surface
+ * @param {string} text Source code
+ * @param {string} language Language name from getLanguageFromExtension
+ * @returns {string|null} Outline, or null if the language isn't supported
+ */
+export function outlineContent(text, language) {
+  if (!canOutline(language)) return null;
+  if (!text) return text;
+
+  const scan = scanSource(text, getLanguageSyntax(language));
+  let source = { text, masked: maskSource(text, scan) };
+  if (TOP_LEVEL_DECLARATIONS[language]) {
+    const declaration = TOP_LEVEL_DECLARATIONS[language];
+    source = dropTopLevelStatements(text, source.masked, scan.strings, declaration);
+  }
+  const outline =
+    language === 'python'
+      ? outlinePython(source.text, source.masked, scan.strings)
+      : outlineBraces(source.text, source.masked, BLOCK_CLASSIFIERS[language]);
+
+  // Elided bodies often leave runs of blank lines behind
+  return outline.replace(/\n[ \t]*\n(?:[ \t]*\n)+/g, '\n\n');
+}
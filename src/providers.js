@@ -0,0 +1,334 @@
+/**
+ * Git hosting providers for repo-combiner
+ * Each provider knows the URL, authentication and REST API conventions of a host; the combiners
+ * make the requests. GitHub (including GitHub Enterprise Server) is the default, and GitLab,
+ * Bitbucket Cloud and Gitea (including Forgejo and Codeberg) are detected from the host.
+ */
+
+export const PROVIDER_NAMES = ['github', 'gitlab', 'bitbucket', 'gitea'];
+
+/**
+ * Encode each segment of a path, keeping the slashes
+ * @param {string} value Path
+ * @returns {string} Encoded path
+ */
+function encodePath(value) {
+  return value.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Get a Basic Authorization header value for a username and password
+ * @param {Object} auth Authentication ({ token, username, password })
+ * @param {Function} encodeBase64 Base64 encoder for strings
+ * @returns {string|null} Header value, or null without a username and password
+ */
+function basicAuthorization(auth, encodeBase64) {
+  return auth.username && auth.password
+    ? `Basic ${encodeBase64(`${auth.username}:${auth.password}`)}`
+    : null;
+}
+
+/**
+ * Get the next page of a paginated listing by setting its page parameter
+ * @param {string} url URL of the current page
+ * @param {number|string} page Next page number
+ * @returns {string} URL of the next page
+ */
+function withPage(url, page) {
+  const next = new URL(url);
+  next.searchParams.set('page', String(page));
+  return next.toString();
+}
+
+const github = {
+  name: 'github',
+  label: 'GitHub',
+  accept: 'application/vnd.github.v3+json',
+  // The contents API returns raw content for this media type (used on GitHub Enterprise)
+  rawFileHeaders: { Accept: 'application/vnd.github.raw' },
+
+  getApiBaseUrl({ protocol, host }) {
+    return host === 'github.com' || host === 'www.github.com'
+      ? 'https://api.github.com'
+      : `${protocol}://${host}/api/v3`;
+  },
+  getCloneCredentials(auth) {
+    if (auth.token) return { username: auth.token, password: 'x-oauth-basic' };
+    return auth.username && auth.password
+      ? { username: auth.username, password: auth.password }
+      : null;
+  },
+  getAuthorization(auth, encodeBase64) {
+    return auth.token ? `token ${auth.token}` : basicAuthorization(auth, encodeBase64);
+  },
+  getRepositoryUrl(api, { owner, repo }) {
+    return `${api}/repos/${owner}/${repo}`;
+  },
+  parseRepository(body) {
+    return { defaultBranch: body.default_branch, isPrivate: Boolean(body.private) };
+  },
+  getCommitUrl(api, { owner, repo }, ref) {
+    return `${api}/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`;
+  },
+  parseCommit(body) {
+    return body.sha || null;
+  },
+  getTreeUrl(api, { owner, repo }, sha, recursive = true) {
+    return `${api}/repos/${owner}/${repo}/git/trees/${encodePath(sha)}${recursive ? '?recursive=1' : ''}`;
+  },
+  parseTreePage(body) {
+    return { entries: body.tree, next: null };
+  },
+  getRawFileUrl(api, { owner, repo }, ref, filePath) {
+    // raw.githubusercontent.com isn't subject to the API rate limit, but only serves github.com
+    if (api === 'https://api.github.com') {
+      return `https://raw.githubusercontent.com/${owner}/${repo}/${encodePath(ref)}/${encodePath(filePath)}`;
+    }
+    return `${api}/repos/${owner}/${repo}/contents/${encodePath(filePath)}?ref=${encodeURIComponent(ref)}`;
+  },
+  getZipballUrl(api, { owner, repo }, ref) {
+    return `${api}/repos/${owner}/${repo}/zipball/${encodePath(ref)}`;
+  },
+};
+
+const gitlab = {
+  name: 'gitlab',
+  label: 'GitLab',
+  accept: 'application/json',
+  rawFileHeaders: {},
+  // Projects can sit in nested groups (gitlab.com/group/subgroup/project)
+  nestedGroups: true,
+
+  getApiBaseUrl({ protocol, host }) {
+    return `${protocol}://${host}/api/v4`;
+  },
+  getCloneCredentials(auth) {
+    if (auth.token) return { username: 'oauth2', password: auth.token };
+    return auth.username && auth.password
+      ? { username: auth.username, password: auth.password }
+      : null;
+  },
+  getAuthorization(auth, encodeBase64) {
+    return auth.token ? `Bearer ${auth.token}` : basicAuthorization(auth, encodeBase64);
+  },
+  getRepositoryUrl(api, { owner, repo }) {
+    return `${api}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  },
+  parseRepository(body) {
+    return { defaultBranch: body.default_branch, isPrivate: body.visibility === 'private' };
+  },
+  getCommitUrl(api, repository, ref) {
+    return `${this.getRepositoryUrl(api, repository)}/repository/commits/${encodeURIComponent(ref)}`;
+  },
+  parseCommit(body) {
+    return body.id || null;
+  },
+  getTreeUrl(api, repository, sha) {
+    return `${this.getRepositoryUrl(api, repository)}/repository/tree?recursive=true&per_page=100&ref=${encodeURIComponent(sha)}`;
+  },
+  parseTreePage(body, headers, url) {
+    // GitLab's listing has no sizes; those are checked once the files are downloaded
+    const nextPage = headers.get('x-next-page');
+    return {
+      entries: body.map(entry => ({ path: entry.path, type: entry.type, mode: entry.mode })),
+      next: nextPage ? withPage(url, nextPage) : null,
+    };
+  },
+  getRawFileUrl(api, repository, ref, filePath) {
+    return `${this.getRepositoryUrl(api, repository)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`;
+  },
+  getZipballUrl(api, repository, ref) {
+    return `${this.getRepositoryUrl(api, repository)}/repository/archive.zip?sha=${encodeURIComponent(ref)}`;
+  },
+};
+
+const bitbucket = {
+  name: 'bitbucket',
+  label: 'Bitbucket',
+  accept: 'application/json',
+  rawFileHeaders: {},
+
+  getApiBaseUrl() {
+    // Bitbucket Cloud serves its API from one host; Bitbucket Data Center has a different API
+    return 'https://api.bitbucket.org/2.0';
+  },
+  getCloneCredentials(auth) {
+    if (auth.token) return { username: 'x-token-auth', password: auth.token };
+    return auth.username && auth.password
+      ? { username: auth.username, password: auth.password }
+      : null;
+  },
+  getAuthorization(auth, encodeBase64) {
+    return auth.token ? `Bearer ${auth.token}` : basicAuthorization(auth, encodeBase64);
+  },
+  getRepositoryUrl(api, { owner, repo }) {
+    return `${api}/repositories/${owner}/${repo}`;
+  },
+  parseRepository(body) {
+    return {
+      defaultBranch: body.mainbranch ? body.mainbranch.name : null,
+      isPrivate: Boolean(body.is_private),
+    };
+  },
+  getCommitUrl(api, repository, ref) {
+    return `${this.getRepositoryUrl(api, repository)}/commit/${encodeURIComponent(ref)}`;
+  },
+  parseCommit(body) {
+    return body.hash || null;
+  },
+  getTreeUrl(api, repository, sha) {
+    return `${this.getRepositoryUrl(api, repository)}/src/${encodeURIComponent(sha)}/?max_depth=100&pagelen=100`;
+  },
+  parseTreePage(body) {
+    const entries = body.values.map(entry => {
+      const attributes = entry.attributes || [];
+      if (attributes.includes('subrepository')) {
+        return { path: entry.path, type: 'commit' };
+      }
+      return {
+        path: entry.path,
+        type: entry.type === 'commit_directory' ? 'tree' : 'blob',
+        mode: attributes.includes('link') ? '120000' : '100644',
+        size: entry.size,
+      };
+    });
+    return { entries, next: body.next || null };
+  },
+  getRawFileUrl(api, repository, ref, filePath) {
+    return `${this.getRepositoryUrl(api, repository)}/src/${encodeURIComponent(ref)}/${encodePath(filePath)}`;
+  },
+  getZipballUrl(api, { owner, repo }, ref) {
+    return `https://bitbucket.org/${owner}/${repo}/get/${encodeURIComponent(ref)}.zip`;
+  },
+};
+
+const gitea = {
+  name: 'gitea',
+  label: 'Gitea',
+  accept: 'application/json',
+  rawFileHeaders: {},
+
+  getApiBaseUrl({ protocol, host }) {
+    return `${protocol}://${host}/api/v1`;
+  },
+  getCloneCredentials(auth) {
+    // Gitea accepts tokens the way GitHub does
+    return github.getCloneCredentials(auth);
+  },
+  getAuthorization(auth, encodeBase64) {
+    return auth.token ? `token ${auth.token}` : basicAuthorization(auth, encodeBase64);
+  },
+  getRepositoryUrl(api, { owner, repo }) {
+    return `${api}/repos/${owner}/${repo}`;
+  },
+  parseRepository(body) {
+    return { defaultBranch: body.default_branch, isPrivate: Boolean(body.private) };
+  },
+  getCommitUrl(api, repository, ref) {
+    return `${this.getRepositoryUrl(api, repository)}/git/commits/${encodeURIComponent(ref)}`;
+  },
+  parseCommit(body) {
+    return body.sha || null;
+  },
+  getTreeUrl(api, repository, sha) {
+    return `${this.getRepositoryUrl(api, repository)}/git/trees/${encodeURIComponent(sha)}?recursive=true&per_page=1000&page=1`;
+  },
+  parseTreePage(body, headers, url) {
+    // Gitea pages recursive listings, and marks every page but the last as truncated
+    return {
+      entries: body.tree || [],
+      next: body.truncated ? withPage(url, body.page + 1) : null,
+    };
+  },
+  getRawFileUrl(api, repository, ref, filePath) {
+    return `${this.getRepositoryUrl(api, repository)}/raw/${encodePath(filePath)}?ref=${encodeURIComponent(ref)}`;
+  },
+  getZipballUrl(api, repository, ref) {
+    return `${this.getRepositoryUrl(api, repository)}/archive/${encodePath(ref)}.zip`;
+  },
+};
+
+const PROVIDERS = { github, gitlab, bitbucket, gitea };
+
+/**
+ * Split a repository URL into its protocol, host and path segments
+ * @param {string} repoUrl Repository URL (HTTPS or SSH)
+ * @returns {Object|null} URL parts ({ protocol, host, segments }), or null for other URLs
+ */
+function splitRepoUrl(repoUrl) {
+  const match = /^(?:(https?):\/\/(?:[^@/]+@)?([^/]+)\/|git@([^:]+):)(.+)$/.exec(
+    String(repoUrl || '').trim()
+  );
+  if (!match) return null;
+
+  return {
+    // SSH URLs are served over HTTPS too
+    protocol: match[1] || 'https',
+    host: (match[2] || match[3]).toLowerCase(),
+    segments: match[4].split(/[?#]/)[0].split('/').filter(Boolean),
+  };
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name Provider name (see PROVIDER_NAMES)
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown
+ */
+export function getProvider(name) {
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new Error(`Invalid provider: ${name}. Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  return PROVIDERS[name];
+}
+
+/**
+ * Detect the provider of a repository from its host
+ * Hosts that aren't recognized are taken to be GitHub Enterprise Server.
+ * @param {string|null} repoUrl Repository URL (HTTPS or SSH)
+ * @param {string|null} name Explicit provider name, which wins over detection
+ * @returns {Object} Provider
+ * @throws {Error} If the explicit provider is unknown
+ */
+export function detectProvider(repoUrl, name = null) {
+  if (name) return getProvider(name);
+
+  const parts = splitRepoUrl(repoUrl);
+  const host = parts ? parts.host : 'github.com';
+  if (host === 'gitlab.com' || host.split('.').includes('gitlab')) return gitlab;
+  if (host === 'bitbucket.org') return bitbucket;
+  if (['gitea.com', 'codeberg.org'].includes(host) || /(^|\.)(gitea|forgejo)\./.test(host)) {
+    return gitea;
+  }
+  return github;
+}
+
+/**
+ * Parse a repository URL for a provider
+ * Trailing paths such as /tree/main (or /-/tree/main on GitLab) and .git suffixes are ignored.
+ * @param {string} repoUrl Repository URL (HTTPS or SSH)
+ * @param {Object} provider Provider from detectProvider
+ * @returns {Object|null} Repository ({ protocol, host, owner, repo }), or null if the URL doesn't
+ *   name an owner and a repository
+ */
+export function parseRepoUrl(repoUrl, provider) {
+  const parts = splitRepoUrl(repoUrl);
+  if (!parts) return null;
+
+  let segments = parts.segments;
+  if (provider.nestedGroups) {
+    // GitLab separates the project path from pages such as /-/tree/main
+    const separator = segments.indexOf('-');
+    if (separator !== -1) segments = segments.slice(0, separator);
+  } else {
+    segments = segments.slice(0, 2);
+  }
+  if (segments.length < 2) return null;
+
+  return {
+    protocol: parts.protocol,
+    host: parts.host,
+    owner: segments.slice(0, -1).join('/'),
+    repo: segments[segments.length - 1].replace(/\.git$/, ''),
+  };
+}
@@ -2,15 +2,74 @@
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { spawn } from 'child_process';
 import os from 'os';
 import dotenv from 'dotenv';
+import { GitignoreMatcher, parseGitignore } from './gitignore.js';
+import { globToRegExp } from './glob.js';
+import { createTokenCounter, estimateTokenCount } from './tokenizer.js';
+import { assessTokenBudget, describeFittingModels } from './models.js';
+import {
+  SECRET_SCAN_MODES,
+  createSecretScanner,
+  maskSecret,
+  parseSecretAllowlist,
+} from './secrets.js';
+import { STRIP_MODES, stripContent } from './strip.js';
+import { OUTPUT_MODES, outlineContent } from './outline.js';
+import {
+  describeChange,
+  fromGitHubFile,
+  parseDiffSpec,
+  parseNameStatus,
+  parsePullRequestUrl,
+} from './diff.js';
+import { extractTarball } from './tarball.js';
+import { listZipEntries, readZipEntry } from './zip.js';
+import {
+  DEFAULT_CACHE_MAX_SIZE_MB,
+  clearCache,
+  getCacheKey,
+  getDefaultCacheDir,
+  listCache,
+  lockCacheEntry,
+  pruneCache,
+  touchCacheEntry,
+} from './cache.js';
+import {
+  DEFAULT_RESPONSE_CACHE_MAX_SIZE_MB,
+  DEFAULT_RESPONSE_CACHE_TTL,
+  createCachedResponse,
+  createResponseCache,
+  getConditionalHeaders,
+} from './response-cache.js';
+import { detectProvider, getProvider, parseRepoUrl } from './providers.js';
+import { unpackOutput } from './unpack.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
 // This module is ESM-only
 
+/**
+ * Stages of git's --progress output that report download progress, with the share of the
+ * operation each one covers. Other stages (e.g. counting objects) run on the server.
+ */
+const GIT_PROGRESS_STAGES = {
+  'Receiving objects': [0, 0.8],
+  'Resolving deltas': [0.8, 0.95],
+  'Updating files': [0.95, 1],
+};
+
+// Overall progress range of cloning, between the start of processRepo and the file walk
+const CLONE_PROGRESS = { phase: 'cloning', from: 0.1, to: 0.15 };
+
+// Directory levels shown in the tree of a chunked output's first part; deeper ones are collapsed
+const CHUNKED_TREE_DEPTH = 3;
+
+// Times a chunked output is planned again when a generated part still exceeds its token budget
+const CHUNK_PLAN_ATTEMPTS = 5;
+
 /**
  * Binary file signatures (magic numbers) to detect binary files
  * This helps to properly handle binary files without trying to read them as text
@@ -32,7 +91,9 @@ const BINARY_FILE_SIGNATURES = [
 
 // Configuration defaults
 const DEFAULT_CONFIG = {
-  format: 'text', // Output format: text, json, or markdown
+  format: 'text', // Output format: text, json, markdown, or xml
+  ref: null, // Branch, tag or full commit SHA to check out (default branch if not set)
+  diff: null, // Only combine files changed in a range: 'base..head', or 'base...head' (merge base)
   skipDirs: ['node_modules', '.git', 'dist', 'build', 'coverage', '.github', '.vscode'],
   skipFiles: [
     '.DS_Store',
@@ -62,10 +123,42 @@ const DEFAULT_CONFIG = {
     '.exe',
     '.dll',
   ],
+  // Glob patterns matched against the relative path. The skip lists and exclude patterns always
+  // win; when include is non-empty, only files matching at least one include pattern are kept.
+  include: [],
+  exclude: [],
   // Use path.join and path.normalize for cross-platform path compatibility
   tempDir: path.normalize(path.join(os.tmpdir(), 'repo-combiner')),
+  provider: null, // Git host: 'github', 'gitlab', 'bitbucket' or 'gitea' (default: detected from the URL)
+  apiBaseUrl: null, // Provider API (default: api.github.com, or derived from the host, e.g. <host>/api/v3)
+  tarballBaseUrl: null, // Tarball API used to download repositories without git (default: apiBaseUrl)
+  cache: false, // Keep clones in cacheDir and only fetch what changed on later runs
+  cacheDir: null, // Clone cache directory (default: ~/.cache/repo-combiner)
+  cacheMaxSizeMB: DEFAULT_CACHE_MAX_SIZE_MB, // Evict the least recently used clones beyond this size
+  zipball: false, // Browser: download the repository as one zipball instead of file by file
+  zipballUrl: null, // Browser: zipball URL template with {owner}, {repo} and {ref}, e.g. a proxy
+  responseCache: false, // Browser: keep responses across sessions (IndexedDB, or a directory in Node)
+  responseCacheDir: null, // Browser in Node: cache directory (default: ~/.cache/repo-combiner-responses)
+  responseCacheTTL: DEFAULT_RESPONSE_CACHE_TTL, // Browser: drop responses not revalidated for this long
+  responseCacheMaxSizeMB: DEFAULT_RESPONSE_CACHE_MAX_SIZE_MB, // Browser: evict LRU responses beyond this
   preserveStructure: true,
+  gitHistory: false, // Annotate files with their last commit date, author and SHA (fetches history)
+  respectGitignore: true, // Skip files matched by .gitignore files and .git/info/exclude
   maxFileSizeMB: 10,
+  maxTokensPerChunk: 0, // Split output into parts of at most this many tokens (0 = single output)
+  tokenizer: 'estimate', // Token counting: 'estimate' (fast heuristic), 'cl100k' or 'o200k' (bundled BPE)
+  countTokens: null, // Custom countTokens(text) function; takes precedence over tokenizer
+  model: null, // Model profile whose context window sets the token budget (see MODEL_PROFILES)
+  maxTokens: 0, // Explicit token budget for file content (overrides the model budget, 0 = none)
+  budgetAction: 'warn', // What to do when the budget is exceeded: warn, fail, or trim
+  mode: 'full', // 'full' content, or 'outline' (signatures and docs only, where supported)
+  strip: [], // Save tokens: comments, blank-lines, license-headers, trailing-whitespace
+  secretScan: 'warn', // Secret detection: off, warn, redact (replace with placeholders), or fail
+  secretAllowlist: null, // Allowlist file path, or array of entries, for secret false positives
+  tree: true, // Include a directory tree of the combined files
+  treeAnnotations: false, // Annotate tree entries with size, lines and tokens
+  treeShowSkipped: true, // Show skipped directories and files in the tree, with the reason
+  outputStream: null, // Writable stream to write output to as files are processed (Node.js only)
   concurrency: 5, // Number of concurrent file operations
   timeout: 300000, // Timeout for operations in milliseconds (5 minutes)
   auth: {
@@ -93,6 +186,7 @@ class RepoCombiner {
       totalFiles: 0,
       totalSize: 0,
       totalTokens: 0, // Initialize explicitly to zero
+      tokensSaved: 0, // Tokens removed by the strip option
       skippedFiles: 0,
       skippedSize: 0,
       startTime: null,
@@ -105,9 +199,26 @@ class RepoCombiner {
       this.stats.totalTokens = 0;
     }
 
+    this.revision = null; // { ref, commit } of the processed repository, once known
+    this.fileHistory = null; // Last commit of each path ({ commit, date, author }) with gitHistory
+    this.diffRange = null; // Requested diff range ({ base, head, mergeBase, pullRequest })
+    this.diff = null; // Changes in the diff range ({ ...range, baseCommit, headCommit, changes })
+    this.chunkInfo = null; // { index, total } while generating one part of a chunked output
+    this._treeFiles = null; // All files of a chunked output while its parts are generated
+    this._stream = null; // Streaming writer state while outputStream is in use
+    this.tokenCounter = null; // Token counting function for the configured tokenizer
+    this.tokenizerName = null; // Name of the tokenizer used for the token counts
+    this.budget = null; // Token budget assessment of the last run
+    this.outputMode = 'full'; // Validated output mode
+    this.stripModes = []; // Validated strip modes, in the order they are applied
+    this.secretScanner = null; // Secret scanner for the configured allowlist
+    this.secrets = []; // Potential secrets found in the last run ({ path, rule, line, preview })
+    this.skipped = []; // Skipped directories and files ({ path, type, reason }) for the tree
     this.aborted = false;
-    this.activePromises = new Set();
     this.cacheMap = new Map(); // Cache for expensive operations
+    this._gitAvailable = null; // Whether git is installed, once checked
+    this._gitAuthArgs = []; // Git arguments that authenticate fetches from the cloned remote
+    this._abortController = new AbortController(); // Aborted by abort() to stop the current run
   }
 
   /**
@@ -150,30 +261,541 @@ class RepoCombiner {
    * @private
    */
   _estimateTokenCount(text) {
-    if (!text || typeof text !== 'string') return 0;
+    return estimateTokenCount(text);
+  }
+
+  /**
+   * Count tokens with the configured tokenizer
+   * Falls back to the estimate until _initTokenizer has loaded a BPE tokenizer.
+   * @param {string} text - The text to count
+   * @returns {number} Token count
+   * @private
+   */
+  _countTokens(text) {
+    const counter = this.config.countTokens || this.tokenCounter || estimateTokenCount;
+    const count = text ? Number(counter(text)) : 0;
+    return isNaN(count) ? 0 : count;
+  }
+
+  /**
+   * Load the tokenizer selected in the configuration
+   * @param {Object} config Configuration options
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _initTokenizer(config) {
+    if (typeof config.countTokens === 'function') {
+      this.tokenizerName = 'custom';
+      return;
+    }
+
+    this.tokenCounter = await createTokenCounter(config.tokenizer);
+    this.tokenizerName = typeof config.tokenizer === 'function' ? 'custom' : config.tokenizer;
+  }
+
+  /**
+   * Validate the model, maxTokens and budgetAction options
+   * @param {Object} config Configuration options
+   * @throws {Error} If an option is invalid or unsupported with the other options
+   * @private
+   */
+  _validateBudgetOptions(config) {
+    if (!['warn', 'fail', 'trim'].includes(config.budgetAction)) {
+      throw new Error(
+        `Invalid budgetAction: ${config.budgetAction}. Expected one of: warn, fail, trim`
+      );
+    }
+
+    // Throws for unknown models
+    assessTokenBudget(0, config);
+
+    if (config.budgetAction === 'trim' && config.outputStream) {
+      throw new Error("budgetAction 'trim' cannot be combined with outputStream");
+    }
+  }
+
+  /**
+   * Count the tokens of the whole output: file contents plus headers, tree, metadata and markup
+   * Streamed files no longer hold their content, so their output is measured without it and the
+   * token counts of the contents are added.
+   * @param {Object} config Configuration options
+   * @returns {number} Token count of the output in the configured format
+   * @private
+   */
+  _countOutputTokens(config) {
+    const files = this.files;
+    const elapsedTime = this.stats.elapsedTime;
+    const streamed = Boolean(config.outputStream);
+
+    try {
+      // The processing time is only known once the output has been generated
+      this.stats.elapsedTime = elapsedTime || Date.now() - this.stats.startTime;
+      if (streamed) {
+        this.files = files.map(file => ({ ...file, content: '' }));
+      }
+      const output = this.generateOutput(config.format);
+      const tokens = this._countTokens(
+        typeof output === 'string' ? output : JSON.stringify(output, null, 2)
+      );
+      return streamed ? tokens + Number(this.stats.totalTokens || 0) : tokens;
+    } finally {
+      this.files = files;
+      this.stats.elapsedTime = elapsedTime;
+    }
+  }
+
+  /**
+   * Assess the output against the token budget and apply the budget action
+   * The whole output is measured, so the markup around file contents counts against the budget.
+   * @param {Object} config Configuration options
+   * @returns {Object} Budget assessment (also stored in this.budget)
+   * @throws {Error} If the budget is exceeded and budgetAction is 'fail'
+   * @private
+   */
+  _applyTokenBudget(config) {
+    // Assess the content first, so the measured output includes its budget line
+    this.budget = { ...assessTokenBudget(this.stats.totalTokens, config), trimmedFiles: [] };
+    const assessment = assessTokenBudget(this._countOutputTokens(config), config);
+    this.budget = { ...assessment, trimmedFiles: [] };
+
+    if (!assessment.target || assessment.target.fits) {
+      return this.budget;
+    }
+
+    const { budget, name } = assessment.target;
+    const description =
+      `${this._formatTokenCount(assessment.tokens)} tokens exceed the budget of ` +
+      `${this._formatTokenCount(budget)} tokens${name ? ` for ${name}` : ''}`;
+
+    if (config.budgetAction === 'fail') {
+      const error = new Error(`Token budget exceeded: ${description}`);
+      error.budget = this.budget;
+      throw error;
+    }
+
+    if (config.budgetAction === 'trim') {
+      // Trim the contents to what the markup leaves of the budget, then measure again, since
+      // the markup of the files that are left may still tip the output over
+      const trimmedFiles = [];
+      let outputTokens = assessment.tokens;
+      while (outputTokens > budget && this.files.length > 0) {
+        const markupTokens = outputTokens - Number(this.stats.totalTokens || 0);
+        trimmedFiles.push(...this._trimToBudget(Math.max(0, budget - markupTokens)));
+        this.budget = { ...assessTokenBudget(outputTokens, config), trimmedFiles };
+        outputTokens = this._countOutputTokens(config);
+      }
+      this.budget = { ...assessTokenBudget(outputTokens, config), trimmedFiles };
+      console.warn(
+        this.budget.target.fits
+          ? `Warning: ${description}; trimmed ${trimmedFiles.length} lowest-priority files to fit`
+          : `Warning: ${description}; the output doesn't fit even without any files`
+      );
+    } else {
+      console.warn(`Warning: ${description}`);
+    }
+
+    return this.budget;
+  }
+
+  /**
+   * Get the priority of a file when trimming to a token budget (higher is kept longer)
+   * Manifests and top-level READMEs come first, then source, then other documentation,
+   * and tests, fixtures, examples and generated files are dropped first.
+   * @param {Object} file File object
+   * @returns {number} Priority from 0 (lowest) to 3 (highest)
+   * @private
+   */
+  _getFilePriority(file) {
+    const filePath = file.path.split('\\').join('/');
+    const fileName = path.posix.basename(filePath).toLowerCase();
+
+    if (
+      !filePath.includes('/') &&
+      (/^readme(\.|$)/.test(fileName) ||
+        ['package.json', 'pyproject.toml', 'cargo.toml', 'go.mod', 'pom.xml'].includes(fileName))
+    ) {
+      return 3;
+    }
+
+    if (
+      /(^|\/)(tests?|__tests__|__mocks__|spec|fixtures?|examples?|docs?)\//i.test(filePath) ||
+      /\.(test|spec)\.[^.]+$/.test(fileName) ||
+      /\.min\.(js|css)$|\.map$/.test(fileName)
+    ) {
+      return 0;
+    }
+
+    if (['.md', '.markdown', '.rst', '.txt'].includes(path.posix.extname(fileName))) {
+      return 1;
+    }
+
+    return 2;
+  }
+
+  /**
+   * Drop the lowest-priority files until the total token count of their contents fits a budget
+   * Within a priority, larger files are dropped first.
+   * @param {number} budget Token budget for the file contents
+   * @returns {Array<Object>} Dropped files (path, tokens, priority)
+   * @private
+   */
+  _trimToBudget(budget) {
+    const candidates = [...this.files].sort(
+      (a, b) =>
+        this._getFilePriority(a) - this._getFilePriority(b) ||
+        (b.tokenCount || 0) - (a.tokenCount || 0) ||
+        b.path.localeCompare(a.path)
+    );
+
+    const dropped = new Set();
+    let totalTokens = Number(this.stats.totalTokens || 0);
+    for (const file of candidates) {
+      if (totalTokens <= budget) break;
+      dropped.add(file);
+      totalTokens -= file.tokenCount || 0;
+    }
+
+    // Dropping a large file can free more than needed; put back what fits, highest priority first
+    for (const file of [...dropped].reverse()) {
+      if (totalTokens + (file.tokenCount || 0) <= budget) {
+        dropped.delete(file);
+        totalTokens += file.tokenCount || 0;
+      }
+    }
+
+    this.files = this.files.filter(file => !dropped.has(file));
+    const droppedFiles = [...dropped];
+    droppedFiles.forEach(file => this._recordSkipped(file.path, 'file', 'token budget'));
+    this.stats.totalFiles -= droppedFiles.length;
+    this.stats.totalSize -= droppedFiles.reduce((sum, file) => sum + (file.size || 0), 0);
+    this.stats.totalTokens = totalTokens;
+    this.stats.skippedFiles += droppedFiles.length;
+
+    return droppedFiles.map(file => ({
+      path: file.path,
+      tokens: file.tokenCount || 0,
+      priority: this._getFilePriority(file),
+    }));
+  }
+
+  /**
+   * Get the header line describing the token budget
+   * @returns {string} Budget line, or an empty string when no budget is set
+   * @private
+   */
+  _getBudgetLine() {
+    if (!this.budget || !this.budget.target) return '';
+
+    const { target, trimmedFiles } = this.budget;
+    let line =
+      `Token budget: ${this._formatTokenCount(this.budget.tokens)} of ` +
+      `${this._formatTokenCount(target.budget)}${target.name ? ` (${target.name})` : ''}\n`;
+    if (trimmedFiles.length > 0) {
+      line += `Trimmed to fit: ${trimmedFiles.length} files\n`;
+    }
+    return line;
+  }
+
+  /**
+   * Get the budget summary for JSON output
+   * @returns {Object|null} Budget target, fit and trimmed files, or null when no budget is set
+   * @private
+   */
+  _getBudgetMeta() {
+    if (!this.budget || !this.budget.target) return null;
+    return {
+      ...this.budget.target,
+      tokens: this.budget.tokens,
+      trimmedFiles: this.budget.trimmedFiles.map(file => file.path),
+    };
+  }
+
+  /**
+   * Validate the mode option
+   * @param {Object} config Configuration options
+   * @throws {Error} If the mode is unknown
+   * @private
+   */
+  _initOutputMode(config) {
+    const mode = String(config.mode || 'full').toLowerCase();
+    if (!OUTPUT_MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${config.mode}. Expected one of: ${OUTPUT_MODES.join(', ')}`);
+    }
+    this.outputMode = mode;
+  }
+
+  /**
+   * Reduce file content to an outline when outline mode is on and the language supports it
+   * @param {string} content File content
+   * @param {string} extension File extension, used to pick the language
+   * @returns {Object} Content and the mode used for the file ('outline' or 'full')
+   * @private
+   */
+  _outlineContent(content, extension) {
+    if (this.outputMode !== 'outline') return { content, mode: 'full' };
+
+    const outline = outlineContent(content, this.getLanguageFromExtension(extension));
+    return outline === null ? { content, mode: 'full' } : { content: outline, mode: 'outline' };
+  }
+
+  /**
+   * Describe the output mode for the summary
+   * @returns {string} Mode, with the number of outlined files in outline mode
+   * @private
+   */
+  _describeMode() {
+    if (this.outputMode !== 'outline') return this.outputMode;
+    const outlined = this.files.filter(file => file.mode === 'outline').length;
+    return `outline (${outlined} files outlined, ${this.files.length - outlined} in full)`;
+  }
+
+  /**
+   * Get the header line describing the output mode
+   * @returns {string} Mode line, or an empty string for full content
+   * @private
+   */
+  _getModeLine() {
+    if (this.outputMode !== 'outline') return '';
+    return `Mode: ${this._describeMode()}\n`;
+  }
+
+  /**
+   * Validate the strip option
+   * @param {Object} config Configuration options
+   * @throws {Error} If a strip mode is unknown
+   * @private
+   */
+  _initStrip(config) {
+    const modes = (typeof config.strip === 'string' ? config.strip.split(',') : config.strip || [])
+      .map(mode => String(mode).trim())
+      .filter(Boolean);
+
+    const invalid = modes.filter(mode => !STRIP_MODES.includes(mode));
+    if (invalid.length > 0) {
+      throw new Error(
+        `Invalid strip mode: ${invalid.join(', ')}. Expected any of: ${STRIP_MODES.join(', ')}`
+      );
+    }
+
+    this.stripModes = STRIP_MODES.filter(mode => modes.includes(mode));
+  }
+
+  /**
+   * Strip comments and whitespace from file content as configured
+   * @param {string} content File content
+   * @param {string} extension File extension, used to pick the comment syntax
+   * @returns {Object} Stripped content, the number of tokens saved and the token count of the
+   * stripped content (null when it wasn't counted)
+   * @private
+   */
+  _stripContent(content, extension) {
+    if (this.stripModes.length === 0) return { content, tokensSaved: 0, tokenCount: null };
+
+    const language = this.getLanguageFromExtension(extension);
+    const stripped = stripContent(content, language, this.stripModes);
+    if (stripped === content) return { content, tokensSaved: 0, tokenCount: null };
+
+    const tokenCount = this._countTokens(stripped);
+    const tokensSaved = Math.max(0, this._countTokens(content) - tokenCount);
+    return { content: stripped, tokensSaved, tokenCount };
+  }
+
+  /**
+   * Describe the strip result for the summary
+   * @returns {string} Strip modes and tokens saved
+   * @private
+   */
+  _describeStrip() {
+    if (this.stripModes.length === 0) return 'nothing';
+    return (
+      `${this.stripModes.join(', ')} ` +
+      `(${this._formatTokenCount(this.stats.tokensSaved)} tokens saved)`
+    );
+  }
+
+  /**
+   * Get the header line describing what was stripped
+   * @returns {string} Strip line, or an empty string when nothing is stripped
+   * @private
+   */
+  _getStripLine() {
+    if (this.stripModes.length === 0) return '';
+    return `Stripped: ${this._describeStrip()}\n`;
+  }
+
+  /**
+   * Get the strip summary for JSON output
+   * @returns {Object|null} Strip modes and tokens saved, or null when nothing is stripped
+   * @private
+   */
+  _getStripMeta() {
+    if (this.stripModes.length === 0) return null;
+    return { modes: [...this.stripModes], tokensSaved: Number(this.stats.tokensSaved || 0) };
+  }
+
+  /**
+   * Validate the secretScan option and load the secret allowlist
+   * @param {Object} config Configuration options
+   * @returns {Promise<void>}
+   * @throws {Error} If the mode is invalid or the allowlist can't be read
+   * @private
+   */
+  async _initSecretScan(config) {
+    if (!SECRET_SCAN_MODES.includes(config.secretScan)) {
+      throw new Error(
+        `Invalid secretScan: ${config.secretScan}. Expected one of: ${SECRET_SCAN_MODES.join(', ')}`
+      );
+    }
+
+    let allowlist = [];
+    if (Array.isArray(config.secretAllowlist)) {
+      allowlist = config.secretAllowlist;
+    } else if (config.secretAllowlist) {
+      allowlist = parseSecretAllowlist(await this._readSecretAllowlist(config.secretAllowlist));
+    }
+
+    this.secretScanner = config.secretScan === 'off' ? null : createSecretScanner({ allowlist });
+  }
+
+  /**
+   * Read a secret allowlist file
+   * @param {string} filePath Allowlist file path
+   * @returns {Promise<string>} File content
+   * @private
+   */
+  async _readSecretAllowlist(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read secret allowlist ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan file content for secrets and record the findings
+   * In redact mode each secret is replaced with a [REDACTED:<rule>] placeholder.
+   * @param {string} relativePath Path relative to the repository root
+   * @param {string} content File content
+   * @returns {string|null} Content to combine (redacted in redact mode), or null when the file
+   *   must be withheld because it can't be held back later (fail mode while streaming)
+   * @private
+   */
+  _scanSecrets(relativePath, content) {
+    if (!this.secretScanner) return content;
+
+    const findings = this.secretScanner.scan(content, relativePath);
+    if (findings.length === 0) return content;
+
+    findings.forEach(finding => {
+      this.secrets.push({
+        path: relativePath,
+        rule: finding.rule,
+        line: finding.line,
+        preview: maskSecret(finding.value),
+      });
+    });
+
+    if (this.config.secretScan === 'fail' && this._stream) {
+      return null;
+    }
+
+    return this.config.secretScan === 'redact'
+      ? this.secretScanner.redact(content, findings)
+      : content;
+  }
+
+  /**
+   * Report the secrets found while processing and apply the secretScan mode
+   * @param {Object} config Configuration options
+   * @throws {Error} If secrets were found and secretScan is 'fail'
+   * @private
+   */
+  _applySecretPolicy(config) {
+    if (this.secrets.length === 0) return;
+
+    const fileCount = new Set(this.secrets.map(finding => finding.path)).size;
+    const description = `${this.secrets.length} potential secrets in ${fileCount} files`;
+
+    if (config.secretScan === 'fail') {
+      const error = new Error(`Secrets detected: ${description}`);
+      error.secrets = [...this.secrets];
+      throw error;
+    }
+
+    const action = config.secretScan === 'redact' ? 'redacted' : 'found';
+    console.warn(`Warning: ${action} ${description}:`);
+    this.secrets.forEach(finding => {
+      console.warn(`  ${finding.path}:${finding.line} ${finding.rule} (${finding.preview})`);
+    });
+  }
 
-    // Simple tokenization approach based on whitespace and common punctuation
-    // This is an approximation; actual LLM tokenizers are more sophisticated
-    const cleanText = text
-      .replace(/[.,/#!$%^&*;:{}=\-_`~()[\]<>]/g, ' $& ') // Add spaces around punctuation
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
+  /**
+   * Describe the secret scan result for the summary
+   * @returns {string} Secret scan description
+   * @private
+   */
+  _describeSecrets() {
+    if (this.config.secretScan === 'off') return 'scan disabled';
+    if (this.secrets.length === 0) return 'none found';
+
+    const fileCount = new Set(this.secrets.map(finding => finding.path)).size;
+    const action = this.config.secretScan === 'redact' ? ', redacted' : '';
+    return `${this.secrets.length} potential secrets in ${fileCount} files${action}`;
+  }
+
+  /**
+   * Get the secret scan report for JSON output
+   * @returns {Object|null} Mode and findings, or null when scanning is off
+   * @private
+   */
+  _getSecretsMeta() {
+    if (this.config.secretScan === 'off') return null;
+    return {
+      mode: this.config.secretScan,
+      total: this.secrets.length,
+      findings: this.secrets.map(finding => ({ ...finding })),
+    };
+  }
 
-    // Split on whitespace for a rough token count
-    const tokens = cleanText.split(/\s+/);
+  /**
+   * Get a compiled glob pattern, caching the result
+   * @param {string} pattern Glob pattern
+   * @returns {RegExp} Compiled pattern
+   * @private
+   */
+  _getGlobRegExp(pattern) {
+    const cacheKey = `glob:${pattern}`;
+    if (!this.cacheMap.has(cacheKey)) {
+      this.cacheMap.set(cacheKey, globToRegExp(pattern));
+    }
+    return this.cacheMap.get(cacheKey);
+  }
 
-    // For better accuracy - account for the encoding efficiency
-    // Most LLM tokenizers use about 4 characters per token on average for English text
-    const approximateCharactersPerToken = 4;
-    const charCount = text.length;
+  /**
+   * Check a relative path against the include/exclude glob patterns
+   * Exclude patterns take precedence over include patterns. Directories are only pruned by
+   * exclude patterns, since files inside them may still match an include pattern.
+   * @param {string} relativePath Path relative to the repository root
+   * @param {boolean} isDirectory Whether the path is a directory
+   * @param {Object} config Configuration options
+   * @returns {boolean} True if the path should be processed
+   * @private
+   */
+  _passesPathFilters(relativePath, isDirectory = false, config = this.config) {
+    const normalizedPath = relativePath.split('\\').join('/');
+    const include = [].concat(config.include || []);
+    const exclude = [].concat(config.exclude || []);
+    const candidates = isDirectory ? [normalizedPath, `${normalizedPath}/`] : [normalizedPath];
+
+    if (exclude.some(pattern => candidates.some(c => this._getGlobRegExp(pattern).test(c)))) {
+      return false;
+    }
 
-    // Estimate based on raw tokens and character count
-    let rawTokenCount = tokens.length;
-    let charBasedCount = Math.ceil(charCount / approximateCharactersPerToken);
+    if (isDirectory || include.length === 0) {
+      return true;
+    }
 
-    // Use the average of both approaches, but ensure we have at least 1 token for non-empty text
-    const result = Math.max(1, Math.round((rawTokenCount + charBasedCount) / 2));
-    return isNaN(result) ? 0 : result;
+    return include.some(pattern => this._getGlobRegExp(pattern).test(normalizedPath));
   }
 
   /**
@@ -209,11 +831,22 @@ class RepoCombiner {
     return path.join(dir, `${base}_${dateTime}${ext}`);
   }
 
+  /**
+   * Resolve a local directory input to an absolute path (see resolveLocalDirectory)
+   * @param {string} input Repository URL or local directory path
+   * @returns {Promise<string|null>} Absolute directory path, or null if input is not local
+   * @throws {Error} If a path-like input does not point to a readable directory
+   * @private
+   */
+  _resolveLocalDirectory(input) {
+    return resolveLocalDirectory(input);
+  }
+
   /**
    * Main method to process a repository
-   * @param {string} repoUrl GitHub repository URL
+   * @param {string} repoUrl GitHub repository URL or path to a local directory
    * @param {Object} options Processing options
-   * @returns {Promise<string|Object>} Combined repository content
+   * @returns {Promise<string|Object|Array>} Combined repository content (an array of parts when chunked)
    * @throws {Error} If the repository URL is invalid or processing fails
    */
   async processRepo(repoUrl, options = {}) {
@@ -222,7 +855,17 @@ class RepoCombiner {
       throw new Error('Repository URL is required and must be a string');
     }
 
+    // A pull request URL combines the files changed by the pull request
+    const pullRequest = parsePullRequestUrl(repoUrl);
+    if (pullRequest) {
+      repoUrl = pullRequest.repoUrl;
+    }
+
+    // Local directories are read in place, without cloning or cleanup
+    const localDir = await this._resolveLocalDirectory(repoUrl);
+
     if (
+      !localDir &&
       !repoUrl.match(/^(https?:\/\/|git@)([a-zA-Z0-9-]+\.)+[a-zA-Z0-9]{2,}(\/|:)[^\s]+\/[^\s]+$/)
     ) {
       throw new Error(
@@ -230,54 +873,127 @@ class RepoCombiner {
       );
     }
 
-    // Merge options with existing config
-    const config = { ...this.config, ...options };
+    // Merge options with existing config; the signal only applies to this run
+    const { signal, ...overrides } = options;
+    const config = { ...this.config, ...overrides };
     this.config = config;
 
+    if (config.outputStream && config.maxTokensPerChunk > 0) {
+      throw new Error('maxTokensPerChunk cannot be combined with outputStream');
+    }
+    if (config.provider) {
+      getProvider(config.provider);
+    }
+
+    // Load the tokenizer and check the budget options up front so mistakes fail before any cloning
+    await this._initTokenizer(config);
+    this._validateBudgetOptions(config);
+    this._initOutputMode(config);
+    this._initStrip(config);
+    await this._initSecretScan(config);
+
     // Reset state for new processing
     this.files = [];
     this.stats = {
       totalFiles: 0,
       totalSize: 0,
+      tokensSaved: 0,
       skippedFiles: 0,
       skippedSize: 0,
       startTime: Date.now(),
       endTime: null,
       elapsedTime: 0,
     };
+    this.revision = null;
+    this.fileHistory = null;
+    this.diff = null;
+    this.diffRange = null;
+    this.budget = null;
+    this.secrets = [];
+    this.skipped = [];
+    this._stream = null;
+    this._treeFiles = null;
+    this._gitAuthArgs = [];
     this.aborted = false;
+    const unlinkSignal = this._linkAbortSignal(signal);
+    let repoDir = null;
+    let runDir = null;
+    let cacheEntry = null;
+    let releaseCacheEntry = null;
 
     try {
+      this._throwIfAborted();
       this._reportProgress(`Processing repository: ${repoUrl}`, 0, 'initializing');
+      this.diffRange = await this._resolveDiffRange(config, pullRequest);
+      this._throwIfAborted();
 
-      // Create temporary directory if it doesn't exist
-      try {
-        await fs.mkdir(config.tempDir, { recursive: true });
-      } catch (err) {
-        // Handle the case where directory already exists or other errors
-        if (err.code !== 'EEXIST') throw err;
+      // Without git, repositories are downloaded as tarballs, which carry no history
+      if (!(await this._isGitAvailable())) {
+        if (this.diffRange) {
+          throw new Error('Diff mode requires git, which was not found. Install git and try again');
+        }
+        if (config.gitHistory) {
+          console.warn(
+            'Warning: git was not found; gitHistory is ignored and file dates come from the disk'
+          );
+        }
       }
 
-      // Clone/fetch the repository
-      this._reportProgress('Cloning repository...', 0.1, 'cloning');
-      const repoDir = await this.cloneRepository(repoUrl, config.tempDir);
+      if (localDir) {
+        this._reportProgress(`Reading local directory: ${localDir}`, 0.1, 'reading');
+        repoDir = localDir;
+      } else if (config.cache) {
+        // Cached clones are locked for the whole run, so concurrent runs wait their turn
+        const cacheKey = getCacheKey(repoUrl, this._getProvider(repoUrl));
+        cacheEntry = path.join(this._getCacheDir(), ...cacheKey.split('/'));
+        releaseCacheEntry = await lockCacheEntry(cacheEntry, {
+          timeout: config.timeout,
+          signal: this._abortController.signal,
+        });
 
-      // Process all files with concurrency control
-      this._reportProgress('Processing files...', 0.2, 'processing');
-      await this.processDirectory(repoDir, config);
+        this._reportProgress('Updating cached clone...', 0.1, 'cloning');
+        repoDir = await this.cloneRepository(repoUrl, path.dirname(cacheEntry));
+      } else {
+        // Each run clones into a directory of its own, so runs never share or collide
+        await fs.mkdir(config.tempDir, { recursive: true });
+        runDir = await fs.mkdtemp(path.join(config.tempDir, 'run-'));
 
-      // Generate output in the requested format
-      this._reportProgress('Generating output...', 0.9, 'generating');
-      const output = this.generateOutput(config.format);
+        this._reportProgress('Cloning repository...', 0.1, 'cloning');
+        repoDir = await this.cloneRepository(repoUrl, runDir);
+      }
 
-      // Clean up temporary files
-      if (!config.keepTemp) {
-        this._reportProgress('Cleaning up temporary files...', 0.95, 'cleaning');
-        await fs.rm(repoDir, { recursive: true, force: true }).catch(err => {
-          console.warn(`Warning: Failed to clean up temporary files: ${err.message}`);
-        });
+      // In diff mode only the changed files are combined
+      if (this.diffRange) {
+        this._reportProgress('Comparing revisions...', 0.15, 'diff');
+        this.diff = await this._readGitDiff(repoDir, this.diffRange, !localDir);
+      }
+
+      // Look up each file's last commit up front, so streamed files are annotated too
+      if (config.gitHistory && (await this._isGitAvailable())) {
+        this._reportProgress('Reading commit history...', 0.15, 'history');
+        this.fileHistory = await this._readGitHistory(repoDir, !localDir);
+      }
+
+      // When streaming, files are written out as soon as they are processed
+      if (config.outputStream) {
+        await this._startStream(config.outputStream, config.format);
       }
 
+      // Process all files with concurrency control
+      this._reportProgress('Processing files...', 0.2, 'processing');
+      await this.processDirectory(repoDir, config);
+      this._throwIfAborted();
+
+      // Report potential secrets (may fail the run)
+      this._applySecretPolicy(config);
+
+      // Check the result against the token budget (may trim files or fail the run)
+      this._applyTokenBudget(config);
+
+      // Generate output in the requested format
+      this._reportProgress('Generating output...', 0.9, 'generating');
+      const output = await this._generateConfiguredOutput(config);
+
       // Update final stats
       this.stats.endTime = Date.now();
       this.stats.elapsedTime = this.stats.endTime - this.stats.startTime;
@@ -293,19 +1009,34 @@ Repository processing completed:
 - Total files processed: ${this.stats.totalFiles}
 - Total size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB
 - Total tokens: ${this._formatTokenCount(this.stats.totalTokens)}
+- Fits models: ${describeFittingModels(this.budget.tokens)}
+- Mode: ${this._describeMode()}
+- Stripped: ${this._describeStrip()}
+- Secrets: ${this._describeSecrets()}
 - Skipped files: ${this.stats.skippedFiles}
 - Skipped size: ${(this.stats.skippedSize / 1024 / 1024).toFixed(2)} MB
 - Processing time: ${(this.stats.elapsedTime / 1000).toFixed(2)} seconds
       `;
 
       this._reportProgress('Processing complete', 1, 'complete');
-      console.log(summaryMessage);
+
+      // Keep stdout free for the data when streaming, since the stream may be process.stdout
+      if (config.outputStream) {
+        console.error(summaryMessage);
+      } else {
+        console.log(summaryMessage);
+      }
 
       return output;
     } catch (error) {
       this.stats.endTime = Date.now();
       this.stats.elapsedTime = this.stats.endTime - this.stats.startTime;
 
+      // Aborted runs reject with an AbortError, whatever the interrupted operation threw
+      if (this._abortController.signal.aborted) {
+        throw this._createAbortError();
+      }
+
       this._reportProgress(`Error: ${error.message}`, undefined, 'error');
 
       console.error('Error processing repository:', error.message);
@@ -316,21 +1047,654 @@ Repository processing completed:
       enhancedError.stats = { ...this.stats };
 
       throw enhancedError;
+    } finally {
+      unlinkSignal();
+
+      // Clean up temporary files, also after errors (never touch a local directory we were pointed at)
+      if (runDir && !config.keepTemp) {
+        this._reportProgress('Cleaning up temporary files...', 0.95, 'cleaning');
+        await fs.rm(runDir, { recursive: true, force: true }).catch(err => {
+          console.warn(`Warning: Failed to clean up temporary files: ${err.message}`);
+        });
+      }
+
+      // Cached clones are kept for the next run, within the size limit
+      if (releaseCacheEntry) {
+        await this._releaseCacheEntry(cacheEntry, releaseCacheEntry);
+      }
+    }
+  }
+
+  /**
+   * Get the clone cache directory
+   * @returns {string} Absolute cache directory
+   * @private
+   */
+  _getCacheDir() {
+    return path.resolve(this.config.cacheDir || getDefaultCacheDir());
+  }
+
+  /**
+   * Mark a cached clone as used, unlock it and evict old clones beyond cacheMaxSizeMB
+   * Failures only warn, since the run itself succeeded or failed already.
+   * @param {string} cacheEntry Cache entry directory
+   * @param {Function} release Function that releases the entry's lock
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseCacheEntry(cacheEntry, release) {
+    try {
+      if (existsSync(cacheEntry)) {
+        await touchCacheEntry(cacheEntry);
+      }
+      await release();
+
+      const { removed } = await pruneCache(this._getCacheDir(), {
+        maxSize: this.config.cacheMaxSizeMB * 1024 * 1024,
+        keep: [cacheEntry],
+      });
+      if (removed.length > 0) {
+        this._reportProgress(
+          `Evicted ${removed.length} cached ${removed.length === 1 ? 'clone' : 'clones'}: ` +
+            removed.map(entry => entry.key).join(', '),
+          0.95,
+          'cleaning'
+        );
+      }
+    } catch (error) {
+      console.warn(`Warning: Failed to update the clone cache: ${error.message}`);
     }
   }
 
   /**
    * Cancel processing
+   * Running git commands, requests and file reads are stopped, and processRepo rejects with an
+   * AbortError.
    */
   abort() {
+    if (this._abortController.signal.aborted) return;
     this.aborted = true;
-    // Cancel all active promises if possible
-    for (const promise of this.activePromises) {
-      if (promise.cancel && typeof promise.cancel === 'function') {
-        promise.cancel();
+    this._abortController.abort();
+    this._reportProgress('Processing aborted', undefined, 'aborted');
+  }
+
+  /**
+   * Start the abort controller of a run, aborting it when the caller's signal fires
+   * @param {AbortSignal} [signal] Signal passed to processRepo
+   * @returns {Function} Function that stops listening to the signal
+   * @private
+   */
+  _linkAbortSignal(signal) {
+    this._abortController = new AbortController();
+    if (!signal) return () => {};
+
+    const onAbort = () => this.abort();
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
+  /**
+   * Create the error that aborted runs reject with
+   * @returns {Error} Error named AbortError, with the stats of the files processed so far
+   * @private
+   */
+  _createAbortError() {
+    const error = new Error('Processing aborted');
+    error.name = 'AbortError';
+    error.stats = { ...this.stats };
+    return error;
+  }
+
+  /**
+   * Throw an AbortError if the run has been aborted
+   * @throws {Error} AbortError
+   * @private
+   */
+  _throwIfAborted() {
+    if (this._abortController.signal.aborted) {
+      throw this._createAbortError();
+    }
+  }
+
+  /**
+   * Get the signal for a request, which is aborted with the run or after config.timeout
+   * @returns {AbortSignal} Signal
+   * @private
+   */
+  _getRequestSignal() {
+    // AbortSignal.any is missing from older runtimes, which then don't time requests out
+    if (typeof AbortSignal.any !== 'function' || typeof AbortSignal.timeout !== 'function') {
+      return this._abortController.signal;
+    }
+    return AbortSignal.any([
+      this._abortController.signal,
+      AbortSignal.timeout(this.config.timeout),
+    ]);
+  }
+
+  /**
+   * Wait for a while, unless the run is aborted first
+   * @param {number} ms Milliseconds to wait
+   * @returns {Promise<void>}
+   * @throws {Error} AbortError if the run is aborted while waiting
+   * @private
+   */
+  _wait(ms) {
+    const signal = this._abortController.signal;
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(this._createAbortError());
+        return;
       }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Run a git command in a child process, without blocking the event loop
+   * The process is killed when it runs longer than config.timeout or when abort() is called.
+   * @param {Array<string>} args Git arguments
+   * @param {Object} options Run options
+   * @param {Object} options.progress Report git's --progress output (args must include
+   *   --progress) as { phase, from, to }, the overall progress range of the operation
+   * @returns {Promise<string>} Trimmed stdout of the command
+   * @throws {Error} If git fails (with its exit status, stdout and stderr), times out or is aborted
+   * @private
+   */
+  _runGit(args, { progress = null } = {}) {
+    const signal = this._abortController.signal;
+    if (signal.aborted) return Promise.reject(this._createAbortError());
+
+    // The subcommand names the operation in errors; the arguments may hold credentials
+    const command = args.find(
+      (arg, index) => !arg.startsWith('-') && !['-C', '-c'].includes(args[index - 1])
+    );
+
+    return new Promise((resolve, reject) => {
+      // On POSIX, git runs in its own process group, so that its helpers (e.g. git-remote-https)
+      // are killed along with it
+      const detached = process.platform !== 'win32';
+      const child = spawn('git', args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached,
+        windowsHide: true,
+      });
+      const stdout = [];
+      const stderr = [];
+      let lastProgress = null;
+      let settled = false;
+
+      const kill = () => {
+        try {
+          if (detached) {
+            process.kill(-child.pid, 'SIGTERM');
+          } else {
+            child.kill();
+          }
+        } catch (error) {
+          // The process has already exited
+        }
+      };
+      const settle = (error, output) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      };
+      const onAbort = () => {
+        kill();
+        settle(this._createAbortError());
+      };
+      const timer = setTimeout(() => {
+        kill();
+        settle(new Error(`git ${command} timed out after ${this.config.timeout / 1000} seconds`));
+      }, this.config.timeout);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => {
+        stderr.push(chunk);
+        if (progress) {
+          lastProgress = this._reportGitProgress(chunk.toString(), progress, lastProgress);
+        }
+      });
+
+      child.on('error', error => settle(error));
+      child.on('close', code => {
+        if (code === 0) {
+          settle(null, Buffer.concat(stdout).toString().trim());
+          return;
+        }
+
+        const error = new Error(
+          `git ${command} failed with exit code ${code}: ${Buffer.concat(stderr).toString().trim()}`
+        );
+        error.status = code;
+        error.stdout = Buffer.concat(stdout);
+        error.stderr = Buffer.concat(stderr);
+        settle(error);
+      });
+    });
+  }
+
+  /**
+   * Report the percentages in git's --progress output as progress events
+   * @param {string} text Chunk of git's stderr, where progress updates end with carriage returns
+   * @param {Object} progress Phase and overall progress range ({ phase, from, to })
+   * @param {string|null} lastMessage Last message reported, so repeats are skipped
+   * @returns {string|null} Last message reported
+   * @private
+   */
+  _reportGitProgress(text, { phase, from, to }, lastMessage) {
+    let message = lastMessage;
+
+    for (const line of text.split(/[\r\n]+/)) {
+      const match = /^(?:remote: )?([A-Za-z ]+):\s+(\d+)%/.exec(line);
+      const stage = match && GIT_PROGRESS_STAGES[match[1]];
+      if (!stage || `${match[1]}: ${match[2]}%` === message) continue;
+
+      message = `${match[1]}: ${match[2]}%`;
+      const done = stage[0] + (stage[1] - stage[0]) * (Number(match[2]) / 100);
+      this._reportProgress(message, from + (to - from) * done, phase);
     }
-    this._reportProgress('Processing aborted', undefined, 'aborted');
+
+    return message;
+  }
+
+  /**
+   * Check whether git is installed, once per instance
+   * @returns {Promise<boolean>} True if git can be run
+   * @private
+   */
+  async _isGitAvailable() {
+    if (this._gitAvailable === null) {
+      try {
+        await this._runGit(['--version']);
+        this._gitAvailable = true;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        this._gitAvailable = false;
+      }
+    }
+    return this._gitAvailable;
+  }
+
+  /**
+   * Get the git clone and fetch arguments limiting how much history is downloaded
+   * With gitHistory, all commits and trees are fetched, but file contents only for the checkout.
+   * @returns {Array<string>} Git arguments
+   * @private
+   */
+  _getHistoryArgs() {
+    return this.config.gitHistory || this.diffRange ? ['--filter=blob:none'] : ['--depth=1'];
+  }
+
+  /**
+   * Fetch the full history of a shallow clone
+   * @param {string} repoDir Repository directory
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _unshallow(repoDir) {
+    if ((await this._runGit(['-C', repoDir, 'rev-parse', '--is-shallow-repository'])) === 'true') {
+      this._reportProgress('Fetching commit history...', 0.15, 'fetching');
+      await this._runGit(
+        [
+          ...this._gitAuthArgs,
+          '-C',
+          repoDir,
+          'fetch',
+          '--progress',
+          '--unshallow',
+          '--filter=blob:none',
+        ],
+        { progress: { phase: 'fetching', from: 0.15, to: 0.2 } }
+      );
+    }
+  }
+
+  /**
+   * Resolve the diff range from the diff option or a pull request URL
+   * @param {Object} config Configuration options
+   * @param {Object|null} pullRequest Pull request from parsePullRequestUrl
+   * @returns {Promise<Object|null>} Range ({ base, head, mergeBase, pullRequest }), or null
+   * @throws {Error} If the range is invalid or the pull request can't be fetched
+   * @private
+   */
+  async _resolveDiffRange(config, pullRequest) {
+    if (!pullRequest) {
+      return config.diff ? { ...parseDiffSpec(config.diff), pullRequest: null } : null;
+    }
+    if (config.diff) {
+      throw new Error('diff cannot be combined with a pull request URL, which sets its own range');
+    }
+
+    const { owner, repo, number } = pullRequest;
+    this._reportProgress(`Fetching pull request #${number}...`, 0.05, 'diff');
+    const apiBaseUrl = this._getApiBaseUrl(pullRequest.repoUrl);
+    const response = await this._fetchGitHubApi(
+      `${apiBaseUrl}/repos/${owner}/${repo}/pulls/${number}`
+    );
+    if (!response.ok) {
+      throw new Error(`Pull request not found: #${number} (${response.status})`);
+    }
+
+    // Like GitHub, show the changes since the head branched off the base
+    const pull = await response.json();
+    return { base: pull.base.sha, head: pull.head.sha, mergeBase: true, pullRequest: number };
+  }
+
+  /**
+   * Get the provider of a repository: the provider option, or the one detected from the host
+   * @param {string|null} repoUrl Repository URL (HTTPS or SSH)
+   * @returns {Object} Provider from providers.js
+   * @throws {Error} If the provider option is unknown
+   * @private
+   */
+  _getProvider(repoUrl) {
+    return detectProvider(repoUrl, this.config.provider);
+  }
+
+  /**
+   * Get the API base URL for a repository
+   * apiBaseUrl wins; otherwise the provider derives it from the host: github.com repositories use
+   * api.github.com, and unrecognized hosts are taken to be GitHub Enterprise Server (/api/v3).
+   * @param {string|null} repoUrl Repository URL (HTTPS or SSH)
+   * @returns {string} API base URL, without a trailing slash
+   * @private
+   */
+  _getApiBaseUrl(repoUrl) {
+    if (this.config.apiBaseUrl) {
+      return this.config.apiBaseUrl.replace(/\/+$/, '');
+    }
+
+    const provider = this._getProvider(repoUrl);
+    const repository = parseRepoUrl(repoUrl, provider) || { protocol: 'https', host: 'github.com' };
+    return provider.getApiBaseUrl(repository);
+  }
+
+  /**
+   * Fetch a GitHub API URL, authenticated with the configured token
+   * @param {string} url API URL
+   * @returns {Promise<Response>} Fetch response
+   * @private
+   */
+  _fetchGitHubApi(url) {
+    const headers = { Accept: 'application/vnd.github.v3+json', 'User-Agent': 'repo-combiner' };
+    if (this.config.auth.token) {
+      headers['Authorization'] = `token ${this.config.auth.token}`;
+    } else if (this.config.auth.username && this.config.auth.password) {
+      const credentials = `${this.config.auth.username}:${this.config.auth.password}`;
+      headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    return fetch(url, { headers, signal: this._getRequestSignal() });
+  }
+
+  /**
+   * Find the files changed in a diff range
+   * Clones are compared at the checked out head. Local directories are compared as they are on
+   * disk, including uncommitted changes, so their head must be the checked out commit.
+   * @param {string} repoDir Repository directory, or a directory inside one
+   * @param {Object} range Diff range from _resolveDiffRange
+   * @param {boolean} isClone Whether repoDir was cloned by cloneRepository
+   * @returns {Promise<Object>} Diff ({ ...range, baseCommit, headCommit, changes })
+   * @throws {Error} If a ref can't be found
+   * @private
+   */
+  async _readGitDiff(repoDir, range, isClone) {
+    const git = (args, options) =>
+      this._runGit(['--literal-pathspecs', '-C', repoDir, ...args], options);
+    const refNotFound = (ref, error) => {
+      if (error.name === 'AbortError') return error;
+      return new Error(`Ref not found: ${ref}. Check that the branch, tag or commit SHA exists.`);
+    };
+    const resolveCommit = async ref => {
+      try {
+        return await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+      } catch (error) {
+        throw refNotFound(ref, error);
+      }
+    };
+
+    if (isClone) {
+      await this._unshallow(repoDir);
+      try {
+        await git(
+          [
+            ...this._gitAuthArgs,
+            'fetch',
+            '--progress',
+            ...this._getHistoryArgs(),
+            'origin',
+            range.base,
+          ],
+          { progress: { phase: 'fetching', from: 0.15, to: 0.2 } }
+        );
+      } catch (error) {
+        throw refNotFound(range.base, error);
+      }
+    }
+    const baseCommit = await resolveCommit(isClone ? 'FETCH_HEAD' : range.base);
+    const headCommit = await resolveCommit('HEAD');
+    if (!isClone && range.head && (await resolveCommit(range.head)) !== headCommit) {
+      throw new Error(
+        `Local directories are compared as checked out; check out ${range.head} first`
+      );
+    }
+
+    const from = range.mergeBase ? await git(['merge-base', baseCommit, headCommit]) : baseCommit;
+    const revisions = isClone ? [from, headCommit] : [from];
+    const diffArgs = ['diff', '--relative', '-M', '--no-color', '--no-ext-diff'];
+
+    const nameStatus = await git([...diffArgs, '--name-status', '-z', ...revisions]);
+    const changes = [];
+    for (const change of parseNameStatus(nameStatus)) {
+      if (!this._passesPathFilters(change.path)) continue;
+      if (change.status === 'deleted') {
+        changes.push({ ...change, patch: '' });
+        continue;
+      }
+      const paths = change.previousPath ? [change.previousPath, change.path] : [change.path];
+      const patch = `${await git([...diffArgs, ...revisions, '--', ...paths])}\n`;
+      changes.push({ ...change, patch: this._redactPatch(patch, change.path) });
+    }
+
+    // The working tree of a local directory also counts its untracked files as added
+    if (!isClone) {
+      const untracked = (await git(['ls-files', '--others', '--exclude-standard', '-z']))
+        .split('\0')
+        .filter(filePath => filePath && this._passesPathFilters(filePath));
+      for (const filePath of untracked) {
+        let patch;
+        try {
+          patch = await git([
+            'diff',
+            '--no-index',
+            '--no-color',
+            '--no-ext-diff',
+            '/dev/null',
+            filePath,
+          ]);
+        } catch (error) {
+          // git diff --no-index exits with 1 when the files differ
+          if (error.status !== 1) throw error;
+          patch = error.stdout.toString().trim();
+        }
+        changes.push({
+          status: 'added',
+          path: filePath,
+          previousPath: null,
+          patch: this._redactPatch(`${patch}\n`, filePath),
+        });
+      }
+    }
+
+    return { ...range, head: range.head || 'HEAD', baseCommit, headCommit, changes };
+  }
+
+  /**
+   * Redact secrets from a patch when secretScan is 'redact'
+   * Secrets in the new content are reported when the file itself is scanned.
+   * @param {string} patch Unified diff
+   * @param {string} filePath Path of the changed file
+   * @returns {string} Patch
+   * @private
+   */
+  _redactPatch(patch, filePath) {
+    if (!this.secretScanner || this.config.secretScan !== 'redact') return patch;
+    return this.secretScanner.redact(patch, this.secretScanner.scan(patch, filePath));
+  }
+
+  /**
+   * Get the change of a file, or whether a directory holds changed files, in diff mode
+   * @param {string} relativePath Path relative to the repository directory
+   * @param {boolean} isDirectory Whether the path is a directory
+   * @returns {Object|null} Change ({ status, path, previousPath, patch }), or null if unchanged
+   * @private
+   */
+  _getChange(relativePath, isDirectory = false) {
+    if (!this.diff) return null;
+    const normalizedPath = relativePath.split(path.sep).join('/');
+    return (
+      this.diff.changes.find(
+        change =>
+          change.status !== 'deleted' &&
+          (isDirectory
+            ? change.path.startsWith(`${normalizedPath}/`)
+            : change.path === normalizedPath)
+      ) || null
+    );
+  }
+
+  /**
+   * Get the properties a change adds to a file object
+   * @param {Object|null} change Change from _getChange
+   * @returns {Object} Change properties ({ change, previousPath, diff }), or none without a change
+   * @private
+   */
+  _getChangeFields(change) {
+    if (!change) return {};
+    return { change: change.status, previousPath: change.previousPath, diff: change.patch };
+  }
+
+  /**
+   * Read the last commit of every file from the git history
+   * Shallow clones made by cloneRepository are deepened first. Local directories are read as
+   * they are, so files in a shallow local clone may be attributed to its oldest commit.
+   * @param {string} repoDir Repository directory, or a directory inside one
+   * @param {boolean} isClone Whether repoDir was cloned by cloneRepository
+   * @returns {Promise<Map<string, Object>|null>} Last commit ({ commit, date, author }) by path
+   *   relative to repoDir, or null if there is no history to read
+   * @private
+   */
+  async _readGitHistory(repoDir, isClone) {
+    try {
+      if ((await this._runGit(['-C', repoDir, 'rev-parse', '--is-inside-work-tree'])) !== 'true') {
+        throw new Error('not a git work tree');
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn(`Warning: ${repoDir} is not a git repository; file dates come from the disk`);
+      return null;
+    }
+
+    try {
+      if (isClone) {
+        await this._unshallow(repoDir);
+      }
+
+      // Rename detection would download file contents, so it is turned off
+      const log = await this._runGit([
+        '-C',
+        repoDir,
+        'log',
+        '--relative',
+        '--no-renames',
+        '--name-only',
+        '-z',
+        '--format=%x01%h%x09%cI%x09%an',
+        'HEAD',
+      ]);
+
+      // Commits are listed newest first, so the first commit naming a path is its last change
+      const history = new Map();
+      let commit = null;
+      for (const entry of log.split('\0')) {
+        const token = entry.replace(/^\n/, '');
+        if (token.startsWith('\x01')) {
+          const [sha, date, author] = token.slice(1).split('\t');
+          commit = { commit: sha, date: new Date(date), author };
+        } else if (token && commit && !history.has(token)) {
+          history.set(token, commit);
+        }
+      }
+      return history;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+      console.warn(`Warning: Could not read the git history: ${stderr}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the last commit of a file from the history read by _readGitHistory
+   * @param {string} relativePath Path relative to the repository directory
+   * @returns {Object|null} Last commit ({ commit, date, author }), or null if unknown
+   * @private
+   */
+  _getFileHistory(relativePath) {
+    if (!this.fileHistory) return null;
+    return this.fileHistory.get(relativePath.split(path.sep).join('/')) || null;
+  }
+
+  /**
+   * Fetch a single ref (branch, tag or full commit SHA) into a repository and check it out
+   * @param {string} repoPath Local repository path
+   * @param {string} ref Ref to check out
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkoutRef(repoPath, ref) {
+    await this._runGit(
+      [
+        ...this._gitAuthArgs,
+        '-C',
+        repoPath,
+        'fetch',
+        '--progress',
+        ...this._getHistoryArgs(),
+        'origin',
+        ref,
+      ],
+      { progress: CLONE_PROGRESS }
+    );
+    await this._runGit([
+      '-C',
+      repoPath,
+      'checkout',
+      '--quiet',
+      '--force',
+      '--detach',
+      'FETCH_HEAD',
+    ]);
   }
 
   /**
@@ -348,52 +1712,82 @@ Repository processing completed:
     }
 
     const repoPath = path.join(targetDir, repoName);
+    const ref = (this.diffRange && this.diffRange.head) || this.config.ref;
+
+    if (!(await this._isGitAvailable())) {
+      return this._downloadTarball(repoUrl, repoPath, ref);
+    }
+
+    // Prepare authentication for private repositories; the remote keeps the plain URL
+    this._gitAuthArgs = this._getGitAuthArgs(repoUrl);
 
-    // Prepare authentication for private repositories
-    const authUrl = this.prepareAuthenticatedUrl(repoUrl);
+    // Fresh clone; a ref is fetched explicitly so that commit SHAs work as well as branches/tags
+    const freshClone = async () => {
+      if (ref) {
+        await fs.mkdir(repoPath, { recursive: true });
+        await this._runGit(['-C', repoPath, 'init', '--quiet']);
+        await this._runGit(['-C', repoPath, 'remote', 'add', 'origin', repoUrl]);
+        await this._checkoutRef(repoPath, ref);
+      } else {
+        await this._runGit(
+          [
+            ...this._gitAuthArgs,
+            'clone',
+            '--progress',
+            ...this._getHistoryArgs(),
+            repoUrl,
+            repoPath,
+          ],
+          { progress: CLONE_PROGRESS }
+        );
+      }
+    };
 
     try {
-      // Check if repo directory already exists
-      if (existsSync(repoPath)) {
-        this._reportProgress(`Repository exists at ${repoPath}, pulling latest changes...`);
+      // An existing clone (e.g. a cached one) only fetches what changed; the .git check keeps git
+      // from finding an enclosing repository when a directory is left over from a failed clone
+      if (existsSync(path.join(repoPath, '.git'))) {
+        this._reportProgress(`Repository exists at ${repoPath}, fetching latest changes...`);
         try {
-          // Use cross-platform git commands with proper quoting
-          const gitArgs = ['-C', repoPath, 'pull'];
-
-          // Timeout to prevent hanging forever
-          execSync(`git ${gitArgs.map(arg => JSON.stringify(arg)).join(' ')}`, {
-            stdio: 'pipe',
-            timeout: this.config.timeout,
-          });
+          // The remote URL is reset, which also drops credentials saved by earlier versions
+          await this._runGit(['-C', repoPath, 'remote', 'set-url', 'origin', repoUrl]);
+          await this._checkoutRef(repoPath, ref || 'HEAD');
           this._reportProgress('Repository updated successfully');
         } catch (pullError) {
-          // If pull fails, try removing and recloning
-          this._reportProgress('Error pulling repository, trying to reclone...');
+          if (pullError.name === 'AbortError') throw pullError;
+
+          // If the update fails, try removing and recloning
+          this._reportProgress('Error updating repository, trying to reclone...');
           try {
             await fs.rm(repoPath, { recursive: true, force: true });
           } catch (err) {
             // Ignore errors during cleanup
           }
 
-          const cloneArgs = ['clone', '--depth=1', authUrl, repoPath];
-          execSync(`git ${cloneArgs.map(arg => JSON.stringify(arg)).join(' ')}`, {
-            stdio: 'pipe',
-            timeout: this.config.timeout,
-          });
+          await freshClone();
         }
       } else {
-        // Clone the repository with depth=1 for faster cloning
-        this._reportProgress(`Cloning repository to ${repoPath}...`);
-        const cloneArgs = ['clone', '--depth=1', authUrl, repoPath];
-        execSync(`git ${cloneArgs.map(arg => JSON.stringify(arg)).join(' ')}`, {
-          stdio: 'pipe',
-          timeout: this.config.timeout,
-        });
+        // Clone just the latest commit unless the history was asked for
+        this._reportProgress(`Cloning repository to ${repoPath}${ref ? ` at ${ref}` : ''}...`);
+        await fs.rm(repoPath, { recursive: true, force: true });
+        await freshClone();
         this._reportProgress('Repository cloned successfully');
       }
 
+      // Record the commit that was actually checked out
+      this.revision = {
+        ref: ref || null,
+        commit: await this._runGit(['-C', repoPath, 'rev-parse', 'HEAD']),
+      };
+
       return repoPath;
     } catch (error) {
+      // An interrupted clone or update is incomplete, so it isn't kept
+      if (error.name === 'AbortError') {
+        await fs.rm(repoPath, { recursive: true, force: true }).catch(() => {});
+        throw error;
+      }
+
       // Provide more helpful error messages based on error output
       let errorMessage = `Failed to ${existsSync(repoPath) ? 'update' : 'clone'} repository: ${error.message}`;
 
@@ -402,6 +1796,8 @@ Repository processing completed:
         if (stderr.includes('Authentication failed')) {
           errorMessage =
             'Authentication failed. Make sure you have the correct credentials for this repository.';
+        } else if (stderr.includes("couldn't find remote ref") || stderr.includes('not our ref')) {
+          errorMessage = `Ref not found: ${ref}. Check that the branch, tag or commit SHA exists.`;
         } else if (stderr.includes('not found')) {
           errorMessage =
             'Repository not found. Check that the URL is correct and the repository exists.';
@@ -417,8 +1813,99 @@ Repository processing completed:
     }
   }
 
+  /**
+   * Download and extract the repository tarball, for machines without git
+   * @param {string} repoUrl GitHub repository URL
+   * @param {string} repoPath Directory to extract to (replaced if it exists)
+   * @param {string|null} ref Branch, tag or commit SHA (default branch if not set)
+   * @returns {Promise<string>} Path to the extracted repository
+   * @throws {Error} If the download or extraction fails
+   * @private
+   */
+  async _downloadTarball(repoUrl, repoPath, ref) {
+    const match = /^(?:https?:\/\/[^/]+\/|git@[^:]+:)([^/]+)\/([^/]+?)(?:\.git)?\/?$/.exec(repoUrl);
+    if (!match) {
+      throw new Error(`git was not found, and ${repoUrl} can't be downloaded as a tarball`);
+    }
+
+    const [, owner, repo] = match;
+    const provider = this._getProvider(repoUrl);
+    if (provider.name !== 'github') {
+      throw new Error(
+        `git was not found, and only GitHub repositories can be downloaded as a tarball (${repoUrl} is on ${provider.label})`
+      );
+    }
+    const refPath = ref ? `/${ref.split('/').map(encodeURIComponent).join('/')}` : '';
+    const baseUrl = (this.config.tarballBaseUrl || this._getApiBaseUrl(repoUrl)).replace(
+      /\/+$/,
+      ''
+    );
+    const url = `${baseUrl}/repos/${owner}/${repo}/tarball${refPath}`;
+
+    this._reportProgress(
+      `git was not found, downloading ${owner}/${repo}${ref ? ` at ${ref}` : ''}...`
+    );
+    const response = await this._fetchGitHubApi(url);
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error(
+          ref
+            ? `Ref not found: ${ref}. Check that the repository and the branch, tag or commit SHA exist.`
+            : 'Repository not found. Check that the URL is correct and the repository exists.'
+        );
+      }
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(
+          `Failed to download repository: ${response.status}. ` +
+            'Check your credentials, or authenticate to avoid rate limits.'
+        );
+      }
+      throw new Error(`Failed to download repository: ${response.status} ${response.statusText}`);
+    }
+
+    // Downloads always start from scratch, since there is no git to update an existing checkout
+    await fs.rm(repoPath, { recursive: true, force: true });
+    await fs.mkdir(repoPath, { recursive: true });
+
+    // GitHub tarballs hold a single top-level directory named after the repository and commit
+    let globalHeaders;
+    try {
+      ({ globalHeaders } = await extractTarball(response.body, repoPath, { stripComponents: 1 }));
+    } catch (error) {
+      await fs.rm(repoPath, { recursive: true, force: true });
+      this._throwIfAborted();
+      throw new Error(`Failed to extract repository tarball: ${error.message}`);
+    }
+    this._reportProgress('Repository downloaded successfully');
+
+    // git archive, which GitHub uses, records the commit SHA as the archive comment
+    this.revision = { ref: ref || null, commit: globalHeaders.comment || null };
+
+    return repoPath;
+  }
+
+  /**
+   * Get the git arguments that authenticate commands against the repository's host
+   * Credentials are sent as an HTTP header scoped to the host, for each command, so that they
+   * are never saved in the clone's .git/config (which cached clones keep).
+   * @param {string} repoUrl Repository URL
+   * @returns {Array<string>} Git arguments, empty for SSH URLs or without credentials
+   * @private
+   */
+  _getGitAuthArgs(repoUrl) {
+    if (!repoUrl.startsWith('https://')) return [];
+
+    const credentials = this._getProvider(repoUrl).getCloneCredentials(this.config.auth);
+    if (!credentials) return [];
+
+    const { origin } = new URL(repoUrl);
+    const basic = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+    return ['-c', `http.${origin}/.extraHeader=Authorization: Basic ${basic}`];
+  }
+
   /**
    * Prepare authenticated URL for git operations
+   * Clones don't use it, since the URL would be saved in the clone; see _getGitAuthArgs.
    * @param {string} repoUrl Original repository URL
    * @returns {string} URL with authentication if available
    */
@@ -431,18 +1918,11 @@ Repository processing completed:
     try {
       // Handle different URL formats (HTTPS or SSH)
       if (repoUrl.startsWith('https://')) {
-        // For HTTPS URLs
+        // For HTTPS URLs, in the provider's convention for tokens (e.g. oauth2:<token> on GitLab)
         const url = new URL(repoUrl);
-
-        if (this.config.auth.token) {
-          // Use personal access token
-          url.username = this.config.auth.token;
-          url.password = 'x-oauth-basic';
-        } else if (this.config.auth.username && this.config.auth.password) {
-          // Use username and password
-          url.username = this.config.auth.username;
-          url.password = this.config.auth.password;
-        }
+        const credentials = this._getProvider(repoUrl).getCloneCredentials(this.config.auth);
+        url.username = credentials.username;
+        url.password = credentials.password;
 
         return url.toString();
       } else if (repoUrl.startsWith('git@')) {
@@ -472,10 +1952,9 @@ Repository processing completed:
 
       // Extract the repository name based on URL format
       if (cleanUrl.startsWith('https://')) {
-        // HTTPS URL format: https://github.com/username/repository
-        const urlObj = new URL(cleanUrl);
-        const pathParts = urlObj.pathname.split('/').filter(Boolean);
-        return pathParts.length >= 2 ? pathParts[1] : '';
+        // HTTPS URL format: https://github.com/username/repository, or group/subgroup/repository
+        const repository = parseRepoUrl(cleanUrl, this._getProvider(cleanUrl));
+        return repository ? repository.repo : '';
       } else if (cleanUrl.startsWith('git@')) {
         // SSH URL format: git@github.com:username/repository
         const sshParts = cleanUrl.split(':');
@@ -496,20 +1975,55 @@ Repository processing completed:
     }
   }
 
+  /**
+   * Read gitignore rules that apply at a directory level of the walk
+   * @param {string} dirPath Directory path
+   * @param {string} relativePath Relative path from repository root
+   * @returns {Promise<Array<Object>>} Parsed rules (root also includes .git/info/exclude)
+   * @private
+   */
+  async _readGitignoreRules(dirPath, relativePath) {
+    const sources = [path.join(dirPath, '.gitignore')];
+    if (relativePath === '') {
+      // .git/info/exclude has lower precedence than the root .gitignore
+      sources.unshift(path.join(dirPath, '.git', 'info', 'exclude'));
+    }
+
+    const rules = [];
+    for (const source of sources) {
+      try {
+        const content = await fs.readFile(source, 'utf8');
+        rules.push(...parseGitignore(content, relativePath));
+      } catch (err) {
+        if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+          console.warn(`Warning: Could not read ${source}: ${err.message}`);
+        }
+      }
+    }
+    return rules;
+  }
+
   /**
    * Process a directory recursively with concurrency control
    * @param {string} dirPath Directory path
    * @param {Object} config Configuration options
    * @param {string} relativePath Relative path from repository root
+   * @param {GitignoreMatcher} ignoreMatcher Gitignore rules inherited from parent directories
    * @returns {Promise<void>}
    */
-  async processDirectory(dirPath, config, relativePath = '') {
+  async processDirectory(dirPath, config, relativePath = '', ignoreMatcher = null) {
     if (this.aborted) return;
 
     try {
       // Read directory entries
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
 
+      // Apply this directory's .gitignore on top of the inherited rules
+      let matcher = ignoreMatcher || new GitignoreMatcher();
+      if (config.respectGitignore) {
+        matcher = matcher.extend(await this._readGitignoreRules(dirPath, relativePath));
+      }
+
       // Split entries into directories and files
       const directories = [];
       const files = [];
@@ -527,15 +2041,33 @@ Repository processing completed:
       let processedDirCount = 0;
 
       for (const entry of directories) {
+        // In diff mode, only directories holding changed files are walked
+        if (this.diff && !this._getChange(path.join(relativePath, entry.name), true)) {
+          continue;
+        }
+
         // Skip directories in the skipDirs list
         if (config.skipDirs.includes(entry.name)) {
           this._reportProgress(`Skipping directory: ${path.join(relativePath, entry.name)}`);
+          this._recordSkipped(path.join(relativePath, entry.name), 'directory', 'skipDirs');
           continue;
         }
 
         const entryPath = path.join(dirPath, entry.name);
         const entryRelativePath = path.join(relativePath, entry.name);
 
+        if (matcher.isIgnored(entryRelativePath, true)) {
+          this._reportProgress(`Skipping ignored directory: ${entryRelativePath}`);
+          this._recordSkipped(entryRelativePath, 'directory', 'gitignore');
+          continue;
+        }
+
+        if (!this._passesPathFilters(entryRelativePath, true, config)) {
+          this._reportProgress(`Skipping excluded directory: ${entryRelativePath}`);
+          this._recordSkipped(entryRelativePath, 'directory', 'exclude');
+          continue;
+        }
+
         // Process directory with concurrency control
         if (pendingDirs.length >= config.concurrency) {
           // Wait for one to complete before adding more
@@ -549,7 +2081,7 @@ Repository processing completed:
         }
 
         // Process subdirectory recursively
-        const dirPromise = this.processDirectory(entryPath, config, entryRelativePath)
+        const dirPromise = this.processDirectory(entryPath, config, entryRelativePath, matcher)
           .then(() => {
             processedDirCount++;
             dirPromise.status = 'fulfilled';
@@ -558,7 +2090,9 @@ Repository processing completed:
             );
           })
           .catch(error => {
-            console.error(`Error processing directory ${entryRelativePath}:`, error.message);
+            if (error.name !== 'AbortError') {
+              console.error(`Error processing directory ${entryRelativePath}:`, error.message);
+            }
             dirPromise.status = 'rejected';
           });
 
@@ -582,9 +2116,15 @@ Repository processing completed:
         const entryPath = path.join(dirPath, entry.name);
         const entryRelativePath = path.join(relativePath, entry.name);
 
+        // In diff mode, unchanged files are left out
+        if (this.diff && !this._getChange(entryRelativePath)) {
+          continue;
+        }
+
         // Skip files in the skipFiles list
         if (config.skipFiles.includes(entry.name)) {
           this._reportProgress(`Skipping file: ${entryRelativePath}`);
+          this._recordSkipped(entryRelativePath, 'file', 'skipFiles');
           const stats = await fs.stat(entryPath);
           this.stats.skippedFiles++;
           this.stats.skippedSize += stats.size;
@@ -594,11 +2134,21 @@ Repository processing completed:
         // Get file stats
         const stats = await fs.stat(entryPath);
 
+        // Skip files matched by .gitignore rules
+        if (matcher.isIgnored(entryRelativePath, false)) {
+          this._reportProgress(`Skipping ignored file: ${entryRelativePath}`);
+          this._recordSkipped(entryRelativePath, 'file', 'gitignore');
+          this.stats.skippedFiles++;
+          this.stats.skippedSize += stats.size;
+          continue;
+        }
+
         // Skip files larger than maxFileSizeMB
         if (stats.size > config.maxFileSizeMB * 1024 * 1024) {
           this._reportProgress(
             `Skipping large file (${(stats.size / 1024 / 1024).toFixed(2)} MB): ${entryRelativePath}`
           );
+          this._recordSkipped(entryRelativePath, 'file', 'too large');
           this.stats.skippedFiles++;
           this.stats.skippedSize += stats.size;
           continue;
@@ -608,6 +2158,18 @@ Repository processing completed:
         const fileExt = path.extname(entry.name).toLowerCase();
         if (config.skipExtensions.includes(fileExt)) {
           this._reportProgress(`Skipping file with excluded extension: ${entryRelativePath}`);
+          this._recordSkipped(entryRelativePath, 'file', 'skipExtensions');
+          this.stats.skippedFiles++;
+          this.stats.skippedSize += stats.size;
+          continue;
+        }
+
+        // Skip files that don't pass the include/exclude patterns
+        if (!this._passesPathFilters(entryRelativePath, false, config)) {
+          this._reportProgress(
+            `Skipping file not matching include/exclude patterns: ${entryRelativePath}`
+          );
+          this._recordSkipped(entryRelativePath, 'file', 'include/exclude');
           this.stats.skippedFiles++;
           this.stats.skippedSize += stats.size;
           continue;
@@ -641,18 +2203,14 @@ Repository processing completed:
             }
           })
           .catch(error => {
-            console.error(`Error processing file ${entryRelativePath}:`, error.message);
+            if (error.name !== 'AbortError') {
+              console.error(`Error processing file ${entryRelativePath}:`, error.message);
+            }
             filePromise.status = 'rejected';
           });
 
         filePromise.status = 'pending';
         pendingFiles.push(filePromise);
-        this.activePromises.add(filePromise);
-
-        // Remove from active promises when done
-        filePromise.finally(() => {
-          this.activePromises.delete(filePromise);
-        });
       }
 
       // Wait for all files to be processed
@@ -660,7 +2218,9 @@ Repository processing completed:
         await Promise.all(pendingFiles);
       }
     } catch (error) {
-      console.error(`Error processing directory ${relativePath}:`, error.message);
+      if (error.name !== 'AbortError') {
+        console.error(`Error processing directory ${relativePath}:`, error.message);
+      }
       throw error;
     }
   }
@@ -691,6 +2251,7 @@ Repository processing completed:
 
         if (isBinary) {
           this._reportProgress(`Skipping binary file: ${relativePath}`);
+          this._recordSkipped(relativePath, 'file', 'binary');
           this.stats.skippedFiles++;
           this.stats.skippedSize += stats.size;
           return;
@@ -707,130 +2268,806 @@ Repository processing completed:
           let position = 0;
           let bytesRead = 0;
 
-          do {
-            const result = await fileHandle.read(buffer, 0, buffer.length, position);
-            bytesRead = result.bytesRead;
+          do {
+            this._throwIfAborted();
+            const result = await fileHandle.read(buffer, 0, buffer.length, position);
+            bytesRead = result.bytesRead;
+
+            if (bytesRead > 0) {
+              chunks.push(buffer.slice(0, bytesRead).toString('utf8'));
+              position += bytesRead;
+            }
+          } while (bytesRead > 0 && position < stats.size);
+
+          content = chunks.join('');
+        } else {
+          // For smaller files, read all at once
+          content = await fs.readFile(filePath, {
+            encoding: 'utf8',
+            signal: this._abortController.signal,
+          });
+        }
+
+        // Outline and strip as configured, then scan what is left for secrets (may redact it)
+        const extension = path.extname(filePath).toLowerCase();
+        const outlined = this._outlineContent(content, extension);
+        const stripped = this._stripContent(outlined.content, extension);
+        const scannedContent = this._scanSecrets(relativePath, stripped.content);
+        if (scannedContent === null) {
+          // The run fails once all files are scanned; never stream the secret in the meantime
+          return;
+        }
+        const size =
+          scannedContent === content ? stats.size : new TextEncoder().encode(scannedContent).length;
+        content = scannedContent;
+
+        // Count lines in the content
+        const lineCount = this._countLines(content);
+        const history = this._getFileHistory(relativePath);
+        const change = this._getChange(relativePath);
+
+        // Count tokens with the configured tokenizer, unless stripping already counted them
+        const tokenCount =
+          stripped.tokenCount !== null && content === stripped.content
+            ? stripped.tokenCount
+            : this._countTokens(content);
+
+        // Make sure tokenCount is a number
+        const safeTokenCount = isNaN(tokenCount) ? 0 : Number(tokenCount);
+
+        const fileInfo = {
+          path: relativePath,
+          content,
+          size,
+          lines: lineCount, // Add line count
+          extension,
+          lastModified: history ? history.date : stats.mtime,
+          ...(history ? { author: history.author, lastCommit: history.commit } : {}),
+          ...this._getChangeFields(change),
+          tokenCount: safeTokenCount,
+          tokensSaved: stripped.tokensSaved,
+          mode: outlined.mode,
+        };
+
+        // When streaming, write the file out now and only keep its metadata
+        if (this._stream) {
+          await this._streamFile(fileInfo);
+          delete fileInfo.content;
+        }
+
+        // Store file information
+        this.files.push(fileInfo);
+
+        // Update stats
+        this.stats.totalFiles++;
+        this.stats.totalSize += size;
+        this.stats.tokensSaved += stripped.tokensSaved;
+
+        // Defensive token counting implementation
+        if (typeof this.stats.totalTokens !== 'number' || isNaN(this.stats.totalTokens)) {
+          this.stats.totalTokens = 0; // Reset if not a valid number
+        }
+        this.stats.totalTokens += safeTokenCount;
+      } finally {
+        await fileHandle.close();
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      this._reportProgress(`Error processing file ${relativePath}: ${error.message}`);
+      this.stats.skippedFiles++;
+
+      // Re-throw custom errors, swallow unhandled ones
+      if (error.code === 'ENOENT') {
+        console.warn(`Warning: File ${relativePath} no longer exists, skipping`);
+      } else if (error.code === 'EACCES') {
+        console.warn(`Warning: Permission denied for ${relativePath}, skipping`);
+      } else {
+        throw new Error(`Failed to process file ${relativePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check if a file is binary using signatures and null byte detection
+   * @param {Buffer} buffer File buffer to check
+   * @returns {boolean} True if the file is binary
+   */
+  isBinaryFile(buffer) {
+    // Check for binary file signatures (magic numbers)
+    for (const { signature } of BINARY_FILE_SIGNATURES) {
+      if (buffer.length >= signature.length) {
+        let match = true;
+        for (let i = 0; i < signature.length; i++) {
+          if (buffer[i] !== signature[i]) {
+            match = false;
+            break;
+          }
+        }
+        if (match) return true;
+      }
+    }
+
+    // Check for null bytes (common in binary files)
+    const MAX_CHECK_LENGTH = Math.min(buffer.length, 1024);
+    let textCharCount = 0;
+    let nullCount = 0;
+
+    for (let i = 0; i < MAX_CHECK_LENGTH; i++) {
+      const byte = buffer[i];
+
+      // Count null bytes
+      if (byte === 0) {
+        nullCount++;
+        // If more than 1 null byte in the first 1KB, likely binary
+        if (nullCount > 1) return true;
+      }
+
+      // Count printable ASCII characters
+      if ((byte >= 32 && byte <= 126) || byte === 9 || byte === 10 || byte === 13) {
+        textCharCount++;
+      }
+    }
+
+    // If less than 80% are text characters, likely binary
+    return textCharCount / MAX_CHECK_LENGTH < 0.8;
+  }
+
+  /**
+   * Count lines in a string
+   * @param {string} text - The text to count lines in
+   * @returns {number} Line count
+   * @private
+   */
+  _countLines(text) {
+    if (!text || typeof text !== 'string') return 0;
+    return text.split('\n').length;
+  }
+
+  /**
+   * Generate output for the current configuration, chunked if maxTokensPerChunk is set
+   * or written to config.outputStream when streaming
+   * @param {Object} config Configuration options
+   * @returns {Promise<string|Object|Array<string|Object>>} Formatted output, an array of parts,
+   * or a summary object when the output was streamed
+   * @private
+   */
+  async _generateConfiguredOutput(config) {
+    if (config.outputStream) {
+      // Files collected in memory (e.g. by the browser combiner) go through the same writer
+      if (!this._stream) {
+        await this._startStream(config.outputStream, config.format);
+        for (const file of this.files) {
+          await this._streamFile(file);
+        }
+      }
+      return this._finishStream();
+    }
+
+    if (config.maxTokensPerChunk > 0) {
+      const parts = this.generateChunkedOutput(config.format, config.maxTokensPerChunk);
+      this._reportProgress(`Split output into ${parts.length} part(s)`, 0.92, 'generating');
+      return parts;
+    }
+    return this.generateOutput(config.format);
+  }
+
+  /**
+   * Write a chunk to a stream, waiting for it to drain when its buffer is full
+   * @param {Writable} stream Writable stream
+   * @param {string} chunk Data to write
+   * @returns {Promise<void>}
+   * @private
+   */
+  _writeToStream(stream, chunk) {
+    return new Promise((resolve, reject) => {
+      const onError = err => reject(err);
+      const done = () => {
+        stream.removeListener('error', onError);
+        resolve();
+      };
+      stream.once('error', onError);
+      if (stream.write(chunk)) {
+        done();
+      } else {
+        stream.once('drain', done);
+      }
+    });
+  }
+
+  /**
+   * Start streaming output by writing the header
+   * Totals are not known yet, so they are written in a trailing index by _finishStream.
+   * @param {Writable} stream Writable stream
+   * @param {string} format Output format: text, json, markdown, or xml
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startStream(stream, format) {
+    const normalizedFormat = String(format || 'text').toLowerCase();
+    const streamFormat = ['text', 'json', 'markdown', 'xml'].includes(normalizedFormat)
+      ? normalizedFormat
+      : 'text';
+
+    this._stream = { stream, format: streamFormat, count: 0, queue: Promise.resolve() };
+    await this._writeToStream(stream, this._formatStreamHeader(streamFormat));
+  }
+
+  /**
+   * Queue a processed file for writing to the output stream
+   * Writes are serialized so concurrently processed files never interleave.
+   * @param {Object} file File object with content
+   * @returns {Promise<void>} Resolves once the file has been written
+   * @private
+   */
+  _streamFile(file) {
+    const state = this._stream;
+    const index = ++state.count;
+    state.queue = state.queue.then(() =>
+      this._writeToStream(state.stream, this._formatStreamFile(file, index, state.format))
+    );
+    return state.queue;
+  }
+
+  /**
+   * Finish streaming output by writing the trailing index with the final totals
+   * The stream is left open; closing it is up to the caller.
+   * @returns {Promise<Object>} Summary of the streamed output
+   * @private
+   */
+  async _finishStream() {
+    const state = this._stream;
+    await state.queue;
+    await this._writeToStream(state.stream, this._formatStreamFooter(state.format));
+    this._stream = null;
+
+    return { streamed: true, format: state.format, files: state.count, stats: { ...this.stats } };
+  }
+
+  /**
+   * Format the header written at the start of a streamed output
+   * @param {string} format Output format
+   * @returns {string} Header
+   * @private
+   */
+  _formatStreamHeader(format) {
+    const generatedAt = new Date().toISOString();
+    const note = 'Totals and an index of all files follow at the end of this output.';
+
+    switch (format) {
+      case 'json':
+        return '{\n  "files": [\n';
+      case 'xml': {
+        const attributes = { generated_at: generatedAt };
+        if (this.revision && this.revision.commit) {
+          attributes.commit = this.revision.commit;
+          if (this.revision.ref) attributes.ref = this.revision.ref;
+        }
+        return (
+          '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          `<repository ${this._formatXmlAttributes(attributes)}>\n` +
+          this._getChangesSection('xml')
+        );
+      }
+      case 'markdown':
+        return (
+          '# Repository Content\n\n' +
+          `Generated at: ${generatedAt}\n\n` +
+          this._getRevisionLine() +
+          this._getDiffLine() +
+          `_${note}_\n\n` +
+          this._getChangesSection('markdown')
+        );
+      default:
+        return (
+          'REPOSITORY CONTENT\n' +
+          '='.repeat(20) +
+          '\n\n' +
+          `Generated at: ${generatedAt}\n\n` +
+          this._getRevisionLine() +
+          this._getDiffLine() +
+          `${note}\n\n` +
+          this._getChangesSection('text')
+        );
+    }
+  }
+
+  /**
+   * Format a single file for a streamed output
+   * @param {Object} file File object with content
+   * @param {number} index Position of the file in the stream (1-based)
+   * @param {string} format Output format
+   * @returns {string} Formatted file
+   * @private
+   */
+  _formatStreamFile(file, index, format) {
+    switch (format) {
+      case 'json':
+        return `${index > 1 ? ',\n' : ''}    ${JSON.stringify(this._toJsonFile(file))}`;
+      case 'xml':
+        return this._formatXmlDocument(file, index);
+      case 'markdown':
+        return `## ${file.path}\n\n${this._formatMarkdownFileBody(file)}`;
+      default:
+        return this._formatTextFileSection(file);
+    }
+  }
+
+  /**
+   * Format the trailing index written at the end of a streamed output
+   * The directory tree is written here too, since it is only complete once every file is known.
+   * @param {string} format Output format
+   * @returns {string} Footer with totals and the file index
+   * @private
+   */
+  _formatStreamFooter(format) {
+    const totalLines = this.files.reduce((sum, file) => sum + (file.lines || 0), 0);
+    const elapsedTime = this.stats.startTime ? Date.now() - this.stats.startTime : 0;
+    const sortedFiles = [...this.files].sort((a, b) => a.path.localeCompare(b.path));
+
+    if (format === 'json') {
+      const tree = this._getTreeObject();
+      const summary = {
+        ...(tree ? { tree } : {}),
+        stats: { ...this.stats, elapsedTime, totalLines },
+        meta: {
+          generatedAt: new Date().toISOString(),
+          version: '1.0.1',
+          format: 'json',
+          streamed: true,
+          tokenizer: this.tokenizerName || 'estimate',
+          budget: this._getBudgetMeta(),
+          mode: this.outputMode,
+          strip: this._getStripMeta(),
+          diff: this._getDiffMeta(),
+          secrets: this._getSecretsMeta(),
+          ref: this.revision ? this.revision.ref : null,
+          commit: this.revision ? this.revision.commit : null,
+          totalTokens: Number(this.stats.totalTokens || 0),
+          totalLines,
+        },
+      };
+      // Splice the summary properties into the still-open top-level object
+      return `\n  ],${JSON.stringify(summary, null, 2).slice(1)}\n`;
+    }
+
+    if (format === 'xml') {
+      const attributes = {
+        files: this.stats.totalFiles,
+        size: this.stats.totalSize,
+        lines: totalLines,
+        tokens: Number(this.stats.totalTokens || 0),
+        elapsed_ms: elapsedTime,
+      };
+      if (this.budget && this.budget.target) {
+        attributes.budget = this.budget.target.budget;
+        if (this.budget.target.name) attributes.model = this.budget.target.name;
+      }
+      return (
+        this._getTreeSection('xml') +
+        `<summary ${this._formatXmlAttributes(attributes)}/>\n</repository>\n`
+      );
+    }
+
+    let totals = `Total files: ${this.stats.totalFiles}\n`;
+    totals += `Total size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB\n`;
+    totals += `Total lines: ${totalLines.toLocaleString()}\n`;
+    totals += `Total tokens: ${this._formatTokenCount(this.stats.totalTokens)}\n`;
+    totals += this._getBudgetLine();
+    totals += `Processing time: ${(elapsedTime / 1000).toFixed(2)} seconds\n`;
+
+    const describe = file =>
+      `${(file.size / 1024).toFixed(2)} KB, ${(file.lines || 0).toLocaleString()} lines, ` +
+      `${this._formatTokenCount(file.tokenCount)} tokens`;
+
+    if (format === 'markdown') {
+      let output = `## Index\n\n${totals}\n`;
+      sortedFiles.forEach(file => {
+        output += `- \`${file.path}\` (${describe(file)})\n`;
+      });
+      return output + '\n' + this._getTreeSection('markdown');
+    }
+
+    let output = 'INDEX\n' + '='.repeat(5) + '\n\n' + totals + '\n';
+    sortedFiles.forEach(file => {
+      output += `- ${file.path} (${describe(file)})\n`;
+    });
+    return output + '\n' + this._getTreeSection('text');
+  }
+
+  /**
+   * Split a file into segments of at most maxTokens tokens at line boundaries
+   * A single line that exceeds the budget on its own becomes its own segment.
+   * @param {Object} file File object
+   * @param {number} maxTokens Token budget per segment
+   * @returns {Array<Object>} File segments with segment metadata
+   * @private
+   */
+  _splitFileByTokens(file, maxTokens) {
+    const lines = String(file.content || '').split('\n');
+    const ranges = [];
+    let start = 0;
+    let tokens = 0;
+
+    lines.forEach((line, index) => {
+      const lineTokens = this._countTokens(line);
+      if (index > start && tokens + lineTokens > maxTokens) {
+        ranges.push({ start, end: index, tokens });
+        start = index;
+        tokens = 0;
+      }
+      tokens += lineTokens;
+    });
+    ranges.push({ start, end: lines.length, tokens });
+
+    return ranges.map((range, index) => ({
+      ...file,
+      content: lines.slice(range.start, range.end).join('\n'),
+      lines: range.end - range.start,
+      tokenCount: range.tokens,
+      segment: {
+        index: index + 1,
+        total: ranges.length,
+        startLine: range.start + 1,
+        endLine: range.end,
+      },
+    }));
+  }
+
+  /**
+   * Pack files into parts that each stay within a token budget
+   * Whole files are kept together; files larger than the budget are split at line boundaries.
+   * @param {number} maxTokens Token budget per part
+   * @param {Object} [overhead] Tokens each part spends outside the file contents
+   * @param {number} [overhead.part=0] Header and index of every part
+   * @param {number} [overhead.first=0] Extra tokens of the first part, such as the tree
+   * @param {Map<string, number>} [overhead.files] Markup around each file, by path
+   * @returns {Array<Array<Object>>} Files for each part
+   */
+  planChunks(maxTokens, { part = 0, first = 0, files = new Map() } = {}) {
+    const limit = Math.max(1, Math.floor(Number(maxTokens) || 0));
+    const capacity = index => Math.max(1, limit - part - (index === 0 ? first : 0));
+    const sortedFiles = [...this.files].sort((a, b) => a.path.localeCompare(b.path));
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const file of sortedFiles) {
+      const markup = files.get(file.path) || 0;
+      const budget = Math.max(1, capacity(1) - markup);
+      const tokenCount = Number(file.tokenCount || this._countTokens(file.content));
+      const items =
+        tokenCount > budget ? this._splitFileByTokens(file, budget) : [{ ...file, tokenCount }];
+
+      for (const item of items) {
+        const cost = item.tokenCount + markup;
+        // The first part is left without files only when its tree leaves no room for the item
+        const startNewPart =
+          current.length > 0 || (chunks.length === 0 && cost > capacity(0) && cost <= capacity(1));
+        if (startNewPart && currentTokens + cost > capacity(chunks.length)) {
+          chunks.push(current);
+          current = [];
+          currentTokens = 0;
+        }
+        current.push(item);
+        currentTokens += cost;
+      }
+    }
+
+    if (current.length > 0 || chunks.length === 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Count the tokens of one generated part, serializing JSON the way saveToFile writes it
+   * @param {string|Object} output Generated part
+   * @returns {number} Token count
+   * @private
+   */
+  _countPartTokens(output) {
+    return this._countTokens(typeof output === 'string' ? output : JSON.stringify(output, null, 2));
+  }
+
+  /**
+   * Measure the tokens a chunked output spends outside the file contents
+   * Each file is measured on its own in an otherwise empty part, so its markup includes its entry
+   * in the part's index.
+   * @param {string} format Output format
+   * @param {Array<Object>} files Files that will be packed into parts
+   * @returns {Object} Overhead for planChunks: { part, first, files }
+   * @private
+   */
+  _measureChunkOverhead(format, files) {
+    const measure = (partFiles, index) => {
+      this.files = partFiles;
+      this.chunkInfo = { index, total: 2 };
+      return this._countPartTokens(this.generateOutput(format));
+    };
+
+    const part = measure([], 2);
+    const first = Math.max(0, measure([], 1) - part);
+    const markup = new Map(
+      files.map(file => [file.path, Math.max(0, measure([{ ...file, content: '' }], 2) - part)])
+    );
 
-            if (bytesRead > 0) {
-              chunks.push(buffer.slice(0, bytesRead).toString('utf8'));
-              position += bytesRead;
-            }
-          } while (bytesRead > 0 && position < stats.size);
+    return { part, first, files: markup };
+  }
 
-          content = chunks.join('');
-        } else {
-          // For smaller files, read all at once
-          content = await fs.readFile(filePath, 'utf8');
-        }
+  /**
+   * Generate output split into token-budgeted parts
+   * Each part repeats the repository header and lists the files it contains. The header, index,
+   * file markup and the first part's tree count against the budget along with the file contents.
+   * @param {string} format Output format: text, json, markdown, or xml
+   * @param {number} maxTokens Token budget per part
+   * @returns {Array<string|Object>} Formatted output for each part
+   */
+  generateChunkedOutput(format, maxTokens) {
+    const allFiles = this.files;
 
-        // Count lines in the content
-        const lineCount = this._countLines(content);
+    // The directory tree in the first part describes the whole repository
+    this._treeFiles = allFiles;
 
-        // Store file information
-        this.files.push({
-          path: relativePath,
-          content,
-          size: stats.size,
-          lines: lineCount, // Add line count
-          extension: path.extname(filePath).toLowerCase(),
-          lastModified: stats.mtime,
+    try {
+      const overhead = this._measureChunkOverhead(format, allFiles);
+      let parts = [];
+      let excess = 0;
+
+      // Token counts are not quite additive (e.g. escaping in JSON), so a generated part can still
+      // come out over the budget; plan again with that much less room until every part fits
+      for (let attempt = 0; attempt < CHUNK_PLAN_ATTEMPTS; attempt++) {
+        this.files = allFiles;
+        this.chunkInfo = null;
+        const chunks = this.planChunks(maxTokens, overhead);
+        let firstExcess = 0;
+        excess = 0;
+
+        parts = chunks.map((chunkFiles, index) => {
+          this.files = chunkFiles;
+          this.chunkInfo = { index: index + 1, total: chunks.length };
+          const output = this.generateOutput(format);
+          const over = this._countPartTokens(output) - maxTokens;
+          if (index === 0) {
+            firstExcess = over;
+          } else {
+            excess = Math.max(excess, over);
+          }
+          return output;
         });
 
-        // Calculate approximate token count (rough estimate based on whitespace and punctuation)
-        const tokenCount = this._estimateTokenCount(content);
-
-        // Make sure tokenCount is a number
-        const safeTokenCount = isNaN(tokenCount) ? 0 : Number(tokenCount);
+        if (firstExcess <= 0 && excess <= 0) return parts;
+        overhead.part += Math.max(0, excess);
+        overhead.first += Math.max(0, firstExcess - Math.max(0, excess));
+        excess = Math.max(excess, firstExcess);
+      }
 
-        // Store file information
-        this.files[this.files.length - 1].tokenCount = safeTokenCount;
+      console.warn(
+        `Warning: Some parts still exceed ${maxTokens.toLocaleString()} tokens by up to ` +
+          `${excess.toLocaleString()}; their header, tree or single lines leave no room to split.`
+      );
+      return parts;
+    } finally {
+      this.files = allFiles;
+      this.chunkInfo = null;
+      this._treeFiles = null;
+    }
+  }
 
-        // Update stats
-        this.stats.totalFiles++;
-        this.stats.totalSize += stats.size;
+  /**
+   * Record a skipped directory or file so it can be marked in the directory tree
+   * @param {string} relativePath Path relative to the repository root
+   * @param {string} type 'directory' or 'file'
+   * @param {string} reason Why it was skipped
+   * @private
+   */
+  _recordSkipped(relativePath, type, reason) {
+    this.skipped.push({ path: relativePath.split('\\').join('/'), type, reason });
+  }
 
-        // Defensive token counting implementation
-        if (typeof this.stats.totalTokens !== 'number' || isNaN(this.stats.totalTokens)) {
-          this.stats.totalTokens = 0; // Reset if not a valid number
+  /**
+   * Build a nested directory tree of the combined files
+   * Directory nodes carry the totals of the files below them.
+   * @param {Object} options Tree options
+   * @param {boolean} options.includeSkipped Include skipped directories and files, with the reason
+   * @returns {Object} Root directory node
+   */
+  buildFileTree({ includeSkipped = this.config.treeShowSkipped } = {}) {
+    const files = this._treeFiles || this.files;
+    const newDirectory = (name, nodePath) => ({
+      name,
+      type: 'directory',
+      path: nodePath,
+      files: 0,
+      size: 0,
+      lines: 0,
+      tokens: 0,
+      children: [],
+    });
+    const root = newDirectory('.', '');
+    const directories = new Map([['', root]]);
+
+    // Get (creating as needed) the directory node for a path and the chain of its ancestors
+    const getAncestors = parts => {
+      const chain = [root];
+      let current = '';
+      for (const part of parts) {
+        const parent = chain[chain.length - 1];
+        current = current ? `${current}/${part}` : part;
+        if (!directories.has(current)) {
+          const directory = newDirectory(part, current);
+          directories.set(current, directory);
+          parent.children.push(directory);
         }
-        this.stats.totalTokens += safeTokenCount;
-      } finally {
-        await fileHandle.close();
+        chain.push(directories.get(current));
       }
-    } catch (error) {
-      this._reportProgress(`Error processing file ${relativePath}: ${error.message}`);
-      this.stats.skippedFiles++;
+      return chain;
+    };
 
-      // Re-throw custom errors, swallow unhandled ones
-      if (error.code === 'ENOENT') {
-        console.warn(`Warning: File ${relativePath} no longer exists, skipping`);
-      } else if (error.code === 'EACCES') {
-        console.warn(`Warning: Permission denied for ${relativePath}, skipping`);
-      } else {
-        throw new Error(`Failed to process file ${relativePath}: ${error.message}`);
+    for (const file of files) {
+      const parts = file.path.split(/[\\/]/);
+      const name = parts.pop();
+      const chain = getAncestors(parts);
+      const node = {
+        name,
+        type: 'file',
+        path: parts.concat(name).join('/'),
+        size: file.size || 0,
+        lines: file.lines || 0,
+        tokens: Number(file.tokenCount || 0),
+      };
+      chain[chain.length - 1].children.push(node);
+      chain.forEach(directory => {
+        directory.files++;
+        directory.size += node.size;
+        directory.lines += node.lines;
+        directory.tokens += node.tokens;
+      });
+    }
+
+    if (includeSkipped) {
+      for (const entry of this.skipped) {
+        const parts = entry.path.split('/');
+        const name = parts.pop();
+        const chain = getAncestors(parts);
+        const node = { name, type: entry.type, path: entry.path, skipped: entry.reason };
+        if (entry.type === 'directory') node.children = [];
+        chain[chain.length - 1].children.push(node);
       }
     }
+
+    // Directories first, then files, each alphabetically
+    const sortChildren = directory => {
+      directory.children.sort(
+        (a, b) =>
+          (a.type === 'directory' ? 0 : 1) - (b.type === 'directory' ? 0 : 1) ||
+          a.name.localeCompare(b.name)
+      );
+      directory.children.forEach(child => child.children && sortChildren(child));
+    };
+    sortChildren(root);
+
+    return root;
   }
 
   /**
-   * Check if a file is binary using signatures and null byte detection
-   * @param {Buffer} buffer File buffer to check
-   * @returns {boolean} True if the file is binary
+   * Render a directory tree as an ASCII diagram, like the tree command
+   * @param {Object} tree Root node from buildFileTree
+   * @param {boolean} annotations Annotate entries with size, lines and tokens
+   * @param {number} [maxDepth=Infinity] Directory levels to show; deeper directories are collapsed
+   * @returns {string} Tree diagram
+   * @private
    */
-  isBinaryFile(buffer) {
-    // Check for binary file signatures (magic numbers)
-    for (const { signature } of BINARY_FILE_SIGNATURES) {
-      if (buffer.length >= signature.length) {
-        let match = true;
-        for (let i = 0; i < signature.length; i++) {
-          if (buffer[i] !== signature[i]) {
-            match = false;
-            break;
-          }
+  _renderTree(tree, annotations = false, maxDepth = Infinity) {
+    const lines = ['.'];
+
+    const walk = (directory, prefix, depth) => {
+      directory.children.forEach((child, index) => {
+        const isLast = index === directory.children.length - 1;
+        let label = child.type === 'directory' ? `${child.name}/` : child.name;
+
+        if (child.skipped) {
+          label += ` [skipped: ${child.skipped}]`;
+        } else if (annotations) {
+          label +=
+            ` (${(child.size / 1024).toFixed(2)} KB, ${child.lines.toLocaleString()} lines, ` +
+            `${this._formatTokenCount(child.tokens)} tokens)`;
         }
-        if (match) return true;
-      }
-    }
 
-    // Check for null bytes (common in binary files)
-    const MAX_CHECK_LENGTH = Math.min(buffer.length, 1024);
-    let textCharCount = 0;
-    let nullCount = 0;
+        const collapsed = child.children && child.children.length > 0 && depth >= maxDepth;
+        if (collapsed) {
+          label += ` [collapsed: ${child.files.toLocaleString()} files]`;
+        }
 
-    for (let i = 0; i < MAX_CHECK_LENGTH; i++) {
-      const byte = buffer[i];
+        lines.push(`${prefix}${isLast ? '└── ' : '├── '}${label}`);
+        if (child.children && !collapsed) {
+          walk(child, `${prefix}${isLast ? '    ' : '│   '}`, depth + 1);
+        }
+      });
+    };
+    walk(tree, '', 1);
 
-      // Count null bytes
-      if (byte === 0) {
-        nullCount++;
-        // If more than 1 null byte in the first 1KB, likely binary
-        if (nullCount > 1) return true;
-      }
+    return lines.join('\n') + '\n';
+  }
 
-      // Count printable ASCII characters
-      if ((byte >= 32 && byte <= 126) || byte === 9 || byte === 10 || byte === 13) {
-        textCharCount++;
-      }
+  /**
+   * Get the directory tree section for an output format
+   * Only the first part of a chunked output carries the tree, collapsed below CHUNKED_TREE_DEPTH.
+   * @param {string} format Output format: text, markdown, or xml
+   * @returns {string} Tree section, or an empty string when disabled
+   * @private
+   */
+  _getTreeSection(format) {
+    if (!this.config.tree || (this.chunkInfo && this.chunkInfo.index > 1)) return '';
+
+    const diagram = this._renderTree(
+      this.buildFileTree(),
+      this.config.treeAnnotations,
+      this.chunkInfo ? CHUNKED_TREE_DEPTH : Infinity
+    );
+
+    switch (format) {
+      case 'markdown':
+        return `## Directory Tree\n\n\`\`\`\n${diagram}\`\`\`\n\n`;
+      case 'xml':
+        return `<directory_tree>${this._toCdata(diagram)}</directory_tree>\n`;
+      default:
+        return 'DIRECTORY TREE\n' + '='.repeat(14) + '\n\n' + diagram + '\n';
     }
+  }
 
-    // If less than 80% are text characters, likely binary
-    return textCharCount / MAX_CHECK_LENGTH < 0.8;
+  /**
+   * Get the directory tree for JSON output
+   * In a chunked output, directories below CHUNKED_TREE_DEPTH are collapsed: they keep their
+   * totals but drop their children and are marked collapsed.
+   * @returns {Object|undefined} Tree, or undefined when disabled or not the first part
+   * @private
+   */
+  _getTreeObject() {
+    if (!this.config.tree || (this.chunkInfo && this.chunkInfo.index > 1)) return undefined;
+
+    const tree = this.buildFileTree();
+    if (!this.chunkInfo) return tree;
+
+    const collapse = (directory, depth) => ({
+      ...directory,
+      children: directory.children.map(child => {
+        if (!child.children) return child;
+        if (depth < CHUNKED_TREE_DEPTH) return collapse(child, depth + 1);
+        if (child.children.length === 0) return child;
+        const collapsed = { ...child, collapsed: true };
+        delete collapsed.children;
+        return collapsed;
+      }),
+    });
+    return collapse(tree, 1);
   }
 
   /**
-   * Count lines in a string
-   * @param {string} text - The text to count lines in
-   * @returns {number} Line count
+   * Get the header line identifying the current part of a chunked output
+   * @returns {string} Part line, or an empty string when output is not chunked
    * @private
    */
-  _countLines(text) {
-    if (!text || typeof text !== 'string') return 0;
-    return text.split('\n').length;
+  _getChunkLine() {
+    return this.chunkInfo ? `Part: ${this.chunkInfo.index} of ${this.chunkInfo.total}\n` : '';
+  }
+
+  /**
+   * Describe which segment of a split file an entry holds
+   * @param {Object} file File object
+   * @returns {string} Segment description, or an empty string for whole files
+   * @private
+   */
+  _getSegmentLabel(file) {
+    if (!file.segment) return '';
+    const { index, total, startLine, endLine } = file.segment;
+    return `${index} of ${total} (lines ${startLine}-${endLine})`;
   }
 
   /**
    * Generate output in the requested format
-   * @param {string} format Output format: text, json, or markdown
+   * @param {string} format Output format: text, json, markdown, or xml
    * @returns {string|Object} Formatted output
    * @throws {Error} If the format is not supported
    */
@@ -845,6 +3082,8 @@ Repository processing completed:
           return this.generateJsonOutput();
         case 'markdown':
           return this.generateMarkdownOutput();
+        case 'xml':
+          return this.generateXmlOutput();
         case 'text':
           return this.generateTextOutput();
         default:
@@ -857,6 +3096,96 @@ Repository processing completed:
     }
   }
 
+  /**
+   * Get the header line describing the processed commit
+   * @returns {string} Commit line, or an empty string if the commit is unknown
+   * @private
+   */
+  _getRevisionLine() {
+    if (!this.revision || !this.revision.commit) {
+      return '';
+    }
+    const ref = this.revision.ref ? ` (${this.revision.ref})` : '';
+    return `Commit: ${this.revision.commit}${ref}\n`;
+  }
+
+  /**
+   * Get the header line describing the diff range
+   * @returns {string} Diff line, or an empty string outside diff mode
+   * @private
+   */
+  _getDiffLine() {
+    if (!this.diff) return '';
+    const { base, head, mergeBase, pullRequest, changes } = this.diff;
+    const deleted = changes.filter(change => change.status === 'deleted').length;
+    const range = pullRequest
+      ? `pull request #${pullRequest}`
+      : `${base}${mergeBase ? '...' : '..'}${head}`;
+    return `Diff: ${range} (${changes.length - deleted} changed, ${deleted} deleted)\n`;
+  }
+
+  /**
+   * Get the section listing the changes of a diff with their unified diffs
+   * Only the first part of a chunked output carries the changes.
+   * @param {string} format Output format: text, markdown, or xml
+   * @returns {string} Changes section, or an empty string outside diff mode
+   * @private
+   */
+  _getChangesSection(format) {
+    if (!this.diff || (this.chunkInfo && this.chunkInfo.index > 1)) return '';
+
+    const { changes, baseCommit, headCommit } = this.diff;
+    const patches = changes.map(change => change.patch).join('');
+
+    if (format === 'xml') {
+      const attributes = { base: baseCommit, head: headCommit };
+      let output = `<changes ${this._formatXmlAttributes(attributes)}>\n`;
+      changes.forEach(change => {
+        const changeAttributes = { path: change.path, status: change.status };
+        if (change.previousPath) changeAttributes.previous_path = change.previousPath;
+        output += change.patch
+          ? `<change ${this._formatXmlAttributes(changeAttributes)}>` +
+            `<diff>${this._toCdata(change.patch)}</diff></change>\n`
+          : `<change ${this._formatXmlAttributes(changeAttributes)}/>\n`;
+      });
+      return output + '</changes>\n';
+    }
+
+    const list = changes
+      .map(change => `${change.path} (${describeChange(change.status, change.previousPath)})\n`)
+      .join('');
+
+    if (format === 'markdown') {
+      // The fence must be longer than any backtick run in the diffs
+      const longestRun = Math.max(2, ...(patches.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      const diffBlock = patches ? `${fence}diff\n${patches}${fence}\n\n` : '';
+      return `## Changes\n\n${list.replace(/^(?=.)/gm, '- ')}\n${diffBlock}`;
+    }
+
+    return 'CHANGES\n' + '='.repeat(7) + '\n\n' + list + '\n' + (patches ? `${patches}\n` : '');
+  }
+
+  /**
+   * Get the diff summary for JSON output
+   * Patches are part of each file; deleted files are only listed here.
+   * @returns {Object|null} Diff range, commits and deleted paths, or null outside diff mode
+   * @private
+   */
+  _getDiffMeta() {
+    if (!this.diff) return null;
+    const { base, head, mergeBase, pullRequest, baseCommit, headCommit, changes } = this.diff;
+    return {
+      base,
+      head,
+      mergeBase,
+      pullRequest,
+      baseCommit,
+      headCommit,
+      deleted: changes.filter(change => change.status === 'deleted').map(change => change.path),
+    };
+  }
+
   /**
    * Generate JSON output
    * @returns {Object} JSON representation of the repository
@@ -865,7 +3194,9 @@ Repository processing completed:
     // Create a clean deep copy without circular references
     const stats = {
       ...this.stats,
-      elapsedTime: this.stats.elapsedTime || this.stats.endTime - this.stats.startTime || 0,
+      // The run isn't finished while its output is generated, so measure up to now
+      elapsedTime:
+        this.stats.elapsedTime || (this.stats.startTime ? Date.now() - this.stats.startTime : 0),
     };
 
     // Calculate total lines
@@ -875,17 +3206,12 @@ Repository processing completed:
     const sortedFiles = [...this.files].sort((a, b) => a.path.localeCompare(b.path));
 
     // Create files array with clean data
-    const processedFiles = sortedFiles.map(file => ({
-      path: file.path,
-      size: file.size,
-      lines: file.lines || 0,
-      extension: file.extension,
-      lastModified: file.lastModified ? file.lastModified.toISOString() : new Date().toISOString(),
-      content: file.content,
-    }));
+    const processedFiles = sortedFiles.map(file => this._toJsonFile(file));
+    const tree = this._getTreeObject();
 
     return {
       files: processedFiles,
+      ...(tree ? { tree } : {}),
       stats: {
         ...stats,
         totalLines: totalLines,
@@ -894,12 +3220,58 @@ Repository processing completed:
         generatedAt: new Date().toISOString(),
         version: '1.0.1',
         format: 'json',
+        tokenizer: this.tokenizerName || 'estimate',
+        budget: this._getBudgetMeta(),
+        mode: this.outputMode,
+        strip: this._getStripMeta(),
+        diff: this._getDiffMeta(),
+        secrets: this._getSecretsMeta(),
+        ref: this.revision ? this.revision.ref : null,
+        commit: this.revision ? this.revision.commit : null,
         totalTokens: Number(this.stats.totalTokens || 0),
         totalLines: totalLines,
+        ...(this.chunkInfo ? { part: { ...this.chunkInfo } } : {}),
       },
     };
   }
 
+  /**
+   * Format a file's last modified date, which is a Date or (in the browser) a date string
+   * @param {Object} file File object
+   * @returns {string|null} ISO date, or null if the file has no date
+   * @private
+   */
+  _formatLastModified(file) {
+    if (!file.lastModified) return null;
+    return typeof file.lastModified.toISOString === 'function'
+      ? file.lastModified.toISOString()
+      : new Date(file.lastModified).toISOString();
+  }
+
+  /**
+   * Convert a file to its JSON output representation
+   * @param {Object} file File object
+   * @returns {Object} Clean file data
+   * @private
+   */
+  _toJsonFile(file) {
+    return {
+      path: file.path,
+      size: file.size,
+      lines: file.lines || 0,
+      extension: file.extension,
+      lastModified: this._formatLastModified(file) || new Date().toISOString(),
+      ...(file.lastCommit ? { author: file.author, lastCommit: file.lastCommit } : {}),
+      ...(file.change
+        ? { change: file.change, previousPath: file.previousPath || null, diff: file.diff }
+        : {}),
+      ...(this.outputMode === 'outline' ? { mode: file.mode || 'full' } : {}),
+      ...(this.stripModes.length > 0 ? { tokensSaved: file.tokensSaved || 0 } : {}),
+      ...(file.segment ? { segment: { ...file.segment } } : {}),
+      content: file.content,
+    };
+  }
+
   /**
    * Generate Markdown output
    * @returns {string} Markdown representation of the repository
@@ -910,16 +3282,26 @@ Repository processing completed:
 
     let output = '# Repository Content\n\n';
     output += `Generated at: ${new Date().toISOString()}\n\n`;
+    output += this._getRevisionLine();
+    output += this._getDiffLine();
     output += `Total files: ${this.stats.totalFiles}\n`;
     output += `Total size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB\n`;
     output += `Total lines: ${totalLines.toLocaleString()}\n`;
     output += `Total tokens: ${this._formatTokenCount(this.stats.totalTokens)}\n`;
+    output += this._getBudgetLine();
+    output += this._getModeLine();
+    output += this._getStripLine();
 
     if (this.stats.elapsedTime) {
       output += `Processing time: ${(this.stats.elapsedTime / 1000).toFixed(2)} seconds\n`;
     }
 
-    output += '\n## Table of Contents\n\n';
+    output += this._getChunkLine();
+    output += '\n';
+    output += this._getTreeSection('markdown');
+    output += this._getChangesSection('markdown');
+
+    output += '## Table of Contents\n\n';
 
     // Group files by directory for TOC
     const filesByDir = {};
@@ -965,32 +3347,59 @@ Repository processing completed:
         filesByDir[dir].forEach(file => {
           const fileName = path.basename(file.path);
           output += `### ${fileName}\n\n`;
+          output += this._formatMarkdownFileBody(file);
+        });
+      });
 
-          // Get the language for syntax highlighting
-          const language = this.getLanguageFromExtension(file.extension);
+    return output;
+  }
 
-          // Add metadata
-          output += `**Path:** \`${file.path}\`  \n`;
-          output += `**Size:** ${(file.size / 1024).toFixed(2)} KB  \n`;
-          output += `**Lines:** ${(file.lines || 0).toLocaleString()}  \n`;
+  /**
+   * Format the metadata and fenced content of a single file for markdown output
+   * @param {Object} file File object
+   * @returns {string} Markdown metadata lines and code block
+   * @private
+   */
+  _formatMarkdownFileBody(file) {
+    // Get the language for syntax highlighting
+    const language = this.getLanguageFromExtension(file.extension);
 
-          if (file.lastModified) {
-            const lastModified =
-              typeof file.lastModified.toISOString === 'function'
-                ? file.lastModified.toISOString()
-                : new Date(file.lastModified).toISOString();
-            output += `**Last Modified:** ${lastModified}  \n`;
-          }
+    // Add metadata
+    let output = `**Path:** \`${file.path}\`  \n`;
+    output += `**Size:** ${(file.size / 1024).toFixed(2)} KB  \n`;
+    output += `**Lines:** ${(file.lines || 0).toLocaleString()}  \n`;
 
-          output += '\n';
+    if (file.change) {
+      output += `**Change:** ${describeChange(file.change, file.previousPath)}  \n`;
+    }
 
-          // Add file content with syntax highlighting
-          output += '```' + language + '\n';
-          output += file.content + '\n';
-          output += '```\n\n';
-        });
-      });
+    if (this.outputMode === 'outline') {
+      output += `**Mode:** ${file.mode || 'full'}  \n`;
+    }
+
+    if (file.tokensSaved > 0) {
+      output += `**Tokens Saved:** ${this._formatTokenCount(file.tokensSaved)}  \n`;
+    }
+
+    if (file.segment) {
+      output += `**Segment:** ${this._getSegmentLabel(file)}  \n`;
+    }
 
+    if (file.lastModified) {
+      output += `**Last Modified:** ${this._formatLastModified(file)}  \n`;
+    }
+
+    if (file.lastCommit) {
+      output += `**Author:** ${file.author}  \n`;
+      output += `**Last Commit:** ${file.lastCommit}  \n`;
+    }
+
+    output += '\n';
+
+    // Add file content with syntax highlighting
+    output += '```' + language + '\n';
+    output += file.content + '\n';
+    output += '```\n\n';
     return output;
   }
 
@@ -1006,41 +3415,251 @@ Repository processing completed:
     output += '='.repeat(20) + '\n\n';
 
     output += `Generated at: ${new Date().toISOString()}\n\n`;
+    output += this._getRevisionLine();
+    output += this._getDiffLine();
     output += `Total files: ${this.stats.totalFiles}\n`;
     output += `Total size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB\n`;
     output += `Total lines: ${totalLines.toLocaleString()}\n`;
     output += `Total tokens: ${this._formatTokenCount(this.stats.totalTokens)}\n`;
+    output += this._getBudgetLine();
+    output += this._getModeLine();
+    output += this._getStripLine();
 
     if (this.stats.elapsedTime) {
       output += `Processing time: ${(this.stats.elapsedTime / 1000).toFixed(2)} seconds\n`;
     }
 
-    output += '\n';
+    output += this._getChunkLine();
+    output += '\n';
+    output += this._getTreeSection('text');
+    output += this._getChangesSection('text');
+
+    // Sort files by path
+    const sortedFiles = [...this.files].sort((a, b) => a.path.localeCompare(b.path));
+
+    // List the files of this part so each part is self-describing
+    if (this.chunkInfo) {
+      output += 'Files in this part:\n';
+      sortedFiles.forEach(file => {
+        const segment = file.segment ? ` [segment ${this._getSegmentLabel(file)}]` : '';
+        output += `- ${file.path}${segment}\n`;
+      });
+      output += '\n';
+    }
+
+    // Generate text for each file
+    sortedFiles.forEach(file => {
+      output += this._formatTextFileSection(file);
+    });
+
+    return output;
+  }
+
+  /**
+   * Format a single file for text output
+   * @param {Object} file File object
+   * @returns {string} Text section with header, metadata and content
+   * @private
+   */
+  _formatTextFileSection(file) {
+    let output = `FILE: ${file.path}\n`;
+    output += '='.repeat(Math.min(file.path.length + 6, 80)) + '\n';
+
+    // Add file metadata
+    output += `Size: ${(file.size / 1024).toFixed(2)} KB\n`;
+    output += `Lines: ${(file.lines || 0).toLocaleString()}\n`;
+
+    if (file.change) {
+      output += `Change: ${describeChange(file.change, file.previousPath)}\n`;
+    }
+
+    if (this.outputMode === 'outline') {
+      output += `Mode: ${file.mode || 'full'}\n`;
+    }
+
+    if (file.tokensSaved > 0) {
+      output += `Tokens saved: ${this._formatTokenCount(file.tokensSaved)}\n`;
+    }
+
+    if (file.segment) {
+      output += `Segment: ${this._getSegmentLabel(file)}\n`;
+    }
+
+    if (file.lastModified) {
+      output += `Last Modified: ${this._formatLastModified(file)}\n`;
+    }
+
+    if (file.lastCommit) {
+      output += `Author: ${file.author}\n`;
+      output += `Last Commit: ${file.lastCommit}\n`;
+    }
+
+    output += '-'.repeat(Math.min(file.path.length + 6, 80)) + '\n\n';
+    output += file.content + '\n\n\n';
+    return output;
+  }
+
+  /**
+   * Escape a value for use in XML attributes or text
+   * @param {*} value Value to escape
+   * @returns {string} Escaped string
+   * @private
+   */
+  _escapeXml(value) {
+    return this._stripInvalidXmlChars(String(value))
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Replace characters that are not allowed anywhere in an XML 1.0 document
+   * Those are control characters other than tab, newline and carriage return, U+FFFE, U+FFFF,
+   * and UTF-16 surrogates that aren't part of a pair.
+   * @param {string} text Text to clean
+   * @returns {string} Text containing only valid XML characters
+   * @private
+   */
+  _stripInvalidXmlChars(text) {
+    let result = '';
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code >= 0xd800 && code <= 0xdbff) {
+        const next = text.charCodeAt(i + 1);
+        if (next >= 0xdc00 && next <= 0xdfff) {
+          i++;
+          continue;
+        }
+      }
+
+      const isValid =
+        code < 0x20
+          ? code === 0x09 || code === 0x0a || code === 0x0d
+          : code < 0xd800 || (code > 0xdfff && code < 0xfffe);
+      if (!isValid) {
+        result += `${text.slice(start, i)}\uFFFD`;
+        start = i + 1;
+      }
+    }
+
+    return start === 0 ? text : result + text.slice(start);
+  }
 
-    // Sort files by path
-    const sortedFiles = [...this.files].sort((a, b) => a.path.localeCompare(b.path));
+  /**
+   * Wrap text in a CDATA section, splitting any "]]>" sequences so they can't end it early
+   * @param {string} text Text to wrap
+   * @returns {string} CDATA section(s)
+   * @private
+   */
+  _toCdata(text) {
+    const safeText = this._stripInvalidXmlChars(String(text || ''));
+    return `<![CDATA[${safeText.split(']]>').join(']]]]><![CDATA[>')}]]>`;
+  }
 
-    // Generate text for each file
-    sortedFiles.forEach(file => {
-      output += `FILE: ${file.path}\n`;
-      output += '='.repeat(Math.min(file.path.length + 6, 80)) + '\n';
+  /**
+   * Generate XML output with one <document> element per file, for use in LLM prompts
+   * @returns {string} XML representation of the repository
+   */
+  generateXmlOutput() {
+    const totalLines = this.files.reduce((sum, file) => sum + (file.lines || 0), 0);
+    const sortedFiles = [...this.files].sort((a, b) => a.path.localeCompare(b.path));
 
-      // Add file metadata
-      output += `Size: ${(file.size / 1024).toFixed(2)} KB\n`;
-      output += `Lines: ${(file.lines || 0).toLocaleString()}\n`;
+    const repoAttributes = {
+      generated_at: new Date().toISOString(),
+      files: this.stats.totalFiles,
+      size: this.stats.totalSize,
+      lines: totalLines,
+      tokens: Number(this.stats.totalTokens || 0),
+    };
+    if (this.revision && this.revision.commit) {
+      repoAttributes.commit = this.revision.commit;
+      if (this.revision.ref) repoAttributes.ref = this.revision.ref;
+    }
+    if (this.outputMode === 'outline') {
+      repoAttributes.mode = this.outputMode;
+    }
+    if (this.stripModes.length > 0) {
+      repoAttributes.tokens_saved = this.stats.tokensSaved;
+    }
+    if (this.budget && this.budget.target) {
+      repoAttributes.budget = this.budget.target.budget;
+      if (this.budget.target.name) repoAttributes.model = this.budget.target.name;
+    }
+    if (this.chunkInfo) {
+      repoAttributes.part = this.chunkInfo.index;
+      repoAttributes.parts = this.chunkInfo.total;
+    }
 
-      if (file.lastModified) {
-        const lastModified =
-          typeof file.lastModified.toISOString === 'function'
-            ? file.lastModified.toISOString()
-            : new Date(file.lastModified).toISOString();
-        output += `Last Modified: ${lastModified}\n`;
-      }
+    let output = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    output += `<repository ${this._formatXmlAttributes(repoAttributes)}>\n`;
+    output += this._getTreeSection('xml');
+    output += this._getChangesSection('xml');
 
-      output += '-'.repeat(Math.min(file.path.length + 6, 80)) + '\n\n';
-      output += file.content + '\n\n\n';
+    sortedFiles.forEach((file, index) => {
+      output += this._formatXmlDocument(file, index + 1);
     });
 
+    output += '</repository>\n';
+    return output;
+  }
+
+  /**
+   * Format an object as escaped XML attributes
+   * @param {Object} attributes Attribute names and values
+   * @returns {string} Attribute string
+   * @private
+   */
+  _formatXmlAttributes(attributes) {
+    return Object.entries(attributes)
+      .map(([name, value]) => `${name}="${this._escapeXml(value)}"`)
+      .join(' ');
+  }
+
+  /**
+   * Format a single file as an XML <document> element
+   * @param {Object} file File object
+   * @param {number} index Document index (1-based)
+   * @returns {string} XML document element
+   * @private
+   */
+  _formatXmlDocument(file, index) {
+    const documentAttributes = {
+      index,
+      path: file.path,
+      language: this.getLanguageFromExtension(file.extension) || 'text',
+      lines: file.lines || 0,
+      tokens: Number(file.tokenCount || 0),
+    };
+    if (file.change) {
+      documentAttributes.change = file.change;
+      if (file.previousPath) documentAttributes.previous_path = file.previousPath;
+    }
+    if (file.lastCommit) {
+      documentAttributes.last_modified = this._formatLastModified(file);
+      documentAttributes.author = file.author;
+      documentAttributes.last_commit = file.lastCommit;
+    }
+    if (this.outputMode === 'outline') {
+      documentAttributes.mode = file.mode || 'full';
+    }
+    if (file.tokensSaved > 0) {
+      documentAttributes.tokens_saved = file.tokensSaved;
+    }
+    if (file.segment) {
+      documentAttributes.segment = file.segment.index;
+      documentAttributes.segments = file.segment.total;
+      documentAttributes.start_line = file.segment.startLine;
+      documentAttributes.end_line = file.segment.endLine;
+    }
+
+    let output = `<document ${this._formatXmlAttributes(documentAttributes)}>\n`;
+    output += `<source>${this._escapeXml(file.path)}</source>\n`;
+    output += `<document_content>${this._toCdata(file.content)}</document_content>\n`;
+    output += '</document>\n';
     return output;
   }
 
@@ -1150,11 +3769,28 @@ Repository processing completed:
     return extensionMap[normalizedExt] || '';
   }
 
+  /**
+   * Add a part number to a filename (name.part-01-of-05.md)
+   * @param {string} filename - Base filename
+   * @param {number} index - Part number (1-based)
+   * @param {number} total - Total number of parts
+   * @returns {string} Filename with part number
+   * @private
+   */
+  _addPartToFilename(filename, index, total) {
+    const width = Math.max(2, String(total).length);
+    const ext = path.extname(filename);
+    const base = filename.slice(0, filename.length - ext.length);
+    const part = `part-${String(index).padStart(width, '0')}-of-${String(total).padStart(width, '0')}`;
+    return `${base}.${part}${ext}`;
+  }
+
   /**
    * Save output to a file
-   * @param {string|Object} output - The output content
+   * Chunked output (an array of parts) is written to one file per part.
+   * @param {string|Object|Array<string|Object>} output - The output content
    * @param {string} outputPath - The file path to save to
-   * @returns {Promise<string>} The actual path where the file was saved
+   * @returns {Promise<string|Array<string>>} The actual path(s) where the output was saved
    */
   async saveToFile(output, outputPath) {
     // Normalize path for cross-platform compatibility
@@ -1163,6 +3799,20 @@ Repository processing completed:
     // Add datetime to filename
     const actualOutputPath = this._addDateTimeToFilename(normalizedPath);
 
+    if (Array.isArray(output)) {
+      const savedPaths = [];
+      for (let i = 0; i < output.length; i++) {
+        const partPath = this._addPartToFilename(actualOutputPath, i + 1, output.length);
+        await fs.mkdir(path.dirname(partPath), { recursive: true });
+        await fs.writeFile(
+          partPath,
+          typeof output[i] === 'string' ? output[i] : JSON.stringify(output[i], null, 2)
+        );
+        savedPaths.push(partPath);
+      }
+      return savedPaths;
+    }
+
     // Ensure directory exists
     const outputDir = path.dirname(actualOutputPath);
     try {
@@ -1204,64 +3854,73 @@ class BrowserRepoCombiner extends RepoCombiner {
 
     // Browser-specific properties
     this.apiRequestCount = 0;
+    this.apiRequestsSaved = 0;
+    this.apiRequestsNotModified = 0;
     this.apiRateLimit = {
       limit: 60, // Default GitHub API rate limit for unauthenticated requests
       remaining: 60,
       reset: 0,
     };
     this.pendingRequests = new Map();
-    this.cachedResponses = new Map();
+    this.provider = this._getProvider(null);
+    this.apiBaseUrl = this._getApiBaseUrl(null);
+
+    // Responses are kept across runs and revalidated, in memory unless responseCache is set
+    this.responseCache = createResponseCache({
+      storage: this.config.responseCache ? 'persistent' : 'memory',
+      dir: this.config.responseCacheDir,
+      ttl: this.config.responseCacheTTL,
+      maxSize: this.config.responseCacheMaxSizeMB * 1024 * 1024,
+    });
+    this._validatedResponses = new Set();
+    this._responseCacheFailed = false;
   }
 
   /**
-   * Clone the GitHub repository using the GitHub API
-   * @param {string} repoUrl GitHub repository URL
+   * Clone the repository using its provider's REST API
+   * @param {string} repoUrl Repository URL (HTTPS or SSH)
    * @param {string} targetDir Not used in browser version
    * @returns {Promise<Object>} Repository contents
    * @throws {Error} If repository cannot be fetched
    */
   async cloneRepository(repoUrl) {
     try {
-      // Validate and extract owner and repo from URL
-      if (!repoUrl.includes('github.com')) {
-        throw new Error('Only GitHub repositories are supported in browser mode');
+      // Parse the URL for its provider (GitLab projects can sit in nested groups)
+      this.provider = this._getProvider(repoUrl);
+      this.apiBaseUrl = this._getApiBaseUrl(repoUrl);
+      const repository = parseRepoUrl(repoUrl, this.provider);
+      if (!repository) {
+        throw new Error(
+          'Could not extract owner and repository name from URL. Use HTTPS or SSH repository URLs'
+        );
       }
+      const { owner, repo } = repository;
 
-      // Parse the URL correctly handling various formats
-      let owner, repo;
-
-      if (repoUrl.startsWith('https://')) {
-        // Handle HTTPS URL
-        const url = new URL(repoUrl);
-        const pathParts = url.pathname.split('/').filter(Boolean);
-
-        if (pathParts.length < 2) {
-          throw new Error('Invalid GitHub repository URL format');
-        }
+      this._reportProgress(`Fetching repository: ${owner}/${repo}`, 0.1, 'fetching');
 
-        owner = pathParts[0];
-        repo = pathParts[1].replace(/\.git$/, '');
-      } else if (repoUrl.startsWith('git@')) {
-        // Handle SSH URL
-        const match = repoUrl.match(/git@github\.com:([^/]+)\/([^/]+)(\.git)?$/);
-        if (!match) {
-          throw new Error('Invalid GitHub SSH URL format');
-        }
+      // Get repository metadata to verify it exists and check if it's private
+      const repoInfo = await this._checkRepository(owner, repo);
 
-        owner = match[1];
-        repo = match[2].replace(/\.git$/, '');
-      } else {
-        throw new Error('Unsupported URL format. Use HTTPS or SSH GitHub URLs');
+      // In diff mode only the changed files are fetched
+      if (this.diffRange) {
+        const contents = await this._fetchDiffContents(owner, repo, repoInfo.defaultBranch);
+        return { owner, repo, contents };
       }
 
-      if (!owner || !repo) {
-        throw new Error('Could not extract owner and repository name from URL');
+      // A zipball holds the whole repository, and records its commit
+      if (this.config.zipball) {
+        const ref = this.config.ref || repoInfo.defaultBranch;
+        const contents = await this._fetchZipballContents(owner, repo, ref);
+        return { owner, repo, contents };
       }
 
-      this._reportProgress(`Fetching repository: ${owner}/${repo}`, 0.1, 'fetching');
-
-      // Get repository metadata to verify it exists and check if it's private
-      await this._checkRepository(owner, repo);
+      // Resolve the requested ref (or the default branch) to a commit SHA
+      const commit = await this._resolveCommit(
+        owner,
+        repo,
+        this.config.ref || repoInfo.defaultBranch
+      );
+      this.revision = { ref: this.config.ref || null, commit };
 
       // Fetch repository contents recursively with concurrency control
       this._reportProgress('Fetching repository contents...', 0.2, 'fetching');
@@ -1270,14 +3929,14 @@ class BrowserRepoCombiner extends RepoCombiner {
       return { owner, repo, contents: repoContents };
     } catch (error) {
       // Enhance error message based on error type
-      if (error.status === 404) {
+      if (error.status === 404 && !error.isRefNotFound) {
         throw new Error(
           `Repository not found: ${repoUrl}. Check if the URL is correct and the repository exists.`
         );
       } else if (error.status === 403 && error.message.includes('rate limit')) {
         const resetDate = new Date(this.apiRateLimit.reset * 1000);
         throw new Error(
-          `GitHub API rate limit exceeded. Wait until ${resetDate.toLocaleTimeString()} or authenticate with a token.`
+          `${this.provider.label} API rate limit exceeded. Wait until ${resetDate.toLocaleTimeString()} or authenticate with a token.`
         );
       } else if (error.status === 401) {
         throw new Error('Authentication failed. Check your credentials or token.');
@@ -1291,22 +3950,25 @@ class BrowserRepoCombiner extends RepoCombiner {
    * Check if a repository exists and is accessible
    * @param {string} owner Repository owner
    * @param {string} repo Repository name
+   * @returns {Promise<Object>} Repository info ({ defaultBranch, isPrivate })
    * @private
    */
   async _checkRepository(owner, repo) {
-    const url = `https://api.github.com/repos/${owner}/${repo}`;
+    const url = this.provider.getRepositoryUrl(this.apiBaseUrl, { owner, repo });
     const response = await this._fetchWithAuth(url);
 
     if (!response.ok) {
-      const error = new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      const error = new Error(
+        `${this.provider.label} API error: ${response.status} ${response.statusText}`
+      );
       error.status = response.status;
       throw error;
     }
 
-    const repoInfo = await response.json();
+    const repoInfo = this.provider.parseRepository(await response.json());
 
     // Check if repository is private and we have authentication
-    if (repoInfo.private && !this._hasAuth()) {
+    if (repoInfo.isPrivate && !this._hasAuth()) {
       throw new Error(
         'This repository is private. You need to provide authentication to access it.'
       );
@@ -1315,6 +3977,173 @@ class BrowserRepoCombiner extends RepoCombiner {
     return repoInfo;
   }
 
+  /**
+   * Resolve a branch, tag or commit SHA to a full commit SHA
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} ref Ref to resolve
+   * @returns {Promise<string|null>} Commit SHA, or null if the default branch could not be resolved
+   * @throws {Error} If an explicitly requested ref does not exist
+   * @private
+   */
+  async _resolveCommit(owner, repo, ref) {
+    if (!ref) return null;
+
+    const url = this.provider.getCommitUrl(this.apiBaseUrl, { owner, repo }, ref);
+    const response = await this._fetchWithAuth(url);
+
+    if (!response.ok) {
+      if (!this.config.ref) {
+        // Not fatal when we were only looking up the default branch
+        console.warn(`Warning: Could not resolve commit for ${ref}: ${response.status}`);
+        return null;
+      }
+      const error = new Error(
+        `Ref not found: ${ref}. Check that the branch, tag or commit SHA exists.`
+      );
+      error.status = response.status;
+      error.isRefNotFound = true;
+      throw error;
+    }
+
+    return this.provider.parseCommit(await response.json());
+  }
+
+  /**
+   * Fetch the last commit of a file from the commits API
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} filePath Path within repository
+   * @returns {Promise<Object|null>} Last commit ({ commit, date, author }), or null if unknown
+   * @private
+   */
+  async _fetchFileHistory(owner, repo, filePath) {
+    const ref = (this.revision && this.revision.commit) || this.config.ref;
+    const query = `path=${encodeURIComponent(filePath)}&per_page=1${ref ? `&sha=${encodeURIComponent(ref)}` : ''}`;
+    const url = `${this.apiBaseUrl}/repos/${owner}/${repo}/commits?${query}`;
+    const response = await this._fetchWithAuth(url);
+
+    if (!response.ok) {
+      console.warn(`Warning: Could not fetch the last commit of ${filePath}: ${response.status}`);
+      return null;
+    }
+
+    const [last] = await response.json();
+    if (!last) return null;
+    return {
+      commit: last.sha.slice(0, 7),
+      date: new Date(last.commit.committer.date),
+      author: last.commit.author.name,
+    };
+  }
+
+  /**
+   * Fetch a GitHub API URL with authentication and rate limit handling
+   * @param {string} url API URL
+   * @returns {Promise<Response>} Fetch response
+   * @private
+   */
+  _fetchGitHubApi(url) {
+    return this._fetchWithAuth(url);
+  }
+
+  /**
+   * Compare the diff range with the compare API and fetch the changed files
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} defaultBranch Head when neither the range nor the ref option names one
+   * @returns {Promise<Array>} Processed files, with their changes
+   * @private
+   */
+  async _fetchDiffContents(owner, repo, defaultBranch) {
+    const range = this.diffRange;
+    const head = range.head || this.config.ref || defaultBranch;
+    const separator = range.mergeBase ? '...' : '..';
+    const encodeRef = ref => ref.split('/').map(encodeURIComponent).join('/');
+
+    this._reportProgress(`Comparing ${range.base}${separator}${head}...`, 0.2, 'diff');
+    const response = await this._fetchWithAuth(
+      `${this.apiBaseUrl}/repos/${owner}/${repo}/compare/` +
+        `${encodeRef(range.base)}${separator}${encodeRef(head)}`
+    );
+    if (!response.ok) {
+      const error = new Error(
+        `Could not compare ${range.base}${separator}${head}: ${response.status}. ` +
+          'Check that both refs exist.'
+      );
+      error.status = response.status;
+      error.isRefNotFound = response.status === 404;
+      throw error;
+    }
+
+    const comparison = await response.json();
+    const files = comparison.files || [];
+    if (files.length >= 300) {
+      console.warn('Warning: GitHub lists at most 300 changed files; later files are left out');
+    }
+
+    const headCommit = await this._resolveCommit(owner, repo, head);
+    this.revision = { ref: head, commit: headCommit };
+
+    const changes = files
+      .map(fromGitHubFile)
+      .filter(change => this._passesPathFilters(change.path))
+      .map(change => ({ ...change, patch: this._redactPatch(change.patch, change.path) }));
+    const baseCommit = range.mergeBase
+      ? comparison.merge_base_commit.sha
+      : comparison.base_commit.sha;
+    this.diff = { ...range, head, baseCommit, headCommit, changes };
+
+    // Changed files are fetched at the head commit, honoring the skip lists
+    const changed = changes.filter(change => {
+      if (change.status === 'deleted') return false;
+      const parts = change.path.split('/');
+      const name = parts[parts.length - 1];
+      let skipReason = null;
+      if (parts.slice(0, -1).some(part => this.config.skipDirs.includes(part))) {
+        skipReason = 'skipDirs';
+      } else if (this.config.skipFiles.includes(name)) {
+        skipReason = 'skipFiles';
+      } else if (this.config.skipExtensions.includes(this._getFileExtension(name).toLowerCase())) {
+        skipReason = 'skipExtensions';
+      }
+      if (skipReason) {
+        this._recordSkipped(change.path, 'file', skipReason);
+        this.stats.skippedFiles++;
+      }
+      return !skipReason;
+    });
+
+    const contents = [];
+    for (let i = 0; i < changed.length && !this.aborted; i += this.config.concurrency) {
+      const batch = changed.slice(i, i + this.config.concurrency);
+      const results = await Promise.all(
+        batch.map(async change => {
+          const itemResponse = await this._fetchWithAuth(
+            `${this.apiBaseUrl}/repos/${owner}/${repo}/contents/${encodeRef(change.path)}` +
+              `?ref=${encodeURIComponent(headCommit || head)}`
+          );
+          if (!itemResponse.ok) {
+            console.warn(`Warning: Failed to fetch ${change.path}: ${itemResponse.status}`);
+            this.stats.skippedFiles++;
+            return null;
+          }
+          const file = await this._processFileItem(await itemResponse.json(), owner, repo);
+          return file ? { ...file, ...this._getChangeFields(change) } : null;
+        })
+      );
+      contents.push(...results);
+
+      this._reportProgress(
+        `Fetched ${Math.min(i + batch.length, changed.length)}/${changed.length} changed files`,
+        0.3 + 0.6 * (Math.min(i + batch.length, changed.length) / changed.length),
+        'fetching'
+      );
+    }
+
+    return contents;
+  }
+
   /**
    * Check if authentication is configured
    * @returns {boolean} True if authentication is configured
@@ -1336,27 +4165,26 @@ class BrowserRepoCombiner extends RepoCombiner {
   async _fetchWithAuth(url, options = {}) {
     // Prepare headers with authentication if available
     const headers = {
-      Accept: 'application/vnd.github.v3+json',
+      Accept: this.provider.accept,
       'User-Agent': 'repo-combiner',
     };
 
-    // Add authentication headers if available
-    if (this.config.auth.token) {
-      headers['Authorization'] = `token ${this.config.auth.token}`;
-    } else if (this.config.auth.username && this.config.auth.password) {
-      try {
-        // Use cross-browser compatible approach for base64 encoding
-        const base64Auth = this._base64Encode(
-          `${this.config.auth.username}:${this.config.auth.password}`
-        );
-        headers['Authorization'] = `Basic ${base64Auth}`;
-      } catch (error) {
-        console.warn('Warning: Failed to encode authentication credentials', error);
+    // Add authentication headers if available, in the provider's convention (token or Bearer)
+    try {
+      // Use cross-browser compatible approach for base64 encoding
+      const authorization = this.provider.getAuthorization(this.config.auth, str =>
+        this._base64Encode(str)
+      );
+      if (authorization) {
+        headers['Authorization'] = authorization;
       }
+    } catch (error) {
+      console.warn('Warning: Failed to encode authentication credentials', error);
     }
 
-    // Merge user-provided options with our defaults
+    // Merge user-provided options with our defaults; requests are aborted with the run
     const fetchOptions = {
+      signal: this._abortController.signal,
       ...options,
       headers: {
         ...headers,
@@ -1371,10 +4199,9 @@ class BrowserRepoCombiner extends RepoCombiner {
       return this.pendingRequests.get(cacheKey);
     }
 
-    // Check if response is in cache
-    if (this.cachedResponses.has(cacheKey)) {
-      return Promise.resolve(this.cachedResponses.get(cacheKey).clone());
-    }
+    // Cached responses are shared between tokens, since every use is revalidated by GitHub
+    const isCacheable = !fetchOptions.method || fetchOptions.method === 'GET';
+    const responseKey = `${fetchOptions.headers.Accept} ${url}`;
 
     // Create a new request promise
     const requestPromise = new Promise((resolve, reject) => {
@@ -1384,9 +4211,29 @@ class BrowserRepoCombiner extends RepoCombiner {
 
       const executeRequest = async () => {
         try {
+          const cached = isCacheable
+            ? await this._useResponseCache(cache => cache.get(responseKey), null)
+            : null;
+
+          // Responses validated earlier in this run are used as they are
+          if (cached && this._validatedResponses.has(responseKey)) {
+            resolve(createCachedResponse(cached));
+            return;
+          }
+          const conditionalHeaders = cached ? getConditionalHeaders(cached) : {};
+          const requestOptions = {
+            ...fetchOptions,
+            headers: { ...fetchOptions.headers, ...conditionalHeaders },
+          };
+
+          // Count API requests once, however often they are retried; raw downloads don't count
+          if (url === this.apiBaseUrl || url.startsWith(`${this.apiBaseUrl}/`)) {
+            this.apiRequestCount++;
+          }
+
           while (retries >= 0) {
             try {
-              const response = await fetch(url, fetchOptions);
+              const response = await fetch(url, requestOptions);
 
               // Update rate limit information from headers
               const rateLimit = response.headers.get('x-ratelimit-limit');
@@ -1405,7 +4252,7 @@ class BrowserRepoCombiner extends RepoCombiner {
                   const resetDate = new Date(parseInt(rateReset, 10) * 1000);
                   const formattedTime = resetDate.toLocaleTimeString();
                   this._reportProgress(
-                    `⚠️ Warning: GitHub API rate limit almost reached (${rateRemaining}/${rateLimit} remaining). ` +
+                    `⚠️ Warning: ${this.provider.label} API rate limit almost reached (${rateRemaining}/${rateLimit} remaining). ` +
                       `Limit will reset at ${formattedTime}. ` +
                       'Consider authenticating for higher limits.',
                     undefined,
@@ -1430,7 +4277,7 @@ class BrowserRepoCombiner extends RepoCombiner {
                     undefined,
                     'waiting'
                   );
-                  await new Promise(r => setTimeout(r, waitTime));
+                  await this._wait(waitTime);
                   retries--;
                   continue;
                 } else {
@@ -1448,10 +4295,25 @@ class BrowserRepoCombiner extends RepoCombiner {
                 }
               }
 
+              // Unchanged since it was cached; 304s don't count against the rate limit
+              if (cached && response.status === 304) {
+                this.apiRequestsNotModified++;
+                this._validatedResponses.add(responseKey);
+                await this._useResponseCache(cache => cache.revalidate(cached));
+                resolve(createCachedResponse(cached));
+                return;
+              }
+
               // Cache successful responses
-              if (response.ok) {
+              if (response.ok && isCacheable) {
                 // We need to clone the response since it can only be consumed once
-                this.cachedResponses.set(cacheKey, response.clone());
+                const stored = await this._useResponseCache(
+                  cache => cache.put(responseKey, response.clone()),
+                  false
+                );
+                if (stored) {
+                  this._validatedResponses.add(responseKey);
+                }
               }
 
               resolve(response);
@@ -1467,7 +4329,7 @@ class BrowserRepoCombiner extends RepoCombiner {
                   undefined,
                   'retrying'
                 );
-                await new Promise(r => setTimeout(r, delay));
+                await this._wait(delay);
                 delay *= 2; // Exponential backoff
                 retries--;
               } else {
@@ -1483,285 +4345,541 @@ class BrowserRepoCombiner extends RepoCombiner {
         }
       };
 
-      // Start the request process
-      executeRequest();
-    });
+      // Start the request process
+      executeRequest();
+    });
+
+    // Store the pending request
+    this.pendingRequests.set(cacheKey, requestPromise);
+
+    return requestPromise;
+  }
+
+  /**
+   * Run an operation on the response cache, carrying on without the cache if it fails
+   * Storage can be unavailable (e.g. IndexedDB in private browsing) or full; that is reported
+   * once per run.
+   * @param {Function} operation Async function that receives the response cache
+   * @param {*} fallback Result to use if the operation fails
+   * @returns {Promise<*>} Result of the operation, or the fallback
+   * @private
+   */
+  async _useResponseCache(operation, fallback = undefined) {
+    try {
+      return await operation(this.responseCache);
+    } catch (error) {
+      if (!this._responseCacheFailed) {
+        this._responseCacheFailed = true;
+        console.warn(
+          `Warning: Response cache unavailable, continuing without it: ${error.message}`
+        );
+      }
+      return fallback;
+    }
+  }
+
+  /**
+   * Cross-browser compatible base64 encoding
+   * @param {string} str String to encode
+   * @returns {string} Base64 encoded string
+   * @private
+   */
+  _base64Encode(str) {
+    // Try using btoa first (most browsers)
+    if (typeof btoa === 'function') {
+      return btoa(str);
+    }
+
+    // Fallback implementation for environments without btoa
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+    let output = '';
+
+    for (
+      let block = 0, charCode, i = 0, map = chars;
+      str.charAt(i | 0) || ((map = '='), i % 1);
+      output += map.charAt(63 & (block >> (8 - (i % 1) * 8)))
+    ) {
+      charCode = str.charCodeAt((i += 3 / 4));
+
+      if (charCode > 0xff) {
+        throw new Error(
+          'The string to be encoded contains characters outside of the Latin1 range.'
+        );
+      }
+
+      block = (block << 8) | charCode;
+    }
+
+    return output;
+  }
+
+  /**
+   * Fetch repository contents: list the files with the Git Trees API, then fetch the ones that
+   * pass the skip rules, with concurrency control
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @returns {Promise<Array>} Repository contents
+   */
+  async fetchRepoContents(owner, repo) {
+    if (this.aborted) {
+      return [];
+    }
+
+    try {
+      const files = await this._listRepoFiles(owner, repo);
+      return await this._processFileItems(files, owner, repo);
+    } catch (error) {
+      // Enhance the error with more context
+      if (error.isRateLimit || error.isSecondaryRateLimit) {
+        // Propagate rate limit errors with custom user-friendly message
+        const enhancedError = new Error(
+          'GitHub API rate limit exceeded while fetching the repository. ' +
+            'To increase your rate limit, authenticate with a GitHub token. ' +
+            `${error.message}`
+        );
+        enhancedError.isRateLimit = error.isRateLimit;
+        enhancedError.isSecondaryRateLimit = error.isSecondaryRateLimit;
+        enhancedError.documentationUrl = error.documentationUrl;
+        throw enhancedError;
+      }
+
+      console.error('Error fetching repository contents:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Process file items with concurrency control
+   * @param {Array<Object>} files File items, with a download_url or a readContent function
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @returns {Promise<Array>} Processed files
+   * @private
+   */
+  async _processFileItems(files, owner, repo) {
+    const contents = [];
+    let processedFileCount = 0;
+    const totalFiles = files.length;
+
+    for (let i = 0; i < files.length; i += this.config.concurrency) {
+      if (this.aborted) break;
+
+      const batch = files.slice(i, i + this.config.concurrency);
+
+      const batchPromises = batch.map(item => {
+        return this._processFileItem(item, owner, repo)
+          .then(fileObject => {
+            processedFileCount++;
+
+            // Report progress periodically to avoid flooding
+            if (processedFileCount % 5 === 0 || processedFileCount === totalFiles) {
+              this._reportProgress(
+                `Processed file ${processedFileCount}/${totalFiles}: ${item.path}`,
+                0.3 + 0.6 * (processedFileCount / totalFiles),
+                'fetching'
+              );
+            }
+
+            return fileObject;
+          })
+          .catch(error => {
+            console.warn(`Warning: Failed to process file ${item.path}: ${error.message}`);
+
+            // Special handling for rate limit errors - need to propagate these
+            if (error.isRateLimit || error.isSecondaryRateLimit) {
+              throw error;
+            }
+
+            return null;
+          });
+      });
 
-    // Store the pending request
-    this.pendingRequests.set(cacheKey, requestPromise);
+      try {
+        const results = await Promise.all(batchPromises);
 
-    return requestPromise;
+        for (const fileObject of results) {
+          if (fileObject) {
+            contents.push(fileObject);
+          }
+        }
+      } catch (error) {
+        // If it's a rate limit error, propagate it
+        if (error.isRateLimit || error.isSecondaryRateLimit) {
+          throw error;
+        }
+        console.error(`Error processing batch of files: ${error.message}`);
+      }
+    }
+
+    return contents;
   }
 
   /**
-   * Cross-browser compatible base64 encoding
-   * @param {string} str String to encode
-   * @returns {string} Base64 encoded string
+   * Create a filter for the directories of a flat listing
+   * Directories are skipped along with their parent, by name (skipDirs) or by exclude patterns,
+   * and each skipped directory is recorded once.
+   * @returns {Object} Filter ({ isSkipped(dirPath), kept }), where kept counts the directories
+   *   that are not skipped
    * @private
    */
-  _base64Encode(str) {
-    // Try using btoa first (most browsers)
-    if (typeof btoa === 'function') {
-      return btoa(str);
-    }
+  _createDirectoryFilter() {
+    const skippedDirs = new Map();
+    const filter = {
+      kept: 0,
+      isSkipped: dirPath => {
+        if (dirPath === '') return false;
+        if (!skippedDirs.has(dirPath)) {
+          const separator = dirPath.lastIndexOf('/');
+          const name = dirPath.slice(separator + 1);
+          let skipped = filter.isSkipped(dirPath.slice(0, Math.max(separator, 0)));
+
+          if (!skipped && this.config.skipDirs.includes(name)) {
+            this._recordSkipped(dirPath, 'directory', 'skipDirs');
+            skipped = true;
+          } else if (!skipped && !this._passesPathFilters(dirPath, true)) {
+            this._reportProgress(`Skipping excluded directory: ${dirPath}`);
+            this._recordSkipped(dirPath, 'directory', 'exclude');
+            skipped = true;
+          } else if (!skipped) {
+            filter.kept++;
+          }
+          skippedDirs.set(dirPath, skipped);
+        }
+        return skippedDirs.get(dirPath);
+      },
+    };
+    return filter;
+  }
 
-    // Fallback implementation for environments without btoa
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
-    let output = '';
+  /**
+   * Select the files of a flat listing that pass the skip rules, recording the others, so that
+   * skipped files cost no requests
+   * @param {Array<Object>} entries Listing entries ({ path, type, mode, size }), where type is
+   *   'blob' for files and 'tree' for directories
+   * @param {Object} directories Directory filter from _createDirectoryFilter
+   * @returns {Array<Object>} Entries of the files to combine, with their name
+   * @private
+   */
+  _selectFileEntries(entries, directories) {
+    const files = [];
 
-    for (
-      let block = 0, charCode, i = 0, map = chars;
-      str.charAt(i | 0) || ((map = '='), i % 1);
-      output += map.charAt(63 & (block >> (8 - (i % 1) * 8)))
-    ) {
-      charCode = str.charCodeAt((i += 3 / 4));
+    for (const entry of entries) {
+      const separator = entry.path.lastIndexOf('/');
+      const name = entry.path.slice(separator + 1);
 
-      if (charCode > 0xff) {
-        throw new Error(
-          'The string to be encoded contains characters outside of the Latin1 range.'
-        );
+      if (entry.type === 'tree') {
+        directories.isSkipped(entry.path);
+        continue;
       }
 
-      block = (block << 8) | charCode;
+      // Submodules (commits) and symlinks have no content of their own to combine
+      if (entry.type !== 'blob' || entry.mode === '120000') continue;
+      if (directories.isSkipped(entry.path.slice(0, Math.max(separator, 0)))) continue;
+
+      if (this.config.skipFiles.includes(name)) {
+        this._recordSkipped(entry.path, 'file', 'skipFiles');
+      } else if (this.config.skipExtensions.includes(this._getFileExtension(name).toLowerCase())) {
+        this._reportProgress(`Skipping excluded file extension: ${entry.path}`);
+        this._recordSkipped(entry.path, 'file', 'skipExtensions');
+        this.stats.skippedFiles++;
+      } else if (!this._passesPathFilters(entry.path, false)) {
+        this._reportProgress(`Skipping file not matching include/exclude patterns: ${entry.path}`);
+        this._recordSkipped(entry.path, 'file', 'include/exclude');
+        this.stats.skippedFiles++;
+        this.stats.skippedSize += entry.size || 0;
+      } else {
+        files.push({ ...entry, name });
+      }
     }
 
-    return output;
+    return files;
   }
 
   /**
-   * Fetch repository contents recursively using GitHub API with concurrency control
+   * List the files to fetch with the Git Trees API, or the provider's recursive tree listing
+   * One recursive tree request lists the whole repository (a few pages on other providers),
+   * where the contents API needs one request per directory.
    * @param {string} owner Repository owner
    * @param {string} repo Repository name
-   * @param {string} path Path within repository
-   * @returns {Promise<Array>} Repository contents
+   * @returns {Promise<Array<Object>>} File items ({ type, name, path, size, sha, download_url })
+   * @private
    */
-  async fetchRepoContents(owner, repo, path = '') {
-    if (this.aborted) {
-      return [];
-    }
-
-    try {
-      const url = `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
-
-      const response = await this._fetchWithAuth(url);
-
-      if (!response.ok) {
-        const error = new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-        error.status = response.status;
-
-        // Enhanced error handling for different status codes
-        if (response.status === 403) {
-          const body = await response.json().catch(() => ({}));
-          if (body.message && body.message.includes('rate limit')) {
-            // Rate limit error with more details from response body
-            error.message = `GitHub API rate limit exceeded: ${body.message}`;
-            error.isRateLimit = true;
-
-            // Try to get the remaining rate limit info from the response body
-            if (body.documentation_url) {
-              error.documentationUrl = body.documentation_url;
-            }
-          } else if (body.message && body.message.includes('abuse')) {
-            // Secondary rate limit (abuse detection)
-            error.message = `GitHub API secondary rate limit triggered: ${body.message}`;
-            error.isSecondaryRateLimit = true;
-          }
-        } else if (response.status === 404) {
-          error.message = `Repository path not found: ${path || 'root'}. The repository might be private or not exist.`;
-        } else if (response.status === 401) {
-          error.message = 'Authentication failed. Check your credentials or token.';
-        } else if (response.status >= 500) {
-          error.message = `GitHub server error (${response.status}). Try again later.`;
-        }
-
-        throw error;
-      }
+  async _listRepoFiles(owner, repo) {
+    // Pin the listing to the resolved commit so the files come from the same snapshot
+    const ref = (this.revision && this.revision.commit) || this.config.ref || 'HEAD';
+    const directories = this._createDirectoryFilter();
+    const listing = { requests: 0 };
+
+    this._reportProgress('Listing repository files...', 0.2, 'fetching');
+    const entries =
+      this.provider.name === 'github'
+        ? await this._fetchTreeEntries(owner, repo, ref, '', listing, directories)
+        : await this._fetchProviderTree(owner, repo, ref, listing);
+    const files = this._selectFileEntries(entries, directories).map(entry => ({
+      type: 'file',
+      name: entry.name,
+      path: entry.path,
+      // null when the listing has no sizes
+      size: entry.size ?? null,
+      sha: entry.sha,
+      download_url: this._getRawFileUrl(owner, repo, ref, entry.path),
+    }));
 
-      const data = await response.json();
+    // The contents API would have listed the root and every directory that isn't skipped
+    this.apiRequestsSaved = Math.max(0, 1 + directories.kept - listing.requests);
+    this._reportProgress(
+      `Listed ${files.length} files with ${listing.requests} API ` +
+        `${listing.requests === 1 ? 'request' : 'requests'} ` +
+        `(${this.apiRequestsSaved} fewer than listing each directory)`,
+      0.3,
+      'fetching'
+    );
 
-      if (Array.isArray(data)) {
-        // This is a directory
-        const contents = [];
+    return files;
+  }
 
-        // Group items into directories and files
-        const directories = [];
-        const files = [];
+  /**
+   * Download the repository zipball and read the files that pass the skip rules from it
+   * One request fetches the whole repository, and entries are only inflated once they pass the
+   * same skip, binary and size checks as downloaded files.
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} ref Branch, tag or commit SHA
+   * @returns {Promise<Array>} Processed files
+   * @throws {Error} If the download fails or the zipball is invalid
+   * @private
+   */
+  async _fetchZipballContents(owner, repo, ref) {
+    this._reportProgress(`Downloading zipball of ${owner}/${repo} at ${ref}...`, 0.2, 'fetching');
+    const response = await this._fetchWithAuth(this._getZipballUrl(owner, repo, ref));
 
-        for (const item of data) {
-          if (item.type === 'dir' && !this.config.skipDirs.includes(item.name)) {
-            directories.push(item);
-          } else if (item.type === 'file' && !this.config.skipFiles.includes(item.name)) {
-            // Skip files with extensions in skipExtensions
-            const fileExt = this._getFileExtension(item.name).toLowerCase();
-            if (!this.config.skipExtensions.includes(fileExt)) {
-              files.push(item);
-            } else {
-              this._reportProgress(`Skipping excluded file extension: ${item.path}`);
-              this.stats.skippedFiles++;
-            }
-          }
-        }
+    if (!response.ok) {
+      const isRefNotFound = response.status === 404 && Boolean(this.config.ref);
+      const error = new Error(
+        isRefNotFound
+          ? `Ref not found: ${ref}. Check that the branch, tag or commit SHA exists.`
+          : `Could not download the repository zipball: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      error.isRefNotFound = isRefNotFound;
+      throw error;
+    }
 
-        // Process directories with concurrency control
-        let processedDirCount = 0;
-        const totalDirs = directories.length;
+    const data = new Uint8Array(await response.arrayBuffer());
+    const { entries, comment } = listZipEntries(data);
 
-        // Pre-warn if large number of directories to process
-        if (totalDirs > 50) {
-          this._reportProgress(
-            `Processing large repository with ${totalDirs} directories. This may take some time...`,
-            undefined,
-            'info'
-          );
-        }
+    // git archive records the commit as the archive comment
+    this.revision = {
+      ref: this.config.ref || null,
+      commit: /^[0-9a-f]{40}$/.test(comment) ? comment : null,
+    };
 
-        for (let i = 0; i < directories.length; i += this.config.concurrency) {
-          const batch = directories.slice(i, i + this.config.concurrency);
+    // Entries sit in a single top-level directory (<owner>-<repo>-<sha> on GitHub)
+    const listing = entries
+      .map(entry => ({
+        path: entry.path.split('/').slice(1).join('/').replace(/\/$/, ''),
+        type: entry.isDirectory ? 'tree' : 'blob',
+        mode: entry.isSymlink ? '120000' : '100644',
+        size: entry.size,
+        zipEntry: entry,
+      }))
+      .filter(entry => entry.path);
+    const decoder = new TextDecoder('utf-8');
+    const files = this._selectFileEntries(listing, this._createDirectoryFilter()).map(entry => ({
+      type: 'file',
+      name: entry.name,
+      path: entry.path,
+      size: entry.size,
+      readContent: async () => decoder.decode(await readZipEntry(data, entry.zipEntry)),
+    }));
 
-          const batchPromises = batch.map(item => {
-            return this.fetchRepoContents(owner, repo, item.path)
-              .then(subContents => {
-                processedDirCount++;
-                this._reportProgress(
-                  `Processed directory ${processedDirCount}/${totalDirs}: ${item.path}`,
-                  0.2 + 0.4 * (processedDirCount / totalDirs),
-                  'fetching'
-                );
-                return subContents;
-              })
-              .catch(error => {
-                // Handle directory-specific errors gracefully
-                console.warn(`Warning: Error processing directory ${item.path}: ${error.message}`);
-
-                // Special handling for rate limit errors - need to propagate these
-                if (error.isRateLimit || error.isSecondaryRateLimit) {
-                  throw error;
-                }
+    this._reportProgress(`Reading ${files.length} files from the zipball...`, 0.3, 'fetching');
+    return this._processFileItems(files, owner, repo);
+  }
 
-                return [];
-              });
-          });
+  /**
+   * Get the zipball URL of a repository, from the zipballUrl template if one is set, or else
+   * from the provider
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} ref Branch, tag or commit SHA
+   * @returns {string} Zipball URL
+   * @private
+   */
+  _getZipballUrl(owner, repo, ref) {
+    if (!this.config.zipballUrl) {
+      return this.provider.getZipballUrl(this.apiBaseUrl, { owner, repo }, ref);
+    }
+    const values = { owner, repo, ref };
+    return this.config.zipballUrl.replace(/\{(owner|repo|ref)\}/g, (match, key) =>
+      values[key].split('/').map(encodeURIComponent).join('/')
+    );
+  }
 
-          try {
-            const results = await Promise.all(batchPromises);
+  /**
+   * List a tree recursively, with paths relative to the repository root
+   * GitHub truncates recursive listings of very large trees; those are listed one level at a
+   * time instead, with a recursive request per subtree that isn't skipped.
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} treeSha Tree SHA, or a commit SHA or ref for the root tree
+   * @param {string} prefix Path of the tree followed by a slash ('' for the root)
+   * @param {Object} listing Request count, updated as trees are fetched
+   * @param {Object} directories Directory filter from _createDirectoryFilter
+   * @returns {Promise<Array<Object>>} Tree entries ({ path, mode, type, sha, size })
+   * @private
+   */
+  async _fetchTreeEntries(owner, repo, treeSha, prefix, listing, directories) {
+    const withPrefix = tree => tree.tree.map(entry => ({ ...entry, path: prefix + entry.path }));
 
-            for (const subContents of results) {
-              contents.push(...subContents);
-            }
-          } catch (error) {
-            // If it's a rate limit error, propagate it
-            if (error.isRateLimit || error.isSecondaryRateLimit) {
-              throw error;
-            }
-            console.error(`Error processing batch of directories: ${error.message}`);
-          }
+    listing.requests++;
+    const tree = await this._fetchTree(owner, repo, treeSha, true);
+    if (!tree.truncated) {
+      return withPrefix(tree);
+    }
 
-          if (this.aborted) break;
-        }
+    this._reportProgress(
+      `Listing of ${prefix || 'the repository root'} was truncated, listing subtrees separately...`,
+      undefined,
+      'fetching'
+    );
+    listing.requests++;
+    const entries = withPrefix(await this._fetchTree(owner, repo, treeSha, false));
+    const subtrees = entries.filter(
+      entry => entry.type === 'tree' && !directories.isSkipped(entry.path)
+    );
 
-        // Process files with concurrency control
-        let processedFileCount = 0;
-        const totalFiles = files.length;
+    for (let i = 0; i < subtrees.length && !this.aborted; i += this.config.concurrency) {
+      const batch = subtrees.slice(i, i + this.config.concurrency);
+      const results = await Promise.all(
+        batch.map(subtree =>
+          this._fetchTreeEntries(owner, repo, subtree.sha, `${subtree.path}/`, listing, directories)
+        )
+      );
+      results.forEach(subtreeEntries => entries.push(...subtreeEntries));
+    }
 
-        for (let i = 0; i < files.length; i += this.config.concurrency) {
-          if (this.aborted) break;
+    return entries;
+  }
 
-          const batch = files.slice(i, i + this.config.concurrency);
+  /**
+   * Fetch a tree from the Git Trees API
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} treeSha Tree SHA, or a commit SHA or ref for the root tree
+   * @param {boolean} recursive List the entries of all subtrees too
+   * @returns {Promise<Object>} Tree ({ sha, tree, truncated })
+   * @throws {Error} If the request fails
+   * @private
+   */
+  async _fetchTree(owner, repo, treeSha, recursive) {
+    const url = this.provider.getTreeUrl(this.apiBaseUrl, { owner, repo }, treeSha, recursive);
+    const response = await this._fetchWithAuth(url);
 
-          const batchPromises = batch.map(item => {
-            return this._processFileItem(item)
-              .then(fileObject => {
-                processedFileCount++;
+    if (!response.ok) {
+      throw await this._createTreeError(response, treeSha);
+    }
 
-                // Report progress periodically to avoid flooding
-                if (processedFileCount % 5 === 0 || processedFileCount === totalFiles) {
-                  this._reportProgress(
-                    `Processed file ${processedFileCount}/${totalFiles}: ${item.path}`,
-                    0.6 + 0.3 * (processedFileCount / totalFiles),
-                    'fetching'
-                  );
-                }
+    return response.json();
+  }
 
-                return fileObject;
-              })
-              .catch(error => {
-                console.warn(`Warning: Failed to process file ${item.path}: ${error.message}`);
+  /**
+   * List a tree recursively with the provider's tree listing, following its pages
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} ref Commit SHA or ref
+   * @param {Object} listing Request count, updated as pages are fetched
+   * @returns {Promise<Array<Object>>} Tree entries ({ path, mode, type, size }), where size may
+   *   be missing
+   * @throws {Error} If a request fails
+   * @private
+   */
+  async _fetchProviderTree(owner, repo, ref, listing) {
+    const entries = [];
+    let url = this.provider.getTreeUrl(this.apiBaseUrl, { owner, repo }, ref);
 
-                // Special handling for rate limit errors - need to propagate these
-                if (error.isRateLimit || error.isSecondaryRateLimit) {
-                  throw error;
-                }
+    while (url && !this.aborted) {
+      listing.requests++;
+      const response = await this._fetchWithAuth(url);
+      if (!response.ok) {
+        throw await this._createTreeError(response, ref);
+      }
 
-                return null;
-              });
-          });
+      const page = this.provider.parseTreePage(await response.json(), response.headers, url);
+      entries.push(...page.entries);
+      url = page.next;
+    }
 
-          try {
-            const results = await Promise.all(batchPromises);
+    return entries;
+  }
 
-            for (const fileObject of results) {
-              if (fileObject) {
-                contents.push(fileObject);
-              }
-            }
-          } catch (error) {
-            // If it's a rate limit error, propagate it
-            if (error.isRateLimit || error.isSecondaryRateLimit) {
-              throw error;
-            }
-            console.error(`Error processing batch of files: ${error.message}`);
-          }
+  /**
+   * Create the error for a failed tree listing request
+   * @param {Response} response Failed response
+   * @param {string} treeSha Tree SHA, commit SHA or ref that was listed
+   * @returns {Promise<Error>} Error, with the response status
+   * @private
+   */
+  async _createTreeError(response, treeSha) {
+    const label = this.provider.label;
+    const error = new Error(`${label} API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+
+    // Enhanced error handling for different status codes
+    if (response.status === 403) {
+      const body = await response.json().catch(() => ({}));
+      if (body.message && body.message.includes('rate limit')) {
+        // Rate limit error with more details from response body
+        error.message = `${label} API rate limit exceeded: ${body.message}`;
+        error.isRateLimit = true;
+
+        // Try to get the remaining rate limit info from the response body
+        if (body.documentation_url) {
+          error.documentationUrl = body.documentation_url;
         }
-
-        return contents;
-      } else {
-        // This is a single file (direct API call to a file path)
-        const fileObject = await this._processFileItem(data);
-        return fileObject ? [fileObject] : [];
-      }
-    } catch (error) {
-      // Enhance the error with more context
-      if (error.isRateLimit || error.isSecondaryRateLimit) {
-        // Propagate rate limit errors with custom user-friendly message
-        const enhancedError = new Error(
-          `GitHub API rate limit exceeded while fetching ${path || 'repository root'}. ` +
-            'To increase your rate limit, authenticate with a GitHub token. ' +
-            `${error.message}`
-        );
-        enhancedError.isRateLimit = error.isRateLimit;
-        enhancedError.isSecondaryRateLimit = error.isSecondaryRateLimit;
-        enhancedError.documentationUrl = error.documentationUrl;
-        throw enhancedError;
+      } else if (body.message && body.message.includes('abuse')) {
+        // Secondary rate limit (abuse detection)
+        error.message = `${label} API secondary rate limit triggered: ${body.message}`;
+        error.isSecondaryRateLimit = true;
       }
+    } else if (response.status === 404) {
+      error.message = `Tree not found: ${treeSha}. The repository might be private or not exist.`;
+    } else if (response.status === 401) {
+      error.message = 'Authentication failed. Check your credentials or token.';
+    } else if (response.status >= 500) {
+      error.message = `${label} server error (${response.status}). Try again later.`;
+    }
 
-      console.error(`Error fetching ${path || 'repository root'}:`, error.message);
-
-      // Don't throw for individual directory errors, just return empty array
-      if (path !== '') {
-        console.warn(`Skipping directory: ${path}`);
-        return [];
-      }
+    return error;
+  }
 
-      throw error;
-    }
+  /**
+   * Get the raw download URL of a file
+   * On github.com that is raw.githubusercontent.com, which isn't subject to the API rate limit.
+   * GitHub Enterprise serves raw files from different hosts depending on its configuration, so
+   * there (as on other providers) the API's raw file endpoint is used.
+   * @param {string} owner Repository owner
+   * @param {string} repo Repository name
+   * @param {string} ref Commit SHA or ref
+   * @param {string} filePath File path
+   * @returns {string} Raw file URL
+   * @private
+   */
+  _getRawFileUrl(owner, repo, ref, filePath) {
+    return this.provider.getRawFileUrl(this.apiBaseUrl, { owner, repo }, ref, filePath);
   }
 
   /**
-   * Process a single file item from the GitHub API
-   * @param {Object} item File item from GitHub API
+   * Process a single file item from the tree listing or a zipball
+   * @param {Object} item File item, with a download_url or a readContent function
    * @param {string} owner Repository owner
    * @param {string} repo Repository name
    * @returns {Promise<Object>} Processed file object
    * @private
    */
-  async _processFileItem(item) {
+  async _processFileItem(item, owner, repo) {
     // Skip files larger than maxFileSizeMB
-    if (item.size > this.config.maxFileSizeMB * 1024 * 1024) {
-      this._reportProgress(
-        `Skipping large file (${(item.size / 1024 / 1024).toFixed(2)} MB): ${item.path}`
-      );
-      this.stats.skippedFiles++;
-      this.stats.skippedSize += item.size;
+    if (this._skipLargeFile(item)) {
       return null;
     }
 
@@ -1772,6 +4890,7 @@ class BrowserRepoCombiner extends RepoCombiner {
     for (const { extension } of BINARY_FILE_SIGNATURES) {
       if (fileExt === extension) {
         this._reportProgress(`Skipping binary file: ${item.path}`);
+        this._recordSkipped(item.path, 'file', 'binary');
         this.stats.skippedFiles++;
         this.stats.skippedSize += item.size;
         return null;
@@ -1779,29 +4898,62 @@ class BrowserRepoCombiner extends RepoCombiner {
     }
 
     try {
-      // Use raw download URL to fetch content
-      const fileResponse = await this._fetchWithAuth(item.download_url);
-
-      if (!fileResponse.ok) {
-        throw new Error(
-          `Failed to fetch file content: ${fileResponse.status} ${fileResponse.statusText}`
+      let rawContent;
+      if (item.readContent) {
+        // Zipball entries are read from the downloaded archive
+        rawContent = await item.readContent();
+      } else {
+        // Use raw download URL to fetch content; API URLs return it for the raw media type
+        const isApiUrl = item.download_url.startsWith(`${this.apiBaseUrl}/`);
+        const fileResponse = await this._fetchWithAuth(
+          item.download_url,
+          isApiUrl ? { headers: this.provider.rawFileHeaders } : {}
         );
+
+        if (!fileResponse.ok) {
+          throw new Error(
+            `Failed to fetch file content: ${fileResponse.status} ${fileResponse.statusText}`
+          );
+        }
+
+        rawContent = await fileResponse.text();
       }
 
-      const content = await fileResponse.text();
+      // Listings without sizes (e.g. GitLab's) are checked once the file is downloaded
+      if (item.size === null) {
+        item = { ...item, size: new TextEncoder().encode(rawContent).length };
+        if (this._skipLargeFile(item)) {
+          return null;
+        }
+      }
 
       // Detect if this is a binary file by checking for null bytes
-      if (content.includes('\0')) {
+      if (rawContent.includes('\0')) {
         this._reportProgress(`Skipping binary file: ${item.path}`);
+        this._recordSkipped(item.path, 'file', 'binary');
         this.stats.skippedFiles++;
         this.stats.skippedSize += item.size;
         return null;
       }
 
-      // Calculate token count for browser implementation
-      const tokenCount = this._estimateTokenCount(content);
+      // Outline and strip as configured, then scan what is left for secrets (may redact it)
+      const outlined = this._outlineContent(rawContent, fileExt);
+      const stripped = this._stripContent(outlined.content, fileExt);
+      const content = this._scanSecrets(item.path, stripped.content);
+      const size = content === rawContent ? item.size : new TextEncoder().encode(content).length;
+
+      // Calculate token count for browser implementation, unless stripping already counted them
+      const tokenCount =
+        stripped.tokenCount !== null && content === stripped.content
+          ? stripped.tokenCount
+          : this._countTokens(content);
       const safeTokenCount = isNaN(tokenCount) ? 0 : Number(tokenCount);
 
+      const history =
+        this.config.gitHistory && this.provider.name === 'github'
+          ? await this._fetchFileHistory(owner, repo, item.path)
+          : null;
+
       // Add to total token count - defensively handle possible NaN
       if (typeof this.stats.totalTokens !== 'number' || isNaN(this.stats.totalTokens)) {
         this.stats.totalTokens = 0; // Reset if not a valid number
@@ -1811,10 +4963,14 @@ class BrowserRepoCombiner extends RepoCombiner {
       return {
         path: item.path,
         content,
-        size: item.size,
+        size,
         extension: fileExt,
         tokenCount: safeTokenCount,
-        lastModified: new Date().toISOString(), // GitHub API doesn't provide last modified date
+        tokensSaved: stripped.tokensSaved,
+        mode: outlined.mode,
+        // The API has no file dates; without gitHistory this is the time of the fetch
+        lastModified: history ? history.date : new Date().toISOString(),
+        ...(history ? { author: history.author, lastCommit: history.commit } : {}),
       };
     } catch (error) {
       console.warn(`Warning: Failed to fetch file content for ${item.path}: ${error.message}`);
@@ -1823,6 +4979,38 @@ class BrowserRepoCombiner extends RepoCombiner {
     }
   }
 
+  /**
+   * Skip a file larger than maxFileSizeMB, recording it
+   * @param {Object} item File item, with its size
+   * @returns {boolean} True if the file was skipped
+   * @private
+   */
+  _skipLargeFile(item) {
+    if (item.size > this.config.maxFileSizeMB * 1024 * 1024) {
+      this._reportProgress(
+        `Skipping large file (${(item.size / 1024 / 1024).toFixed(2)} MB): ${item.path}`
+      );
+      this._recordSkipped(item.path, 'file', 'too large');
+      this.stats.skippedFiles++;
+      this.stats.skippedSize += item.size;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Reject allowlist file paths, since the browser can't read local files
+   * @param {string} filePath Allowlist file path
+   * @returns {Promise<string>} Never resolves
+   * @throws {Error} Always
+   * @private
+   */
+  async _readSecretAllowlist(filePath) {
+    throw new Error(
+      `Cannot read secret allowlist ${filePath} in the browser; pass an array of entries instead`
+    );
+  }
+
   /**
    * Get file extension in a browser-compatible way
    * @param {string} filename File name
@@ -1837,37 +5025,82 @@ class BrowserRepoCombiner extends RepoCombiner {
 
   /**
    * Process a repository in browser environment
-   * @param {string} repoUrl GitHub repository URL
+   * @param {string} repoUrl Repository URL (GitHub, GitLab, Bitbucket or Gitea)
    * @param {Object} options Processing options
-   * @returns {Promise<string|Object>} Combined repository content
+   * @returns {Promise<string|Object|Array>} Combined repository content (an array of parts when chunked)
    */
   async processRepo(repoUrl, options = {}) {
+    // A pull request URL combines the files changed by the pull request
+    const pullRequest = parsePullRequestUrl(repoUrl);
+    if (pullRequest) {
+      repoUrl = pullRequest.repoUrl;
+    }
+
     // Call the parent's processRepo first to handle validation and setup
-    // but override the actual implementation
-    const config = { ...this.config, ...options };
+    // but override the actual implementation; the signal only applies to this run
+    const { signal, ...overrides } = options;
+    const config = { ...this.config, ...overrides };
     this.config = config;
 
+    await this._initTokenizer(config);
+    this._validateBudgetOptions(config);
+    this._initOutputMode(config);
+    this._initStrip(config);
+    await this._initSecretScan(config);
+
     // Reset state for new processing
     this.files = [];
     this.stats = {
       totalFiles: 0,
       totalSize: 0,
+      tokensSaved: 0,
       skippedFiles: 0,
       skippedSize: 0,
       startTime: Date.now(),
       endTime: null,
       elapsedTime: 0,
     };
+    this.revision = null;
+    this.diff = null;
+    this.diffRange = null;
+    this.budget = null;
+    this.secrets = [];
+    this.skipped = [];
+    this._stream = null;
+    this._treeFiles = null;
     this.aborted = false;
     this.apiRequestCount = 0;
-    this.cachedResponses.clear();
+    this.apiRequestsSaved = 0;
+    this.apiRequestsNotModified = 0;
+    this._validatedResponses.clear();
+    this._responseCacheFailed = false;
     this.pendingRequests.clear();
+    const unlinkSignal = this._linkAbortSignal(signal);
 
     try {
+      this._throwIfAborted();
       this._reportProgress(`Processing repository: ${repoUrl}`, 0, 'initializing');
 
+      // The pull request, compare and commits APIs used for diffs and file history are GitHub's.
+      // Set the provider first so the pull request lookup uses this repository's headers and auth.
+      this.provider = this._getProvider(repoUrl);
+      if (this.provider.name !== 'github') {
+        if (config.diff || pullRequest) {
+          throw new Error(
+            `Diff mode is only supported for GitHub repositories in the browser (${repoUrl} is on ${this.provider.label})`
+          );
+        }
+        if (config.gitHistory) {
+          console.warn(
+            'Warning: gitHistory is only supported for GitHub repositories; ignoring it'
+          );
+        }
+      }
+      this.diffRange = await this._resolveDiffRange(config, pullRequest);
+
       // Fetch repository contents
       const repoData = await this.cloneRepository(repoUrl);
+      this._throwIfAborted();
 
       // Store valid files (non-null values)
       this.files = repoData.contents.filter(Boolean);
@@ -1879,10 +5112,20 @@ class BrowserRepoCombiner extends RepoCombiner {
         (total, file) => total + (file.tokenCount || 0),
         0
       );
+      this.stats.tokensSaved = this.files.reduce(
+        (total, file) => total + (file.tokensSaved || 0),
+        0
+      );
+
+      // Report potential secrets (may fail the run)
+      this._applySecretPolicy(config);
+
+      // Check the result against the token budget (may trim files or fail the run)
+      this._applyTokenBudget(config);
 
       // Generate output in the requested format
       this._reportProgress('Generating output...', 0.9, 'generating');
-      const output = this.generateOutput(config.format);
+      const output = await this._generateConfiguredOutput(config);
 
       // Update final stats
       this.stats.endTime = Date.now();
@@ -1893,35 +5136,83 @@ Repository processing completed:
 - Total files processed: ${this.stats.totalFiles}
 - Total size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB
 - Total tokens: ${this._formatTokenCount(this.stats.totalTokens)}
+- Fits models: ${describeFittingModels(this.budget.tokens)}
+- Mode: ${this._describeMode()}
+- Stripped: ${this._describeStrip()}
+- Secrets: ${this._describeSecrets()}
 - Skipped files: ${this.stats.skippedFiles}
 - Skipped size: ${(this.stats.skippedSize / 1024 / 1024).toFixed(2)} MB
-- API requests: ${this.apiRequestCount}
+- API requests: ${this.apiRequestCount} (${this.apiRequestsSaved} saved by the tree listing, ${this.apiRequestsNotModified} not modified since cached)
 - Processing time: ${(this.stats.elapsedTime / 1000).toFixed(2)} seconds
       `;
 
       this._reportProgress('Processing complete', 1, 'complete');
-      console.log(summaryMessage);
+
+      // Keep stdout free for the data when streaming, since the stream may be process.stdout
+      if (config.outputStream) {
+        console.error(summaryMessage);
+      } else {
+        console.log(summaryMessage);
+      }
 
       return output;
     } catch (error) {
       this.stats.endTime = Date.now();
       this.stats.elapsedTime = this.stats.endTime - this.stats.startTime;
 
-      this._reportProgress(`Error: ${error.message}`, undefined, 'error');
+      // Pending requests were aborted along with the run, or are no longer needed
+      this.pendingRequests.clear();
 
-      // Clean up any pending promises
-      for (const [key, promise] of this.pendingRequests.entries()) {
-        if (promise.cancel && typeof promise.cancel === 'function') {
-          promise.cancel();
-        }
-        this.pendingRequests.delete(key);
+      // Aborted runs reject with an AbortError, whatever the interrupted request threw
+      if (this._abortController.signal.aborted) {
+        throw this._createAbortError();
       }
 
+      this._reportProgress(`Error: ${error.message}`, undefined, 'error');
+
       throw error;
+    } finally {
+      unlinkSignal();
+
+      // Drop expired responses and keep the cache within its size
+      await this._useResponseCache(cache => cache.prune());
     }
   }
 }
 
+/**
+ * Resolve a local directory input to an absolute path
+ * Inputs that look like paths (./, ../, /, ~ or a drive letter) must exist and be directories;
+ * other strings are only treated as local when a matching directory exists.
+ * @param {string} input Repository URL or local directory path
+ * @returns {Promise<string|null>} Absolute directory path, or null if input is not local
+ * @throws {Error} If a path-like input does not point to a readable directory
+ */
+export async function resolveLocalDirectory(input) {
+  if (/^(https?:\/\/|git@)/.test(input)) {
+    return null;
+  }
+
+  const looksLikePath = /^(\.{1,2}([/\\]|$)|[/\\]|~([/\\]|$)|[a-zA-Z]:[/\\])/.test(input);
+  const expanded = input.startsWith('~') ? path.join(os.homedir(), input.slice(1)) : input;
+  const dirPath = path.resolve(expanded);
+
+  let stats;
+  try {
+    stats = await fs.stat(dirPath);
+  } catch (err) {
+    if (!looksLikePath) return null;
+    throw new Error(`Local directory not found: ${input}`);
+  }
+
+  if (!stats.isDirectory()) {
+    if (!looksLikePath) return null;
+    throw new Error(`Local path is not a directory: ${input}`);
+  }
+
+  return dirPath;
+}
+
 /**
  * Create a repository combiner instance
  * @param {Object} config Configuration options
@@ -1931,10 +5222,17 @@ export function createRepoCombiner(config = {}) {
   return isNode ? new RepoCombiner(config) : new BrowserRepoCombiner(config);
 }
 
+export { unpackOutput, listCache, pruneCache, clearCache };
+
 // Export module
 export default {
   RepoCombiner,
   BrowserRepoCombiner,
   createRepoCombiner,
+  resolveLocalDirectory,
+  unpackOutput,
+  listCache,
+  pruneCache,
+  clearCache,
   version: '1.0.1',
 };
@@ -0,0 +1,323 @@
+/**
+ * Response cache for repo-combiner
+ * Keeps GitHub responses with their ETag or Last-Modified date, so that later requests can be
+ * made conditional: GitHub answers unchanged resources with 304 Not Modified, which doesn't
+ * count against the rate limit of authenticated requests. Entries live in memory, in IndexedDB
+ * in browsers, or in a cache directory in Node.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getDefaultCacheDir } from './cache.js';
+
+export const RESPONSE_CACHE_STORAGES = ['memory', 'persistent'];
+export const DEFAULT_RESPONSE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+export const DEFAULT_RESPONSE_CACHE_MAX_SIZE_MB = 100;
+
+// Pagination headers, which cached listings need to find their next page
+const KEPT_HEADERS = ['link', 'x-next-page'];
+
+const DB_NAME = 'repo-combiner';
+const DB_VERSION = 1;
+
+/**
+ * Get the default response cache directory, used in Node
+ * It sits next to the clone cache directory rather than inside it, since the cache command
+ * manages everything in there as clones.
+ * @returns {string} The repo-combiner-responses directory next to the clone cache directory
+ */
+export function getDefaultResponseCacheDir() {
+  return `${getDefaultCacheDir()}-responses`;
+}
+
+/**
+ * Create a store that keeps entries in memory
+ * @returns {Object} Store ({ get, put, delete, list })
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    get: async key => entries.get(key) || null,
+    put: async entry => {
+      entries.set(entry.key, entry);
+    },
+    delete: async key => {
+      entries.delete(key);
+    },
+    list: async () => [...entries.values()],
+  };
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request Request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create a store that keeps entries in IndexedDB
+ * Metadata and bodies are kept apart, so that listing entries doesn't load every body.
+ * @param {IDBFactory} indexedDB IndexedDB factory
+ * @returns {Object} Store ({ get, put, delete, list })
+ */
+function createIndexedDBStore(indexedDB) {
+  let database = null;
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('responses', { keyPath: 'key' });
+        request.result.createObjectStore('bodies', { keyPath: 'key' });
+      };
+      database = idbRequest(request);
+    }
+    return database;
+  };
+  const transaction = async (mode, callback) => {
+    const tx = (await open()).transaction(['responses', 'bodies'], mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = callback(tx.objectStore('responses'), tx.objectStore('bodies'));
+    await done;
+    return result;
+  };
+
+  return {
+    get: async key => {
+      const [meta, body] = await transaction('readonly', (responses, bodies) =>
+        Promise.all([idbRequest(responses.get(key)), idbRequest(bodies.get(key))])
+      );
+      return meta && body ? { ...meta, body: new Uint8Array(body.body) } : null;
+    },
+    put: ({ body, ...meta }) =>
+      transaction('readwrite', (responses, bodies) => {
+        responses.put(meta);
+        bodies.put({ key: meta.key, body });
+      }),
+    delete: key =>
+      transaction('readwrite', (responses, bodies) => {
+        responses.delete(key);
+        bodies.delete(key);
+      }),
+    list: () => transaction('readonly', responses => idbRequest(responses.getAll())),
+  };
+}
+
+/**
+ * Create a store that keeps entries as files in a directory
+ * Each entry is a metadata file and a body file, named after a hash of its key. Files are
+ * written to a temporary name first, so concurrent runs never read a partial entry.
+ * @param {string} dir Cache directory
+ * @returns {Object} Store ({ get, put, delete, list })
+ */
+function createFileStore(dir) {
+  const getPaths = key => {
+    const name = createHash('sha256').update(key).digest('hex');
+    return { meta: path.join(dir, `${name}.json`), body: path.join(dir, `${name}.body`) };
+  };
+  const readMeta = async metaPath => {
+    try {
+      return JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    } catch (error) {
+      // Missing, or left half-written by a crashed run
+      return null;
+    }
+  };
+  const writeAtomically = async (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  };
+
+  return {
+    get: async key => {
+      const paths = getPaths(key);
+      const meta = await readMeta(paths.meta);
+      if (!meta || meta.key !== key) return null;
+      try {
+        const body = await fs.readFile(paths.body);
+        return body.length === meta.size ? { ...meta, body: new Uint8Array(body) } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    put: async ({ body, ...meta }) => {
+      const paths = getPaths(meta.key);
+      await fs.mkdir(dir, { recursive: true });
+      await writeAtomically(paths.body, body);
+      await writeAtomically(paths.meta, JSON.stringify(meta));
+    },
+    delete: async key => {
+      const paths = getPaths(key);
+      await fs.rm(paths.meta, { force: true });
+      await fs.rm(paths.body, { force: true });
+    },
+    list: async () => {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const metas = await Promise.all(
+        names.filter(name => name.endsWith('.json')).map(name => readMeta(path.join(dir, name)))
+      );
+      return metas.filter(Boolean);
+    },
+  };
+}
+
+/**
+ * Create a response cache
+ * Entries that haven't been validated for longer than the TTL are dropped, and pruning evicts
+ * the least recently used entries beyond the maximum size.
+ * @param {Object} options Cache options
+ * @param {string} options.storage 'memory', or 'persistent' for IndexedDB in browsers and a
+ *   cache directory in Node
+ * @param {string} options.dir Cache directory for persistent storage in Node
+ * @param {number} options.ttl Milliseconds to keep an entry after it was last validated
+ * @param {number} options.maxSize Size in bytes to shrink the cache to when pruning
+ * @returns {Object} Cache ({ get, put, revalidate, prune })
+ * @throws {Error} If the storage is unknown
+ */
+export function createResponseCache({
+  storage = 'memory',
+  dir = null,
+  ttl = DEFAULT_RESPONSE_CACHE_TTL,
+  maxSize = DEFAULT_RESPONSE_CACHE_MAX_SIZE_MB * 1024 * 1024,
+} = {}) {
+  if (!RESPONSE_CACHE_STORAGES.includes(storage)) {
+    throw new Error(
+      `Invalid response cache storage: ${storage}. Use one of: ${RESPONSE_CACHE_STORAGES.join(', ')}`
+    );
+  }
+
+  let store;
+  if (storage === 'memory') {
+    store = createMemoryStore();
+  } else if (typeof globalThis.indexedDB !== 'undefined') {
+    store = createIndexedDBStore(globalThis.indexedDB);
+  } else {
+    store = createFileStore(dir || getDefaultResponseCacheDir());
+  }
+  const isExpired = entry => Date.now() - entry.validatedAt > ttl;
+
+  return {
+    /**
+     * Get an entry
+     * @param {string} key Entry key
+     * @returns {Promise<Object|null>} Entry ({ key, etag, lastModified, contentType, headers,
+     *   body, size, validatedAt, usedAt }), or null if there is none or it expired
+     */
+    async get(key) {
+      const entry = await store.get(key);
+      if (entry && isExpired(entry)) {
+        await store.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    /**
+     * Store a response, if it has a validator and fits the cache
+     * @param {string} key Entry key
+     * @param {Response} response Successful response, which is consumed
+     * @returns {Promise<boolean>} True if the response was stored
+     */
+    async put(key, response) {
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      if (!etag && !lastModified) return false;
+
+      const body = new Uint8Array(await response.arrayBuffer());
+      if (body.length > maxSize) return false;
+
+      const now = Date.now();
+      const headers = {};
+      for (const name of KEPT_HEADERS) {
+        if (response.headers.has(name)) headers[name] = response.headers.get(name);
+      }
+      await store.put({
+        key,
+        etag,
+        lastModified,
+        contentType: response.headers.get('content-type'),
+        headers,
+        body,
+        size: body.length,
+        validatedAt: now,
+        usedAt: now,
+      });
+      return true;
+    },
+
+    /**
+     * Record that the server confirmed an entry is unchanged
+     * @param {Object} entry Entry from get
+     * @returns {Promise<void>}
+     */
+    async revalidate(entry) {
+      const now = Date.now();
+      await store.put({ ...entry, validatedAt: now, usedAt: now });
+    },
+
+    /**
+     * Drop expired entries, then evict the least recently used ones beyond the maximum size
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+      const entries = (await store.list()).sort((a, b) => b.usedAt - a.usedAt);
+      let totalSize = 0;
+      let removed = 0;
+
+      for (const entry of entries) {
+        totalSize += entry.size;
+        if (isExpired(entry) || totalSize > maxSize) {
+          await store.delete(entry.key);
+          totalSize -= entry.size;
+          removed++;
+        }
+      }
+
+      return removed;
+    },
+  };
+}
+
+/**
+ * Get the headers that make a request conditional on a cached entry
+ * @param {Object} entry Cached entry
+ * @returns {Object} If-None-Match and/or If-Modified-Since headers
+ */
+export function getConditionalHeaders(entry) {
+  const headers = {};
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Create a response from a cached entry
+ * @param {Object} entry Cached entry
+ * @returns {Response} Successful response with the cached body
+ */
+export function createCachedResponse(entry) {
+  const headers = { ...entry.headers };
+  if (entry.contentType) headers['content-type'] = entry.contentType;
+  if (entry.etag) headers['etag'] = entry.etag;
+  if (entry.lastModified) headers['last-modified'] = entry.lastModified;
+  return new Response(entry.body, { status: 200, statusText: 'OK', headers });
+}
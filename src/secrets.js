@@ -0,0 +1,208 @@
+/**
+ * Secret detection for repo-combiner
+ * Finds credentials in file content before it is combined, so they can be reported,
+ * redacted or fail the run. Detection is pattern based and deliberately conservative;
+ * false positives can be allowlisted by value, rule or path.
+ */
+
+import { globToRegExp } from './glob.js';
+
+// Modes accepted by the secretScan option
+export const SECRET_SCAN_MODES = ['off', 'warn', 'redact', 'fail'];
+
+// Detection rules, most specific first; a match overlapping an earlier rule's match is ignored.
+// `group` is the capture group holding the secret when the pattern also matches its context.
+export const SECRET_RULES = [
+  {
+    id: 'private-key',
+    description: 'Private key block',
+    pattern:
+      /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+  },
+  {
+    id: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    pattern:
+      /aws.{0,20}?(?:secret|private).{0,20}?['"=:]\s*['"]?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    group: 1,
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g,
+  },
+  {
+    id: 'slack-token',
+    description: 'Slack token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+  },
+  {
+    id: 'stripe-key',
+    description: 'Stripe secret key',
+    pattern: /\b[sr]k_live_[A-Za-z0-9]{20,}\b/g,
+  },
+  {
+    id: 'google-api-key',
+    description: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g,
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    id: 'env-value',
+    description: 'Value in a .env file',
+    pattern:
+      /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.]*[ \t]*=[ \t]*(['"]?)([^\s'"#][^\r\n]*?)\1[ \t]*(?:#[^\r\n]*)?$/gm,
+    group: 2,
+    test: value => !/^(?:\d+|true|false|null|localhost)$/i.test(value),
+    files: /(?:^|\/)\.env(?:\.(?!example$|sample$|template$|dist$|defaults$)[^/]+)?$/i,
+  },
+  {
+    id: 'high-entropy-string',
+    description: 'High-entropy string',
+    pattern: /(["'`])([A-Za-z0-9+/=_-]{20,200})\1/g,
+    group: 2,
+    // Needs letters and digits, and no alphabet runs (character set constants aren't secrets)
+    test: value =>
+      /[A-Za-z]/.test(value) &&
+      /\d/.test(value) &&
+      !/abcdef|ABCDEF|012345/.test(value) &&
+      shannonEntropy(value) >= 4.2,
+  },
+];
+
+/**
+ * Calculate the Shannon entropy of a string in bits per character
+ * @param {string} value String to measure
+ * @returns {number} Entropy
+ */
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+/**
+ * Parse an allowlist file
+ * Each line is `rule:<rule id>` to disable a rule, `path:<glob>` to ignore findings in
+ * matching files, or a literal secret value to ignore. Blank lines and `#` comments are skipped.
+ * @param {string} text Allowlist file content
+ * @returns {Array<string>} Allowlist entries
+ */
+export function parseSecretAllowlist(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Compile allowlist entries into a matcher
+ * @param {Array<string>} entries Allowlist entries
+ * @returns {Object} Matcher with rules, paths and values sets
+ */
+function compileAllowlist(entries = []) {
+  const allowlist = { rules: new Set(), paths: [], values: new Set() };
+  for (const entry of entries) {
+    if (entry.startsWith('rule:')) {
+      allowlist.rules.add(entry.slice(5).trim());
+    } else if (entry.startsWith('path:')) {
+      allowlist.paths.push(globToRegExp(entry.slice(5).trim()));
+    } else {
+      allowlist.values.add(entry);
+    }
+  }
+  return allowlist;
+}
+
+/**
+ * Mask a secret for reports, keeping only enough to recognize it
+ * @param {string} value Secret value
+ * @returns {string} Masked value
+ */
+export function maskSecret(value) {
+  const visible = value.length > 12 ? 4 : 0;
+  return `${value.slice(0, visible)}${'*'.repeat(Math.min(value.length - visible, 8))}`;
+}
+
+/**
+ * Create a secret scanner
+ * @param {Object} options Scanner options
+ * @param {Array<string>} options.allowlist Allowlist entries (see parseSecretAllowlist)
+ * @returns {Object} Scanner with scan(text, filePath) and redact(text, findings)
+ */
+export function createSecretScanner({ allowlist = [] } = {}) {
+  const allowed = compileAllowlist(allowlist);
+
+  return {
+    /**
+     * Find secrets in a file
+     * @param {string} text File content
+     * @param {string} filePath Relative file path, used for file-specific rules and the allowlist
+     * @returns {Array<Object>} Findings ({ rule, description, line, start, end, value }) in order
+     */
+    scan(text, filePath = '') {
+      const normalizedPath = String(filePath).split('\\').join('/');
+      if (!text || allowed.paths.some(regex => regex.test(normalizedPath))) return [];
+
+      const findings = [];
+      for (const rule of SECRET_RULES) {
+        if (allowed.rules.has(rule.id) || (rule.files && !rule.files.test(normalizedPath))) {
+          continue;
+        }
+
+        for (const match of text.matchAll(rule.pattern)) {
+          const value = match[rule.group || 0];
+          if (!value || allowed.values.has(value) || (rule.test && !rule.test(value))) continue;
+
+          const start = match.index + (rule.group ? match[0].indexOf(value) : 0);
+          const end = start + value.length;
+          if (findings.some(finding => start < finding.end && end > finding.start)) continue;
+
+          findings.push({
+            rule: rule.id,
+            description: rule.description,
+            line: text.slice(0, start).split('\n').length,
+            start,
+            end,
+            value,
+          });
+        }
+      }
+
+      return findings.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Replace each finding with a [REDACTED:<rule>] placeholder
+     * @param {string} text File content
+     * @param {Array<Object>} findings Findings returned by scan for the same text
+     * @returns {string} Redacted content
+     */
+    redact(text, findings) {
+      let result = '';
+      let position = 0;
+      for (const finding of findings) {
+        result += text.slice(position, finding.start) + `[REDACTED:${finding.rule}]`;
+        position = finding.end;
+      }
+      return result + text.slice(position);
+    },
+  };
+}
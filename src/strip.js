@@ -0,0 +1,506 @@
+/**
+ * Comment and whitespace stripping for repo-combiner
+ * Removes comments, license headers, blank lines and trailing whitespace to save tokens.
+ * Each language's comment and string syntax is scanned so that comment markers inside
+ * strings, template literals, regex literals, heredocs and YAML block scalars are left alone.
+ */
+
+// Modes accepted by the strip option, in the order they are applied
+export const STRIP_MODES = ['license-headers', 'comments', 'trailing-whitespace', 'blank-lines'];
+
+// Marks where a comment was removed until the affected lines are cleaned up
+const REMOVED = '\0';
+
+// Comments that change how a file is interpreted and are always kept
+const PRESERVED_COMMENT = /^(?:\/\/go:|\/\/\s*\+build|\/\/\/\s*<reference|#\s*(?:syntax|escape)=)/;
+
+// Comment text that identifies a license header
+const LICENSE_PATTERN =
+  /copyright|licen[sc]e|spdx-license-identifier|all rights reserved|permission is hereby granted/i;
+
+// Keywords after which a slash starts a regex literal rather than a division
+const REGEX_KEYWORDS = new Set([
+  'return',
+  'typeof',
+  'instanceof',
+  'in',
+  'of',
+  'new',
+  'delete',
+  'void',
+  'throw',
+  'case',
+  'do',
+  'else',
+  'yield',
+  'await',
+]);
+
+const DOUBLE = { open: '"', close: '"', escape: true };
+const SINGLE = { open: "'", close: "'", escape: true };
+const TRIPLE_DOUBLE = { open: '"""', close: '"""', escape: true, multiline: true };
+const TRIPLE_SINGLE = { open: "'''", close: "'''", escape: true, multiline: true };
+const C_BLOCK = ['/*', '*/'];
+
+const JAVASCRIPT = {
+  line: ['//'],
+  block: [C_BLOCK],
+  strings: [
+    DOUBLE,
+    SINGLE,
+    { open: '`', close: '`', escape: true, multiline: true, template: true },
+  ],
+  regex: true,
+};
+const C_FAMILY = { line: ['//'], block: [C_BLOCK], strings: [DOUBLE, SINGLE] };
+const HASH = { line: ['#'], strings: [DOUBLE, SINGLE] };
+const MARKUP = { block: [['<!--', '-->']], strings: [] };
+
+// Comment and string syntax per language (as named by getLanguageFromExtension)
+const LANGUAGE_SYNTAX = {
+  javascript: JAVASCRIPT,
+  jsx: JAVASCRIPT,
+  typescript: JAVASCRIPT,
+  tsx: JAVASCRIPT,
+  c: C_FAMILY,
+  cpp: C_FAMILY,
+  java: { ...C_FAMILY, strings: [TRIPLE_DOUBLE, DOUBLE, SINGLE] },
+  kotlin: { ...C_FAMILY, nested: true, strings: [TRIPLE_DOUBLE, DOUBLE, SINGLE] },
+  scala: { ...C_FAMILY, nested: true, strings: [TRIPLE_DOUBLE, DOUBLE, SINGLE] },
+  csharp: {
+    ...C_FAMILY,
+    strings: [{ open: '@"', close: '"', escape: false, multiline: true }, DOUBLE, SINGLE],
+  },
+  go: {
+    ...C_FAMILY,
+    strings: [DOUBLE, SINGLE, { open: '`', close: '`', escape: false, multiline: true }],
+  },
+  rust: { ...C_FAMILY, nested: true, strings: [DOUBLE], charLiterals: true },
+  swift: { ...C_FAMILY, nested: true, strings: [TRIPLE_DOUBLE, DOUBLE] },
+  dart: { ...C_FAMILY, strings: [TRIPLE_DOUBLE, TRIPLE_SINGLE, DOUBLE, SINGLE] },
+  protobuf: C_FAMILY,
+  php: { ...C_FAMILY, line: ['//', '#'], hashAttributes: true },
+  css: { block: [C_BLOCK], strings: [DOUBLE, SINGLE] },
+  // Unquoted url(http://...) values are common, so // only starts a comment after whitespace
+  scss: { ...C_FAMILY, lineRequiresSpace: true },
+  less: { ...C_FAMILY, lineRequiresSpace: true },
+  python: { ...HASH, strings: [TRIPLE_DOUBLE, TRIPLE_SINGLE, DOUBLE, SINGLE] },
+  ruby: { ...HASH, lineRequiresSpace: true },
+  elixir: { ...HASH, strings: [TRIPLE_DOUBLE, DOUBLE, SINGLE], lineRequiresSpace: true },
+  r: HASH,
+  toml: { ...HASH, strings: [TRIPLE_DOUBLE, TRIPLE_SINGLE, DOUBLE, SINGLE] },
+  graphql: { ...HASH, strings: [TRIPLE_DOUBLE, DOUBLE] },
+  sql: { line: ['--'], block: [C_BLOCK], strings: [SINGLE, DOUBLE] },
+  lua: {
+    line: ['--'],
+    block: [['--[[', ']]']],
+    strings: [{ open: '[[', close: ']]', escape: false, multiline: true }, DOUBLE, SINGLE],
+  },
+  haskell: {
+    line: ['--'],
+    block: [['{-', '-}']],
+    nested: true,
+    strings: [DOUBLE],
+    charLiterals: true,
+  },
+  elm: { line: ['--'], block: [['{-', '-}']], nested: true, strings: [DOUBLE], charLiterals: true },
+  html: MARKUP,
+  xml: MARKUP,
+  svg: MARKUP,
+  json: { strings: [DOUBLE] },
+  // Line-oriented formats: only whole-line comments, since quotes aren't reliable delimiters
+  bash: { wholeLine: '#', heredoc: true },
+  shell: { wholeLine: '#', heredoc: true },
+  fish: { wholeLine: '#' },
+  powershell: { wholeLine: '#' },
+  yaml: { wholeLine: '#', blockScalars: true },
+  ini: { wholeLine: /[#;]/ },
+  gitignore: { wholeLine: '#' },
+  dockerfile: { wholeLine: '#' },
+};
+
+/**
+ * Get the comment and string syntax of a language
+ * @param {string} language Language name from getLanguageFromExtension
+ * @returns {Object|null} Syntax, or null when comments can't be stripped safely
+ */
+export function getLanguageSyntax(language) {
+  return LANGUAGE_SYNTAX[language] || null;
+}
+
+/**
+ * Scan line-oriented formats where comments must start a line
+ * @param {string} text Content
+ * @param {Object} syntax Language syntax
+ * @returns {Object} Comment and string ranges ({ start, end })
+ */
+function scanWholeLineComments(text, syntax) {
+  const comments = [];
+  const strings = [];
+  const marker = syntax.wholeLine;
+  let heredocEnd = null; // Delimiter closing the current heredoc
+  let scalarIndent = -1; // Indentation of the line that opened the current YAML block scalar
+  let stringStart = -1;
+
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const lineEnd = offset + line.length;
+    const indent = line.length - line.trimStart().length;
+    const trimmed = line.trim();
+
+    if (heredocEnd !== null) {
+      if (trimmed === heredocEnd) {
+        strings.push({ start: stringStart, end: offset });
+        heredocEnd = null;
+      }
+    } else if (scalarIndent >= 0 && (trimmed === '' || indent > scalarIndent)) {
+      // Still inside the block scalar
+    } else {
+      if (scalarIndent >= 0) {
+        strings.push({ start: stringStart, end: offset });
+        scalarIndent = -1;
+      }
+
+      const first = trimmed[0];
+      const isComment = typeof marker === 'string' ? first === marker : marker.test(first || '');
+      if (isComment && !(offset === 0 && trimmed.startsWith('#!'))) {
+        comments.push({ start: offset + indent, end: lineEnd });
+      } else if (syntax.heredoc && /<<-?\s*(['"]?)(\w+)\1/.test(line)) {
+        heredocEnd = /<<-?\s*(['"]?)(\w+)\1/.exec(line)[2];
+        stringStart = lineEnd + 1;
+      } else if (syntax.blockScalars && /:\s*[|>][-+0-9]*\s*(?:#.*)?$/.test(line)) {
+        scalarIndent = indent;
+        stringStart = lineEnd + 1;
+      }
+    }
+
+    offset = lineEnd + 1;
+  }
+
+  if (heredocEnd !== null || scalarIndent >= 0) {
+    strings.push({ start: stringStart, end: text.length });
+  }
+
+  return { comments, strings };
+}
+
+/**
+ * Find the comments and strings in source code
+ * @param {string} text Content
+ * @param {Object} syntax Language syntax
+ * @returns {Object} Comment ranges ({ start, end }) and string ranges ({ start, end }), where
+ *   strings include character and regex literals
+ */
+export function scanSource(text, syntax) {
+  if (syntax.wholeLine) {
+    return scanWholeLineComments(text, syntax);
+  }
+
+  const comments = [];
+  const strings = [];
+  const delimiters = [...(syntax.strings || [])].sort((a, b) => b.open.length - a.open.length);
+  const templateDepths = []; // Brace depth at each open ${ substitution
+  let braceDepth = 0;
+  let previous = ''; // Previous significant token, to tell regex literals from divisions
+
+  /**
+   * Scan a string body until its closing delimiter
+   * @param {Object} delimiter String delimiter
+   * @param {number} from Position after the opening delimiter
+   * @returns {Object} End position and whether a template substitution was opened
+   */
+  const scanString = (delimiter, from) => {
+    let j = from;
+    while (j < text.length) {
+      if (delimiter.escape && text[j] === '\\') {
+        j += 2;
+      } else if (text.startsWith(delimiter.close, j)) {
+        return { end: j + delimiter.close.length, substitution: false };
+      } else if (delimiter.template && text.startsWith('${', j)) {
+        return { end: j + 2, substitution: true };
+      } else if (!delimiter.multiline && text[j] === '\n') {
+        return { end: j, substitution: false };
+      } else {
+        j++;
+      }
+    }
+    return { end: text.length, substitution: false };
+  };
+
+  /**
+   * Record a string and continue after it, entering a template substitution if one opened
+   * @param {number} start String start
+   * @param {Object} result Result of scanString
+   * @returns {number} Position to continue scanning from
+   */
+  const endString = (start, result) => {
+    strings.push({ start, end: result.end });
+    if (result.substitution) {
+      templateDepths.push(braceDepth);
+      braceDepth = 0;
+      previous = '(';
+    } else {
+      previous = 'x';
+    }
+    return result.end;
+  };
+
+  // A shebang line is never a comment
+  let i = text.startsWith('#!') ? Math.max(text.indexOf('\n'), 0) || text.length : 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    const block = (syntax.block || []).find(([open]) => text.startsWith(open, i));
+    if (block) {
+      const [open, close] = block;
+      let depth = 1;
+      let j = i + open.length;
+      while (j < text.length && depth > 0) {
+        if (syntax.nested && text.startsWith(open, j)) {
+          depth++;
+          j += open.length;
+        } else if (text.startsWith(close, j)) {
+          depth--;
+          j += close.length;
+        } else {
+          j++;
+        }
+      }
+      comments.push({ start: i, end: j });
+      i = j;
+      continue;
+    }
+
+    const line = (syntax.line || []).find(
+      marker =>
+        text.startsWith(marker, i) &&
+        (!syntax.lineRequiresSpace || i === 0 || /\s/.test(text[i - 1])) &&
+        // URLs in JSX text (https://...) are not comments
+        !(syntax.regex && text[i - 1] === ':') &&
+        // PHP 8 attributes start with #[
+        !(syntax.hashAttributes && marker === '#' && text[i + 1] === '[')
+    );
+    if (line) {
+      const newline = text.indexOf('\n', i);
+      const end = newline === -1 ? text.length : newline;
+      comments.push({ start: i, end });
+      i = end;
+      continue;
+    }
+
+    const delimiter = delimiters.find(candidate => text.startsWith(candidate.open, i));
+    if (delimiter) {
+      i = endString(i, scanString(delimiter, i + delimiter.open.length));
+      continue;
+    }
+
+    if (syntax.charLiterals && char === "'") {
+      const literal = /'(?:\\[^'\n]{1,10}|[^\\'\n])'/y;
+      literal.lastIndex = i;
+      if (literal.test(text)) {
+        strings.push({ start: i, end: literal.lastIndex });
+        i = literal.lastIndex;
+      } else {
+        i++;
+      }
+      previous = 'x';
+      continue;
+    }
+
+    if (syntax.regex && char === '/') {
+      const regexAllowed =
+        previous === '' || REGEX_KEYWORDS.has(previous) || /^[^\w$)\]}]$/.test(previous);
+      const literal = /\/(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[a-z]*/y;
+      literal.lastIndex = i;
+      if (regexAllowed && literal.test(text)) {
+        strings.push({ start: i, end: literal.lastIndex });
+        i = literal.lastIndex;
+        previous = 'x';
+        continue;
+      }
+    }
+
+    if (char === '{') {
+      braceDepth++;
+    } else if (char === '}') {
+      if (braceDepth === 0 && templateDepths.length > 0) {
+        // The substitution is closed; the template literal continues
+        braceDepth = templateDepths.pop();
+        const template = delimiters.find(candidate => candidate.template);
+        i = endString(i, scanString(template, i + 1));
+        continue;
+      }
+      braceDepth--;
+    }
+
+    if (/[\w$]/.test(char)) {
+      const word = /[\w$]+/y;
+      word.lastIndex = i;
+      word.test(text);
+      previous = text.slice(i, word.lastIndex);
+      i = word.lastIndex;
+      continue;
+    }
+
+    if (!/\s/.test(char)) {
+      previous = char;
+    }
+    i++;
+  }
+
+  return { comments, strings };
+}
+
+/**
+ * Create a check for whether positions lie inside a string
+ * scanSource returns the ranges in order without overlaps, so positions checked in increasing
+ * order are answered in a single pass over the ranges.
+ * @param {Array<Object>} strings String ranges from scanSource
+ * @returns {Function} Takes a position (never before the previous one) and returns whether it
+ *   is inside a string
+ */
+export function createStringLookup(strings) {
+  let index = 0;
+  return position => {
+    while (index < strings.length && strings[index].end <= position) index++;
+    return index < strings.length && position > strings[index].start;
+  };
+}
+
+/**
+ * Remove ranges from the text, dropping lines that only held removed comments
+ * @param {string} text Content
+ * @param {Array<Object>} ranges Ranges to remove ({ start, end }), in order
+ * @returns {string} Content without the ranges
+ */
+function removeRanges(text, ranges) {
+  if (ranges.length === 0) return text;
+
+  let result = '';
+  let position = 0;
+  for (const range of ranges) {
+    // Keep neighbouring words apart, as in a/* comment */b
+    const separator = /\w/.test(text[range.start - 1]) && /\w/.test(text[range.end]) ? ' ' : '';
+    result += text.slice(position, range.start) + REMOVED + separator;
+    position = range.end;
+  }
+  result += text.slice(position);
+
+  return result
+    .split('\n')
+    .filter(line => !line.includes(REMOVED) || line.split(REMOVED).join('').trim() !== '')
+    .map(line => (line.includes(REMOVED) ? line.split(REMOVED).join('').trimEnd() : line))
+    .join('\n');
+}
+
+/**
+ * Apply a function to every line whose line break isn't part of a string
+ * @param {string} text Content
+ * @param {Array<Object>} strings String ranges
+ * @param {Function} transform Function returning the new line, or null to drop it
+ * @returns {string} Transformed content
+ */
+function transformLines(text, strings, transform) {
+  const lines = [];
+  const allLines = text.split('\n');
+  const insideString = createStringLookup(strings);
+  let offset = 0;
+  for (const [index, line] of allLines.entries()) {
+    const lineEnd = offset + line.length;
+    const finalNewline = index === allLines.length - 1 && line === '';
+    if (finalNewline || insideString(lineEnd)) {
+      lines.push(line);
+    } else {
+      const result = transform(line);
+      if (result !== null) lines.push(result);
+    }
+    offset = lineEnd + 1;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Remove the license comments at the top of a file
+ * Leading comments are grouped by blank lines; groups are removed while they look like a license.
+ * @param {string} text Content
+ * @param {Array<Object>} comments Comment ranges
+ * @returns {string} Content without the license header
+ */
+function removeLicenseHeader(text, comments) {
+  const headerStart = text.startsWith('#!') ? text.indexOf('\n') + 1 || text.length : 0;
+  const removed = [];
+  let group = [];
+  let position = headerStart;
+
+  const flushGroup = () => {
+    const groupText = group.map(comment => text.slice(comment.start, comment.end)).join('\n');
+    if (group.length === 0 || !LICENSE_PATTERN.test(groupText)) return false;
+    removed.push(...group);
+    group = [];
+    return true;
+  };
+
+  for (const comment of comments) {
+    if (comment.start < headerStart) continue;
+
+    const gap = text.slice(position, comment.start);
+    if (gap.trim() !== '') break;
+    if (/\n[ \t]*\n/.test(gap) && group.length > 0 && !flushGroup()) break;
+
+    group.push(comment);
+    position = comment.end;
+  }
+  flushGroup();
+
+  if (removed.length === 0) return text;
+
+  const stripped = removeRanges(text, removed);
+  return stripped.slice(0, headerStart) + stripped.slice(headerStart).replace(/^(?:[ \t]*\n)+/, '');
+}
+
+/**
+ * Strip comments and whitespace from file content
+ * Languages without a known comment syntax only get the whitespace modes, and their runs of
+ * blank lines are collapsed to one rather than removed, since blank lines separate paragraphs.
+ * @param {string} text File content
+ * @param {string} language Language name from getLanguageFromExtension
+ * @param {Array<string>} modes Strip modes (see STRIP_MODES)
+ * @returns {string} Stripped content
+ */
+export function stripContent(text, language, modes) {
+  if (!text || typeof text !== 'string' || !modes || modes.length === 0) return text;
+
+  const syntax = getLanguageSyntax(language);
+  let result = text;
+
+  if (syntax && modes.includes('license-headers')) {
+    result = removeLicenseHeader(result, scanSource(result, syntax).comments);
+  }
+
+  if (syntax && modes.includes('comments')) {
+    const comments = scanSource(result, syntax).comments.filter(
+      comment => !PRESERVED_COMMENT.test(result.slice(comment.start, comment.end))
+    );
+    result = removeRanges(result, comments);
+  }
+
+  // Markdown uses two trailing spaces for line breaks
+  if (modes.includes('trailing-whitespace') && language !== 'markdown') {
+    const strings = syntax ? scanSource(result, syntax).strings : [];
+    result = transformLines(result, strings, line => line.trimEnd());
+  }
+
+  if (modes.includes('blank-lines')) {
+    const strings = syntax ? scanSource(result, syntax).strings : [];
+    let previousBlank = false;
+    result = transformLines(result, strings, line => {
+      const blank = line.trim() === '';
+      const keep = !blank || (!syntax && !previousBlank);
+      previousBlank = blank;
+      return keep ? line : null;
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,210 @@
+/**
+ * Tarball support for repo-combiner
+ * Extracts gzipped tar archives, such as GitHub repository tarballs, in-process with the built-in
+ * zlib, so that repositories can be fetched on machines without git
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { createGunzip } from 'zlib';
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Read a NUL-terminated string from a header field
+ * @param {Buffer} block Header block
+ * @param {number} offset Field offset
+ * @param {number} length Field length
+ * @returns {string} Field value
+ */
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString(
+    'utf8',
+    offset,
+    end === -1 ? offset + length : Math.min(end, offset + length)
+  );
+}
+
+/**
+ * Read a numeric header field, in octal or (for large values) GNU base-256
+ * @param {Buffer} block Header block
+ * @param {number} offset Field offset
+ * @param {number} length Field length
+ * @returns {number} Field value
+ */
+function readNumber(block, offset, length) {
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f;
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = value * 256 + block[i];
+    }
+    return value;
+  }
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Check a header block against its checksum, to catch archives that aren't tar files
+ * @param {Buffer} block Header block
+ * @returns {boolean} True if the checksum matches
+ */
+function hasValidChecksum(block) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === readNumber(block, 148, 8);
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ * @param {Buffer} data Header data
+ * @returns {Object} Header values by key
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (space === -1 || !length) break;
+
+    // Lengths count bytes, so records are sliced before decoding
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    if (separator > 0) {
+      headers[record.slice(0, separator)] = record.slice(separator + 1);
+    }
+    offset += length;
+  }
+
+  return headers;
+}
+
+/**
+ * Create a reader that takes exact byte counts from a stream
+ * @param {AsyncIterable<Buffer>} stream Stream of buffers
+ * @returns {Function} read(size), resolving to a buffer, or null if the stream ends first
+ */
+function createReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let chunks = [];
+  let buffered = 0;
+
+  return async size => {
+    while (buffered < size) {
+      const { value, done } = await iterator.next();
+      if (done) return null;
+      chunks.push(value);
+      buffered += value.length;
+    }
+
+    // Concatenate once per read, so large files aren't copied for every chunk
+    const data = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+    const rest = data.subarray(size);
+    chunks = rest.length > 0 ? [rest] : [];
+    buffered = rest.length;
+    return data.subarray(0, size);
+  };
+}
+
+/**
+ * Extract a gzipped tar archive into a directory
+ * Regular files and directories are extracted; links and special files are skipped, so nothing
+ * can point outside the target directory.
+ * @param {ReadableStream|Readable|Buffer} source Archive, e.g. the body of a fetch response
+ * @param {string} targetDir Directory to extract to
+ * @param {Object} options Extraction options
+ * @param {number} options.stripComponents Leading path components to remove from each entry
+ * @returns {Promise<Object>} Result ({ fileCount, globalHeaders }), where globalHeaders holds the
+ *   archive's pax global headers (git archive records the commit SHA as its comment)
+ * @throws {Error} If the archive is invalid, truncated or has paths outside the target directory
+ */
+export async function extractTarball(source, targetDir, { stripComponents = 0 } = {}) {
+  let input;
+  if (Buffer.isBuffer(source)) {
+    input = Readable.from([source]);
+  } else if (typeof source.getReader === 'function') {
+    input = Readable.fromWeb(source);
+  } else {
+    input = source;
+  }
+  const gunzip = createGunzip();
+  input.on('error', error => gunzip.destroy(error));
+  const read = createReader(input.pipe(gunzip));
+
+  const root = path.resolve(targetDir);
+  const globalHeaders = {};
+  let paxHeaders = {};
+  let longName = null;
+  let fileCount = 0;
+
+  try {
+    for (;;) {
+      const header = await read(BLOCK_SIZE);
+      if (!header) throw new Error('Invalid tarball: unexpected end of archive');
+
+      // The archive ends with zero-filled blocks
+      if (header.every(byte => byte === 0)) break;
+      if (!hasValidChecksum(header)) throw new Error('Invalid tarball: header checksum mismatch');
+
+      const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+      const size =
+        paxHeaders.size !== undefined ? Number(paxHeaders.size) : readNumber(header, 124, 12);
+      const body = await read(Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE);
+      if (!body) throw new Error('Invalid tarball: unexpected end of archive');
+      const data = body.subarray(0, size);
+
+      // Metadata entries describe the archive or the entry that follows
+      if (type === 'g') {
+        Object.assign(globalHeaders, parsePaxHeaders(data));
+        continue;
+      }
+      if (type === 'x') {
+        paxHeaders = parsePaxHeaders(data);
+        continue;
+      }
+      if (type === 'L') {
+        longName = readString(data, 0, size);
+        continue;
+      }
+
+      const prefix = readString(header, 345, 155);
+      const name =
+        paxHeaders.path || longName || (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+      const mode = readNumber(header, 100, 8) & 0o777;
+      paxHeaders = {};
+      longName = null;
+
+      const parts = name
+        .split('/')
+        .filter(part => part && part !== '.')
+        .slice(stripComponents);
+      if (parts.length === 0) continue;
+
+      const targetPath = path.join(root, ...parts);
+      if (parts.includes('..') || !targetPath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid tarball: unsafe path ${name}`);
+      }
+
+      if (type === '5') {
+        await fs.mkdir(targetPath, { recursive: true });
+      } else if (type === '0' || type === '7') {
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await fs.writeFile(targetPath, data, { mode: mode || 0o644 });
+        fileCount++;
+      }
+    }
+  } finally {
+    // Stop reading, e.g. padding after the end of the archive or after an error
+    input.destroy();
+    gunzip.destroy();
+  }
+
+  return { fileCount, globalHeaders };
+}
@@ -0,0 +1,241 @@
+/**
+ * Token counting for repo-combiner
+ * Provides the fast character/word estimate and an offline byte-pair encoder for the
+ * cl100k and o200k vocabularies. The vocabularies in ./tokenizers are OpenAI's tiktoken
+ * encodings (MIT licensed), stored in the compact ranks format used by js-tiktoken.
+ */
+
+// Vocabulary files for the bundled encodings
+const ENCODINGS = {
+  cl100k: 'cl100k_base.json',
+  o200k: 'o200k_base.json',
+};
+
+// Tokenizer names accepted by the tokenizer option
+export const TOKENIZERS = ['estimate', ...Object.keys(ENCODINGS)];
+
+// Loaded encoders, shared between combiner instances
+const encoderCache = new Map();
+
+// Number of distinct pre-tokenized pieces whose token counts are memoized per encoder
+const PIECE_CACHE_LIMIT = 50000;
+
+/**
+ * Estimate token count for a text string
+ * This is a rough approximation similar to how LLMs tokenize text
+ * @param {string} text - The text to analyze
+ * @returns {number} Estimated token count
+ */
+export function estimateTokenCount(text) {
+  if (!text || typeof text !== 'string') return 0;
+
+  // Simple tokenization approach based on whitespace and common punctuation
+  // This is an approximation; actual LLM tokenizers are more sophisticated
+  const cleanText = text
+    .replace(/[.,/#!$%^&*;:{}=\-_`~()[\]<>]/g, ' $& ') // Add spaces around punctuation
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .trim();
+
+  // Split on whitespace for a rough token count
+  const tokens = cleanText.split(/\s+/);
+
+  // For better accuracy - account for the encoding efficiency
+  // Most LLM tokenizers use about 4 characters per token on average for English text
+  const approximateCharactersPerToken = 4;
+  const charCount = text.length;
+
+  // Estimate based on raw tokens and character count
+  let rawTokenCount = tokens.length;
+  let charBasedCount = Math.ceil(charCount / approximateCharactersPerToken);
+
+  // Use the average of both approaches, but ensure we have at least 1 token for non-empty text
+  const result = Math.max(1, Math.round((rawTokenCount + charBasedCount) / 2));
+  return isNaN(result) ? 0 : result;
+}
+
+/**
+ * Convert a string to a binary string holding its UTF-8 bytes (one char per byte)
+ * @param {string} text Text to convert
+ * @returns {string} Binary string
+ */
+function toByteString(text) {
+  const bytes = new TextEncoder().encode(text);
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+/**
+ * Byte-pair encoder for tiktoken-style vocabularies
+ */
+export class BpeTokenizer {
+  /**
+   * Create a new BpeTokenizer
+   * @param {Object} vocabulary Vocabulary with pat_str, special_tokens and bpe_ranks
+   * @param {string} name Encoding name
+   */
+  constructor(vocabulary, name = 'bpe') {
+    this.name = name;
+    this.pattern = new RegExp(vocabulary.pat_str, 'gu');
+    this.ranks = new Map();
+    this.pieceCache = new Map();
+
+    // Each line is "! <first rank> <base64 token> <base64 token> ..." with consecutive ranks
+    for (const line of vocabulary.bpe_ranks.split('\n')) {
+      if (!line) continue;
+      const [, offset, ...tokens] = line.split(' ');
+      const firstRank = Number.parseInt(offset, 10);
+      tokens.forEach((token, i) => this.ranks.set(atob(token), firstRank + i));
+    }
+  }
+
+  /**
+   * Encode text into token ids
+   * Special tokens are not recognized; they are encoded as ordinary text.
+   * @param {string} text Text to encode
+   * @returns {Array<number>} Token ids
+   */
+  encode(text) {
+    const ids = [];
+    if (!text) return ids;
+
+    for (const match of String(text).matchAll(this.pattern)) {
+      const piece = toByteString(match[0]);
+      const rank = this.ranks.get(piece);
+      if (rank !== undefined) {
+        ids.push(rank);
+      } else {
+        ids.push(...this._encodePiece(piece));
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Count the tokens in a text
+   * @param {string} text Text to count
+   * @returns {number} Token count
+   */
+  countTokens(text) {
+    if (!text || typeof text !== 'string') return 0;
+
+    let count = 0;
+    for (const match of text.matchAll(this.pattern)) {
+      const word = match[0];
+      let pieceCount = this.pieceCache.get(word);
+
+      if (pieceCount === undefined) {
+        const piece = toByteString(word);
+        pieceCount = this.ranks.has(piece) ? 1 : this._encodePiece(piece).length;
+
+        if (this.pieceCache.size >= PIECE_CACHE_LIMIT) {
+          this.pieceCache.clear();
+        }
+        this.pieceCache.set(word, pieceCount);
+      }
+
+      count += pieceCount;
+    }
+
+    return count;
+  }
+
+  /**
+   * Merge the bytes of a pre-tokenized piece, lowest-ranked pair first
+   * @param {string} piece Binary string of UTF-8 bytes
+   * @returns {Array<number>} Token ids
+   * @private
+   */
+  _encodePiece(piece) {
+    // Boundaries between the current parts, starting with one part per byte
+    const bounds = Array.from({ length: piece.length + 1 }, (_, i) => i);
+    const pairRank = i =>
+      i + 2 < bounds.length ? this.ranks.get(piece.slice(bounds[i], bounds[i + 2])) : undefined;
+    const pairRanks = bounds.slice(0, -2).map((_, i) => pairRank(i));
+
+    while (pairRanks.length > 0) {
+      let best = -1;
+      for (let i = 0; i < pairRanks.length; i++) {
+        if (pairRanks[i] !== undefined && (best === -1 || pairRanks[i] < pairRanks[best])) {
+          best = i;
+        }
+      }
+      if (best === -1) break;
+
+      bounds.splice(best + 1, 1);
+      pairRanks.splice(best, 1);
+      if (best < pairRanks.length) pairRanks[best] = pairRank(best);
+      if (best > 0) pairRanks[best - 1] = pairRank(best - 1);
+    }
+
+    const ids = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      ids.push(this.ranks.get(piece.slice(bounds[i], bounds[i + 1])));
+    }
+    return ids;
+  }
+}
+
+/**
+ * Read a bundled vocabulary file
+ * Uses the file system in Node.js and fetch in the browser.
+ * @param {string} fileName Vocabulary file name
+ * @returns {Promise<Object>} Parsed vocabulary
+ */
+async function readVocabulary(fileName) {
+  const url = new URL(`./tokenizers/${fileName}`, import.meta.url);
+
+  if (url.protocol === 'file:') {
+    const { readFile } = await import('fs/promises');
+    return JSON.parse(await readFile(url, 'utf8'));
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load tokenizer vocabulary ${fileName}: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load one of the bundled BPE tokenizers
+ * @param {string} name Tokenizer name: cl100k or o200k
+ * @returns {Promise<BpeTokenizer>} Tokenizer
+ */
+export async function loadTokenizer(name) {
+  if (!ENCODINGS[name]) {
+    throw new Error(`Unknown tokenizer: ${name}. Expected one of: ${TOKENIZERS.join(', ')}`);
+  }
+
+  if (!encoderCache.has(name)) {
+    // Cache the pending load so concurrent callers share it
+    const pending = readVocabulary(ENCODINGS[name]).then(
+      vocabulary => new BpeTokenizer(vocabulary, name)
+    );
+    encoderCache.set(name, pending);
+    pending.catch(() => encoderCache.delete(name));
+  }
+
+  return encoderCache.get(name);
+}
+
+/**
+ * Resolve a token counting function
+ * @param {string|Function} tokenizer Tokenizer name or a countTokens(text) function
+ * @returns {Promise<Function>} Function returning the token count for a text
+ */
+export async function createTokenCounter(tokenizer = 'estimate') {
+  if (typeof tokenizer === 'function') {
+    return text => (text ? Number(tokenizer(text)) || 0 : 0);
+  }
+
+  if (!tokenizer || tokenizer === 'estimate') {
+    return estimateTokenCount;
+  }
+
+  const encoder = await loadTokenizer(tokenizer);
+  return text => encoder.countTokens(text);
+}
@@ -0,0 +1,412 @@
+/**
+ * Unpack support for repo-combiner
+ * Parses combined outputs (text, markdown, json or xml, including chunked parts) back into
+ * files and recreates them in a directory
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const TEXT_HEADER = /^FILE: (.*)\n(=+)\n((?:[A-Za-z][A-Za-z ]*: .*\n)*)(-+)\n\n/gm;
+const TEXT_FOOTER = /\n\n\nINDEX\n=====\n\nTotal files: /g;
+const MARKDOWN_HEADER =
+  /^\*\*Path:\*\* `([^`\n]*)` {2}\n((?:\*\*[^*\n]+:\*\* .*\n)*)\n```[^\n]*\n/gm;
+const MARKDOWN_FOOTER = /\n## Index\n\nTotal files: /g;
+const XML_DOCUMENT =
+  /<document ([^>]*)>\s*<source>[^<]*<\/source>\s*<document_content>((?:<!\[CDATA\[[\s\S]*?\]\]>)*)<\/document_content>/g;
+
+/**
+ * Detect the format of a combined output
+ * @param {string|Object} source Combined output
+ * @returns {string|null} text, markdown, json, or xml, or null if unrecognized
+ */
+export function detectFormat(source) {
+  if (source && typeof source === 'object') return 'json';
+
+  const text = String(source || '').trimStart();
+  if (text.startsWith('{')) return 'json';
+  if (text.startsWith('<?xml') || text.startsWith('<repository')) return 'xml';
+  if (text.startsWith('# Repository Content') || /^\*\*Path:\*\* `/m.test(text)) {
+    return 'markdown';
+  }
+  if (text.startsWith('REPOSITORY CONTENT') || /^FILE: /m.test(text)) return 'text';
+  return null;
+}
+
+/**
+ * Parse a number from output metadata, ignoring thousands separators
+ * @param {string} value Metadata value
+ * @returns {number|undefined} Parsed number
+ */
+function parseCount(value) {
+  if (value === undefined) return undefined;
+  const digits = String(value).replace(/[^\d]/g, '');
+  return digits ? Number(digits) : undefined;
+}
+
+/**
+ * Parse a segment label ("2 of 5 (lines 101-200)")
+ * @param {string} label Segment label
+ * @returns {Object|undefined} Segment metadata
+ */
+function parseSegment(label) {
+  const match = label && /(\d+) of (\d+) \(lines (\d+)-(\d+)\)/.exec(label);
+  if (!match) return undefined;
+  const [index, total, startLine, endLine] = match.slice(1).map(Number);
+  return { index, total, startLine, endLine };
+}
+
+/**
+ * Find where the last file section ends, before a streamed output's trailing index
+ * @param {string} text Combined output
+ * @param {RegExp} footerPattern Pattern matching the start of the index
+ * @param {number} from Position after the last file header
+ * @param {number} keep Number of matched characters that belong to the file section
+ * @returns {number} End position
+ */
+function findLastSectionEnd(text, footerPattern, from, keep = 0) {
+  let end = text.length;
+  footerPattern.lastIndex = from;
+  let match;
+  while ((match = footerPattern.exec(text)) !== null) {
+    end = match.index + keep;
+  }
+  return end;
+}
+
+/**
+ * Parse text output
+ * @param {string} text Text output
+ * @returns {Array<Object>} Entries with path, content and recorded metadata
+ */
+function parseText(text) {
+  const headers = [...text.matchAll(TEXT_HEADER)].filter(match => {
+    // The rules under the path are sized to it, which tells real headers from look-alikes
+    const ruleLength = Math.min(match[1].length + 6, 80);
+    return match[2].length === ruleLength && match[4].length === ruleLength;
+  });
+
+  return headers.map((match, i) => {
+    const start = match.index + match[0].length;
+    const end =
+      i + 1 < headers.length
+        ? headers[i + 1].index
+        : findLastSectionEnd(text, TEXT_FOOTER, start, 3);
+    const section = text.slice(start, end);
+
+    const meta = {};
+    match[3].split('\n').forEach(line => {
+      const separator = line.indexOf(': ');
+      if (separator > 0) meta[line.slice(0, separator)] = line.slice(separator + 2);
+    });
+
+    return {
+      path: match[1],
+      content: section.endsWith('\n\n\n') ? section.slice(0, -3) : null,
+      sizeKb: meta.Size ? meta.Size.replace(/ KB$/, '') : undefined,
+      lines: parseCount(meta.Lines),
+      segment: parseSegment(meta.Segment),
+    };
+  });
+}
+
+/**
+ * Parse markdown output
+ * @param {string} text Markdown output
+ * @returns {Array<Object>} Entries with path, content and recorded metadata
+ */
+function parseMarkdown(text) {
+  const headers = [...text.matchAll(MARKDOWN_HEADER)];
+
+  return headers.map((match, i) => {
+    const start = match.index + match[0].length;
+    const end =
+      i + 1 < headers.length
+        ? headers[i + 1].index
+        : findLastSectionEnd(text, MARKDOWN_FOOTER, start);
+    const section = text.slice(start, end);
+
+    // The closing fence is the last one before the next file, so fences in the content are safe
+    const fence = section.lastIndexOf('\n```\n');
+
+    const meta = {};
+    match[2].split('\n').forEach(line => {
+      const metaMatch = /^\*\*([^*]+):\*\* (.*?) {0,2}$/.exec(line);
+      if (metaMatch) meta[metaMatch[1]] = metaMatch[2];
+    });
+
+    return {
+      path: match[1],
+      content: fence === -1 ? null : section.slice(0, fence),
+      sizeKb: meta.Size ? meta.Size.replace(/ KB$/, '') : undefined,
+      lines: parseCount(meta.Lines),
+      segment: parseSegment(meta.Segment),
+    };
+  });
+}
+
+/**
+ * Parse JSON output
+ * @param {string|Object} source JSON output (string or parsed object)
+ * @returns {Array<Object>} Entries with path, content and recorded metadata
+ */
+function parseJson(source) {
+  const data = typeof source === 'string' ? JSON.parse(source) : source;
+  if (!data || !Array.isArray(data.files)) {
+    throw new Error('JSON output has no files array');
+  }
+
+  return data.files.map(file => ({
+    path: file.path,
+    content: typeof file.content === 'string' ? file.content : null,
+    size: file.segment ? undefined : file.size,
+    lines: file.lines,
+    segment: file.segment,
+  }));
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} value Escaped value
+ * @returns {string} Decoded value
+ */
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse XML output
+ * @param {string} text XML output
+ * @returns {Array<Object>} Entries with path, content and recorded metadata
+ */
+function parseXml(text) {
+  return [...text.matchAll(XML_DOCUMENT)].map(match => {
+    const attributes = {};
+    for (const [, name, value] of match[1].matchAll(/([\w-]+)="([^"]*)"/g)) {
+      attributes[name] = decodeXmlEntities(value);
+    }
+
+    // Adjacent CDATA sections are how "]]>" sequences in the content were split
+    const content = [...match[2].matchAll(/<!\[CDATA\[([\s\S]*?)\]\]>/g)]
+      .map(section => section[1])
+      .join('');
+
+    let segment;
+    if (attributes.segment) {
+      segment = {
+        index: Number(attributes.segment),
+        total: Number(attributes.segments),
+        startLine: Number(attributes.start_line),
+        endLine: Number(attributes.end_line),
+      };
+    }
+
+    return { path: attributes.path, content, lines: parseCount(attributes.lines), segment };
+  });
+}
+
+/**
+ * Parse a combined output into file entries
+ * @param {string|Object} source Combined output
+ * @param {string} format Output format (detected when not given)
+ * @returns {Object} Detected format and entries with path, content and recorded metadata
+ * @throws {Error} If the format can't be detected or parsed
+ */
+export function parseCombinedOutput(source, format = null) {
+  const resolvedFormat = format || detectFormat(source);
+
+  switch (resolvedFormat) {
+    case 'json':
+      return { format: 'json', entries: parseJson(source) };
+    case 'xml':
+      return { format: 'xml', entries: parseXml(String(source)) };
+    case 'markdown':
+      return { format: 'markdown', entries: parseMarkdown(String(source)) };
+    case 'text':
+      return { format: 'text', entries: parseText(String(source)) };
+    default:
+      throw new Error(
+        'Unrecognized combined output format. Expected repo-combiner text, markdown, json or xml output'
+      );
+  }
+}
+
+/**
+ * Count lines the same way the combiner does
+ * @param {string} text Content
+ * @returns {number} Line count
+ */
+function countLines(text) {
+  return text ? text.split('\n').length : 0;
+}
+
+/**
+ * Check that a path recorded in an output is safe to recreate under the output directory
+ * @param {string} filePath Recorded path
+ * @returns {string|null} Reason the path is unsafe, or null if it is safe
+ */
+function getUnsafePathReason(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) return 'missing path';
+  if (filePath.includes('\0')) return 'path contains a null byte';
+
+  const normalizedPath = filePath.split('\\').join('/');
+  if (normalizedPath.startsWith('/') || /^[a-zA-Z]:/.test(normalizedPath)) {
+    return 'absolute path';
+  }
+  if (normalizedPath.split('/').includes('..')) return 'path traversal';
+  return null;
+}
+
+/**
+ * Join the segments of files that were split across chunked parts
+ * @param {Array<Object>} entries Parsed entries
+ * @param {Array<Object>} failed Collects files that can't be reassembled
+ * @returns {Array<Object>} One entry per file
+ */
+function mergeSegments(entries, failed) {
+  const merged = [];
+  const segmented = new Map();
+
+  for (const entry of entries) {
+    if (!entry.segment) {
+      merged.push(entry);
+      continue;
+    }
+    if (!segmented.has(entry.path)) {
+      segmented.set(entry.path, []);
+      merged.push({ path: entry.path, segments: segmented.get(entry.path) });
+    }
+    segmented.get(entry.path).push(entry);
+  }
+
+  return merged.filter(entry => {
+    if (!entry.segments) return true;
+
+    const segments = entry.segments.sort((a, b) => a.segment.index - b.segment.index);
+    const total = segments[0].segment.total;
+    const complete =
+      segments.length === total && segments.every((segment, i) => segment.segment.index === i + 1);
+
+    if (!complete) {
+      const found = segments.map(segment => segment.segment.index).join(', ');
+      failed.push({
+        path: entry.path,
+        reason: `missing segments (found ${found} of ${total})`,
+      });
+      return false;
+    }
+
+    if (segments.some(segment => segment.content === null)) {
+      failed.push({ path: entry.path, reason: 'unterminated file section' });
+      return false;
+    }
+
+    // Segments hold whole lines; each has exactly the recorded number of lines
+    entry.segmentMismatch = segments.some(
+      segment => segment.lines !== undefined && segment.content.split('\n').length !== segment.lines
+    );
+    entry.content = segments.map(segment => segment.content).join('\n');
+    delete entry.segments;
+    return true;
+  });
+}
+
+/**
+ * Describe why an entry's content doesn't match the metadata recorded with it
+ * @param {Object} entry Parsed entry
+ * @returns {string|null} Mismatch description, or null if the content matches
+ */
+function getMismatchReason(entry) {
+  if (entry.segmentMismatch) return 'segment line counts do not match';
+  if (entry.lines !== undefined && countLines(entry.content) !== entry.lines) {
+    return `expected ${entry.lines} lines, found ${countLines(entry.content)}`;
+  }
+
+  const bytes = Buffer.byteLength(entry.content, 'utf8');
+  if (entry.size !== undefined && bytes !== entry.size) {
+    return `expected ${entry.size} bytes, found ${bytes}`;
+  }
+  if (entry.sizeKb !== undefined && (bytes / 1024).toFixed(2) !== entry.sizeKb) {
+    return `expected ${entry.sizeKb} KB, found ${(bytes / 1024).toFixed(2)} KB`;
+  }
+  return null;
+}
+
+/**
+ * Recreate the files of one or more combined outputs in a directory
+ * Files are written even when their content doesn't match the recorded size or line count
+ * (reported in warnings); unsafe paths, incomplete segments and existing files (unless
+ * overwrite is set) are reported in failed and not written.
+ * @param {string|Object|Array<string|Object>} sources Combined output(s), e.g. all parts of a chunked output
+ * @param {string} outputDir Directory to recreate the files in
+ * @param {Object} options Unpack options
+ * @param {string} options.format Format of the outputs (detected when not given)
+ * @param {boolean} options.overwrite Replace files that already exist
+ * @returns {Promise<Object>} Written paths, failed files and warnings
+ */
+export async function unpackOutput(sources, outputDir, { format = null, overwrite = false } = {}) {
+  if (!outputDir) {
+    throw new Error('Output directory is required');
+  }
+
+  const rootDir = path.resolve(outputDir);
+  const failed = [];
+  const warnings = [];
+  const written = [];
+  const formats = new Set();
+  let entries = [];
+
+  for (const source of Array.isArray(sources) ? sources : [sources]) {
+    const parsed = parseCombinedOutput(source, format);
+    formats.add(parsed.format);
+    entries = entries.concat(parsed.entries);
+  }
+
+  const seen = new Set();
+  for (const entry of mergeSegments(entries, failed)) {
+    const unsafeReason = getUnsafePathReason(entry.path);
+    if (unsafeReason) {
+      failed.push({ path: String(entry.path), reason: unsafeReason });
+      continue;
+    }
+
+    const relativePath = entry.path.split('\\').join('/');
+    const targetPath = path.resolve(rootDir, relativePath);
+    if (!targetPath.startsWith(rootDir + path.sep)) {
+      failed.push({ path: relativePath, reason: 'path traversal' });
+      continue;
+    }
+
+    if (seen.has(relativePath)) {
+      failed.push({ path: relativePath, reason: 'duplicate entry' });
+      continue;
+    }
+    seen.add(relativePath);
+
+    if (entry.content === null) {
+      failed.push({ path: relativePath, reason: 'unterminated file section' });
+      continue;
+    }
+
+    const mismatch = getMismatchReason(entry);
+    if (mismatch) {
+      warnings.push({ path: relativePath, reason: mismatch });
+    }
+
+    try {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.writeFile(targetPath, entry.content, { flag: overwrite ? 'w' : 'wx' });
+      written.push(relativePath);
+    } catch (error) {
+      const reason = error.code === 'EEXIST' ? 'file already exists' : error.message;
+      failed.push({ path: relativePath, reason });
+    }
+  }
+
+  return { format: [...formats].join(', '), outputDir: rootDir, written, failed, warnings };
+}
@@ -0,0 +1,382 @@
+/**
+ * Zip support for repo-combiner
+ * Reads zip archives, such as GitHub repository zipballs, in memory. Works in browsers and
+ * Node.js: entries are inflated with DecompressionStream where it supports raw deflate, and with
+ * a small built-in inflate implementation elsewhere.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Order of the code length code lengths in dynamic blocks (RFC 1951, 3.2.7)
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+let fixedCodes = null;
+let nativeInflate = null;
+
+/**
+ * Build a canonical Huffman code from code lengths
+ * @param {Uint8Array|Array<number>} lengths Code length of each symbol (0 = unused)
+ * @returns {Object} Code ({ counts, symbols }): symbols per length, and symbols in code order
+ */
+function buildCode(lengths) {
+  const counts = new Uint16Array(16);
+  for (const length of lengths) counts[length]++;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 16; length++) {
+    offsets[length] = offsets[length - 1] + counts[length - 1];
+  }
+
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+
+  return { counts, symbols };
+}
+
+/**
+ * Get the fixed literal/length and distance codes (RFC 1951, 3.2.6)
+ * @returns {Array<Object>} Literal/length code and distance code
+ */
+function getFixedCodes() {
+  if (!fixedCodes) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixedCodes = [buildCode(lengths), buildCode(new Uint8Array(30).fill(5))];
+  }
+  return fixedCodes;
+}
+
+/**
+ * Inflate raw deflate data (RFC 1951)
+ * @param {Uint8Array} data Compressed data
+ * @param {number} size Expected size of the inflated data, if known
+ * @returns {Uint8Array} Inflated data
+ * @throws {Error} If the data is not valid deflate data
+ */
+export function inflateRaw(data, size = data.length * 4) {
+  let output = new Uint8Array(Math.max(size, 64));
+  let outputLength = 0;
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBits = count => {
+    while (bitCount < count) {
+      if (position >= data.length) throw new Error('Invalid zip: unexpected end of deflate data');
+      bitBuffer |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  const ensureSpace = count => {
+    if (outputLength + count > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, outputLength + count));
+      grown.set(output.subarray(0, outputLength));
+      output = grown;
+    }
+  };
+
+  // Codes are read a bit at a time, comparing against the first code of each length
+  const decodeSymbol = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      const count = counts[length];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid zip: bad deflate code');
+  };
+
+  const readDynamicCodes = () => {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthCode = buildCode(codeLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    for (let i = 0; i < lengths.length; ) {
+      const symbol = decodeSymbol(codeLengthCode);
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+
+      // 16 repeats the previous length, 17 and 18 repeat zero
+      let value = 0;
+      let repeat;
+      if (symbol === 16) {
+        if (i === 0) throw new Error('Invalid zip: bad deflate code lengths');
+        value = lengths[i - 1];
+        repeat = 3 + readBits(2);
+      } else {
+        repeat = symbol === 17 ? 3 + readBits(3) : 11 + readBits(7);
+      }
+      if (i + repeat > lengths.length) throw new Error('Invalid zip: bad deflate code lengths');
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    return [
+      buildCode(lengths.subarray(0, literalCount)),
+      buildCode(lengths.subarray(literalCount)),
+    ];
+  };
+
+  let isFinal;
+  do {
+    isFinal = readBits(1);
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored blocks start at a byte boundary, with the length and its complement
+      bitBuffer = 0;
+      bitCount = 0;
+      if (position + 4 > data.length) {
+        throw new Error('Invalid zip: unexpected end of deflate data');
+      }
+      const length = data[position] | (data[position + 1] << 8);
+      const complement = data[position + 2] | (data[position + 3] << 8);
+      if ((length ^ 0xffff) !== complement) throw new Error('Invalid zip: bad stored block length');
+      position += 4;
+      if (position + length > data.length) {
+        throw new Error('Invalid zip: unexpected end of deflate data');
+      }
+      ensureSpace(length);
+      output.set(data.subarray(position, position + length), outputLength);
+      outputLength += length;
+      position += length;
+    } else if (type === 1 || type === 2) {
+      const [literalCode, distanceCode] = type === 1 ? getFixedCodes() : readDynamicCodes();
+      for (;;) {
+        const symbol = decodeSymbol(literalCode);
+        if (symbol < 256) {
+          ensureSpace(1);
+          output[outputLength++] = symbol;
+          continue;
+        }
+        if (symbol === 256) break;
+
+        // Lengths and distances copy earlier output, possibly overlapping what is written
+        const lengthIndex = symbol - 257;
+        if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid zip: bad deflate length');
+        const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+        const distanceIndex = decodeSymbol(distanceCode);
+        if (distanceIndex >= DISTANCE_BASE.length) {
+          throw new Error('Invalid zip: bad deflate distance');
+        }
+        const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+        if (distance > outputLength) throw new Error('Invalid zip: bad deflate distance');
+
+        ensureSpace(length);
+        for (let i = 0; i < length; i++) {
+          output[outputLength] = output[outputLength - distance];
+          outputLength++;
+        }
+      }
+    } else {
+      throw new Error('Invalid zip: bad deflate block type');
+    }
+  } while (!isFinal);
+
+  return output.subarray(0, outputLength);
+}
+
+/**
+ * Check whether DecompressionStream supports raw deflate
+ * @returns {boolean} True if raw deflate can be inflated natively
+ */
+function hasNativeInflate() {
+  if (nativeInflate === null) {
+    try {
+      nativeInflate = typeof DecompressionStream === 'function';
+      if (nativeInflate) new DecompressionStream('deflate-raw');
+    } catch (error) {
+      nativeInflate = false;
+    }
+  }
+  return nativeInflate;
+}
+
+/**
+ * Inflate raw deflate data, natively where supported
+ * @param {Uint8Array} data Compressed data
+ * @param {number} size Expected size of the inflated data
+ * @returns {Promise<Uint8Array>} Inflated data
+ */
+async function inflate(data, size) {
+  if (!hasNativeInflate()) {
+    return inflateRaw(data, size);
+  }
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    throw new Error(`Invalid zip: ${error.message}`);
+  }
+}
+
+/**
+ * List the entries of a zip archive from its central directory, without inflating anything
+ * @param {Uint8Array} data Zip archive
+ * @returns {Object} Listing ({ entries, comment }); entries are { path, size, compressedSize,
+ *   method, flags, offset, isDirectory, isSymlink }, and git archive records the commit SHA as
+ *   the comment
+ * @throws {Error} If the archive is not a valid zip archive
+ */
+export function listZipEntries(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const decoder = new TextDecoder('utf-8');
+
+  // The end record sits at the end, before an archive comment of at most 64 KB
+  let end = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Invalid zip: end of central directory not found');
+
+  let count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const comment = decoder.decode(
+    data.subarray(end + 22, end + 22 + view.getUint16(end + 20, true))
+  );
+
+  // Zip64 archives keep the real count and offset in a separate record, found through a locator
+  if ((count === 0xffff || offset === 0xffffffff) && end >= 20) {
+    if (view.getUint32(end - 20, true) === ZIP64_LOCATOR) {
+      const zip64End = Number(view.getBigUint64(end - 12, true));
+      if (view.getUint32(zip64End, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+        throw new Error('Invalid zip: bad zip64 end of central directory');
+      }
+      count = Number(view.getBigUint64(zip64End + 32, true));
+      offset = Number(view.getBigUint64(zip64End + 48, true));
+    }
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > data.length || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Invalid zip: bad central directory entry');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const path = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+    const entry = {
+      path,
+      size: view.getUint32(offset + 24, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      method: view.getUint16(offset + 10, true),
+      flags: view.getUint16(offset + 8, true),
+      offset: view.getUint32(offset + 42, true),
+      isDirectory: path.endsWith('/'),
+      // Unix modes are kept in the high bits of the external attributes
+      isSymlink: ((view.getUint32(offset + 38, true) >>> 16) & 0o170000) === 0o120000,
+    };
+
+    // Zip64 extra fields hold the values that don't fit, in this order
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= extra + 4 + length) {
+            entry[key] = Number(view.getBigUint64(field, true));
+            field += 8;
+          }
+        }
+      }
+      extra += 4 + length;
+    }
+
+    entries.push(entry);
+    offset = extraEnd + commentLength;
+  }
+
+  return { entries, comment };
+}
+
+/**
+ * Read the data of a zip entry
+ * @param {Uint8Array} data Zip archive
+ * @param {Object} entry Entry from listZipEntries
+ * @returns {Promise<Uint8Array>} Entry data
+ * @throws {Error} If the entry is encrypted, uses an unsupported compression method or is corrupt
+ */
+export async function readZipEntry(data, entry) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (entry.offset + 30 > data.length || view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Invalid zip: bad local header for ${entry.path}`);
+  }
+  if (entry.flags & 0x1) {
+    throw new Error(`Cannot read ${entry.path}: encrypted zip entries are not supported`);
+  }
+
+  // The local header repeats the name, and may have extra fields of its own
+  const start =
+    entry.offset +
+    30 +
+    view.getUint16(entry.offset + 26, true) +
+    view.getUint16(entry.offset + 28, true);
+  const compressed = data.subarray(start, start + entry.compressedSize);
+  if (compressed.length !== entry.compressedSize) {
+    throw new Error(`Invalid zip: ${entry.path} is truncated`);
+  }
+
+  let content;
+  if (entry.method === 0) {
+    content = compressed;
+  } else if (entry.method === 8) {
+    content = await inflate(compressed, entry.size);
+  } else {
+    throw new Error(`Cannot read ${entry.path}: unsupported compression method ${entry.method}`);
+  }
+
+  if (content.length !== entry.size) {
+    throw new Error(`Invalid zip: ${entry.path} has the wrong size`);
+  }
+  return content;
+}
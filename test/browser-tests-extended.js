@@ -78,27 +78,29 @@ export async function runExtendedBrowserTests(options = {}) {
     const combiner = createRepoCombiner();
     let fetchCounter = 0;
     
-    // Temporarily override the _fetchWithAuth method to count calls
-    const originalFetch = combiner._fetchWithAuth;
-    combiner._fetchWithAuth = async function(url, options) {
+    // Temporarily override fetch to count calls; resources are unchanged, so conditional
+    // requests are answered with 304 Not Modified
+    const originalFetch = globalThis.fetch;
+    const conditionalRequests = [];
+    globalThis.fetch = async function(url, options) {
       fetchCounter++;
       
+      if (options.headers['If-None-Match']) {
+        conditionalRequests.push(url);
+        return new Response(null, { status: 304 });
+      }
+      
       // Create a mock response
-      const mockResponse = new Response(JSON.stringify({ mock: 'data' }), {
+      return new Response(JSON.stringify({ mock: 'data' }), {
         status: 200,
         headers: new Headers({
           'content-type': 'application/json',
+          'etag': '"mock"',
           'x-ratelimit-limit': '60',
           'x-ratelimit-remaining': '59',
           'x-ratelimit-reset': (Math.floor(Date.now() / 1000) + 3600).toString(),
         }),
       });
-      
-      // Store in cache map
-      const cacheKey = `${url}:${JSON.stringify(options || {})}`;
-      combiner.cachedResponses.set(cacheKey, mockResponse.clone());
-      
-      return mockResponse;
     };
     
     try {
@@ -113,9 +115,17 @@ export async function runExtendedBrowserTests(options = {}) {
       await combiner._fetchWithAuth(url + '/contents');
       runner.assert(fetchCounter === 2, 'Cache should not affect different API calls');
       
+      // A new run revalidates the cached response instead of fetching it again
+      combiner._validatedResponses.clear();
+      const response = await combiner._fetchWithAuth(url);
+      runner.assert(conditionalRequests.length === 1 && conditionalRequests[0] === url,
+        'Cache should send a conditional request in a new run');
+      runner.assert((await response.json()).mock === 'data',
+        'Cache should answer 304 responses with the cached body');
+      
     } finally {
-      // Restore original method
-      combiner._fetchWithAuth = originalFetch;
+      // Restore original fetch
+      globalThis.fetch = originalFetch;
     }
   });
 
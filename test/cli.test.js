@@ -124,6 +124,14 @@ describe('CLI Basic Tests', () => {
     const { stderr } = await runCli('not-a-valid-url');
     expect(stderr).toContain('Invalid repository URL format');
   });
+
+  test('shows error for a local directory that does not exist', async () => {
+    for (const input of ['./no-such-directory-123456789', '~/no-such-directory-123456789']) {
+      const { stderr } = await runCli(input);
+      expect(stderr).toContain(`Local directory not found: ${input}`);
+      expect(stderr).not.toContain('Invalid repository URL format');
+    }
+  });
 });
 
 // Separate the more complex processing tests
@@ -136,6 +144,17 @@ describe('CLI Processing Tests', () => {
     expect(stderr).toContain('repository');
   });
 
+  test('removes the partial streamed output file when processing fails', async () => {
+    const outputBase = path.resolve(testOutputDir, 'failed-stream');
+    const { stderr } = await runCli(
+      `--stream -o ${outputBase} https://github.com/not-a-real-user-123456789/not-a-real-repo-123456789`
+    );
+    expect(stderr).toContain('Error processing repository');
+
+    const files = await fs.readdir(testOutputDir);
+    expect(files.filter(file => file.startsWith('failed-stream'))).toEqual([]);
+  });
+
   // Jest mock doesn't affect the CLI process, so we can't assert on mocks working across processes
   test('handles format validation', async () => {
     const { stderr } = await runCli('--format invalid-format https://github.com/test/repo');